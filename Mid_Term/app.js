@@ -1,6 +1,7 @@
 /* app.js – data loading, charts, training, demo, metrics
    Robust to files in "/" or "/data/". Works with:
-   - PP_recipes.csv (preferred) or RAW_recipes.csv
+   - RAW_recipes.csv (preferred: names, tags, ingredients, nutrition, minutes, n_steps
+     for the deep item tower) or PP_recipes.csv
    - interactions_train.csv
 */
 
@@ -10,7 +11,7 @@ const fmt = (n) => (typeof n === 'number' ? n.toLocaleString() : n);
 
 // --------- global state ----------
 let users = new Set();
-let items = new Map();     // itemId -> { title, tags: string[] }
+let items = new Map();     // itemId -> { title, tags[], ingredients[], minutes, nSteps, nutrition[] }
 let train = [];            // [{u,i,r,ts}]
 let valid = [];
 let user2items = new Map();// userId -> [{i,r,ts}]
@@ -19,8 +20,17 @@ let item2users = new Map();// itemId -> Set(userId)
 let userIndex = new Map(), itemIndex = new Map();
 let idx2user = [], idx2item = [];
 
+let graph = null;          // BipartiteGraph over train (graph.js), built at load
+const PPR_OPTS = { alpha: 0.15, tol: 1e-6, maxIter: 100 };
+let itemPop = null;        // Float32Array, train interactions per item index
+let fusion = { baseline: null, deep: null };  // FusionRanker per model (fusion.js): model + PPR + popularity
+let fusionUsers = new Set();                  // validation users the fusion was fitted on (left out of metrics)
+let annIndex = { baseline: null, deep: null };// HNSWIndex per model over its item tower (ann.js), built on demand
+const ANN_CANDIDATES = 200;                   // recipes the demo takes from the index before re-ranking
+
 let tag2idx = new Map(), idx2tag = [];
-let topTagK = 200;
+let itemFeatures = null;   // buildItemFeatures() result used by the deep model
+let itemFeatMat = null;    // tf.Tensor2d [items, featDim], kept alive while `deep` uses it
 
 let baseline = null;
 let deep = null;
@@ -53,35 +63,83 @@ async function fetchFirstExisting(candidates) {
 }
 function splitLines(text){ return text.split(/\r?\n/).filter(Boolean); }
 
-// Recipes: id + title/name + tags (python-list style string)
+// Quote-aware CSV: a quoted field may hold commas, "" and line breaks (RAW_recipes
+// steps/description do), so records are split here rather than per line.
+// Returns one array of unquoted cells per non-empty record.
+function parseCsvRecords(text){
+  const records = [];
+  const n = text.length;
+  let row = [], k = 0;
+  while (k <= n){
+    let field = '';
+    if (text[k] === '"'){
+      let from = k + 1;
+      for (;;){
+        const q = text.indexOf('"', from);
+        if (q < 0){ field += text.slice(from); k = n; break; }
+        field += text.slice(from, q);
+        if (text[q+1] === '"'){ field += '"'; from = q + 2; }
+        else { k = q + 1; break; }
+      }
+    }
+    // unquoted cell (or stray text after a closing quote) up to the delimiter
+    let end = k;
+    while (end < n && text[end] !== ',' && text[end] !== '\n' && text[end] !== '\r') end++;
+    row.push(field + text.slice(k, end));
+    if (text[end] === ','){ k = end + 1; continue; }
+    if (row.length > 1 || row[0] !== '') records.push(row);
+    row = [];
+    k = end + (text[end] === '\r' && text[end+1] === '\n' ? 2 : 1);
+  }
+  return records;
+}
+
+// "['a', 'b']" or '"['a', 'b']"' variants -> ['a','b']
+function parseListField(cell, max){
+  if (!cell) return [];
+  // Strip outer quotes, brackets, then split by comma
+  const raw = cell.trim().replace(/^"+|"+$/g, '').replace(/^\s*\[|\]\s*$/g,"");
+  return raw.split(/['"]\s*,\s*['"]|,\s*/g)
+            .map(s=>s.replace(/^\s*['"]*|['"]*\s*$/g,'').trim())
+            .filter(Boolean)
+            .slice(0, max);
+}
+function parseNumber(cell){
+  const v = parseFloat(cell);
+  return Number.isFinite(v) ? v : null;
+}
+
+// Recipes: id + title/name + tags (python-list style string); RAW_recipes also gives
+// minutes, n_steps, nutrition and ingredients (PP_recipes: ingredient_ids)
 function parseRecipes(csvText){
-  const lines = splitLines(csvText);
-  const header = lines.shift().split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/g);
+  const records = parseCsvRecords(csvText);
+  const header = records.shift() || [];
   const idIdx = header.findIndex(h => /^id$|(^|_)id$/i.test(h));
   const nameIdx = header.findIndex(h => /(name|title)/i.test(h));
   const tagsIdx = header.findIndex(h => /tags/i.test(h));
+  const minIdx = header.findIndex(h => /^minutes$/i.test(h));
+  const stepsIdx = header.findIndex(h => /^n_steps$/i.test(h));
+  const nutIdx = header.findIndex(h => /^nutrition$/i.test(h));
+  let ingIdx = header.findIndex(h => /^ingredients$/i.test(h));
+  if (ingIdx < 0) ingIdx = header.findIndex(h => /^ingredient_ids$/i.test(h));
 
   items.clear();
-  for (const ln of lines){
-    const cols = ln.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/g);
+  for (const cols of records){
     const id = parseInt(cols[idIdx],10);
     if (!Number.isInteger(id)) continue;
 
     let title = (cols[nameIdx]||`Recipe ${id}`).trim();
     if (title.startsWith('"') && title.endsWith('"')) title = title.slice(1,-1);
 
-    // tags: "['a', 'b']" or '"['a', 'b']"' variants
-    let tags = [];
-    if (tagsIdx >= 0 && cols[tagsIdx]){
-      let raw = cols[tagsIdx].trim();
-      // Strip outer quotes, brackets, then split by comma
-      raw = raw.replace(/^"+|"+$/g, '').replace(/^\s*\[|\]\s*$/g,"");
-      tags = raw.split(/['"]\s*,\s*['"]|,\s*/g)
-                .map(s=>s.replace(/^\s*['"]?|['"]?\s*$/g,'').trim())
-                .filter(Boolean)
-                .slice(0, 32);
-    }
-    items.set(id, {title, tags});
+    const tags = tagsIdx >= 0 ? parseListField(cols[tagsIdx], 32) : [];
+    const ingredients = ingIdx >= 0 ? parseListField(cols[ingIdx], 48).map(normalizeIngredient) : [];
+    const nutrition = nutIdx >= 0 ? parseListField(cols[nutIdx], 7).map(parseNumber) : [];
+    items.set(id, {
+      title, tags, ingredients,
+      minutes: minIdx >= 0 ? parseNumber(cols[minIdx]) : null,
+      nSteps: stepsIdx >= 0 ? parseNumber(cols[stepsIdx]) : null,
+      nutrition: nutrition.length === 7 && nutrition.every(v=>v!==null) ? nutrition : null
+    });
   }
 }
 
@@ -125,8 +183,15 @@ function buildIndexers(){
   itemIndex = new Map(idx2item.map((i,idx)=>[i,idx]));
 }
 
+// CSR user–item graph for PPR; rebuilt only when the data or the edge weighting changes
+function buildGraph(){
+  graph = BipartiteGraph.fromInteractions(train, {
+    userIds: idx2user, itemIds: idx2item, weighting: $('graphWeight')?.value || 'rating'
+  });
+  return graph;
+}
+
 function buildTagVocab(k){
-  topTagK = k;
   const freq = new Map();
   for (const it of items.values()){
     for (const t of (it.tags||[])){ freq.set(t,(freq.get(t)||0)+1); }
@@ -143,8 +208,8 @@ async function handleLoad(){
     // Try local folder first, then ./data/
     const tried = {
       recipes: [
-        './PP_recipes.csv','PP_recipes.csv','data/PP_recipes.csv',
-        './RAW_recipes.csv','RAW_recipes.csv','data/RAW_recipes.csv'
+        './RAW_recipes.csv','RAW_recipes.csv','data/RAW_recipes.csv',
+        './PP_recipes.csv','PP_recipes.csv','data/PP_recipes.csv'
       ],
       train:   ['./interactions_train.csv','interactions_train.csv','data/interactions_train.csv']
     };
@@ -170,6 +235,10 @@ async function handleLoad(){
 
     buildIndexers();
     buildTagVocab(parseInt(($('dK')?.value||'200'),10));
+    buildGraph();
+    itemPop = new Float32Array(idx2item.length);
+    for (const r of train){ const ii = itemIndex.get(r.i); if (ii!==undefined) itemPop[ii]++; }
+    fusion = { baseline: null, deep: null }; fusionUsers = new Set();
 
     const density = (train.length / (users.size * Math.max(1, items.size))).toExponential(2);
     const coldUsers = Array.from(user2items.entries()).filter(([,arr])=>arr.length<5).length;
@@ -180,6 +249,7 @@ async function handleLoad(){
       `Users: ${fmt(users.size)} Items: ${fmt(items.size)} Interactions (train): ${fmt(train.length)} `+
       `Density: ${density} Ratings present: ${train.some(x=>x.r!=null) ? 'yes':'no'} `+
       `Cold users (<5): ${fmt(coldUsers)} Cold items (<5): ${fmt(coldItems)} `+
+      `Graph: ${fmt(graph.numEdges)} edges (${graph.weighting}, ${graph.buildMs.toFixed(0)} ms) `+
       `(files: ${rec.path}, ${tr.path})`;
     $('status').textContent = 'Status: loaded.';
     drawAllEDA();
@@ -318,20 +388,6 @@ function buildBatchTensors(batch){
   const i = tf.tensor1d(batch.map(x=>itemIndex.get(x.i)), 'int32');
   return {u,i};
 }
-function itemTagVector(iIdx){
-  const itemId = idx2item[iIdx];
-  const obj = items.get(itemId);
-  const vec = new Array(topTagK).fill(0);
-  if (obj && obj.tags){
-    for (const t of obj.tags){
-      let k = tag2idx.get(t);
-      if (k===undefined){ k = Math.abs(hashStr(t)) % topTagK; }
-      vec[k] = 1;
-    }
-  }
-  return vec;
-}
-function hashStr(s){ let h=0; for (let i=0;i<s.length;i++){ h=(h*31 + s.charCodeAt(i))|0; } return h>>>0; }
 function makeShuffled(arr, maxN){
   const A = maxN ? arr.slice(0, maxN) : arr.slice();
   for (let i=A.length-1;i>0;i--){ const j = (Math.random()* (i+1))|0; [A[i],A[j]]=[A[j],A[i]]; }
@@ -344,7 +400,7 @@ async function trainBaseline(){
     $('baseLine').textContent = 'Load data first.';
     return;
   }
-  baseline?.dispose(); baseline=null;
+  baseline?.dispose(); baseline=null; fusion.baseline=null; annIndex.baseline=null;
   lastItemEmb?.dispose?.(); lastItemEmb=null;
   baseLossTrace = []; drawLine('baseLoss', baseLossTrace);
 
@@ -375,16 +431,16 @@ async function trainBaseline(){
   $('baseLine').innerHTML = `Baseline done. Final loss <b>${baseLossTrace.at(-1).y.toFixed(4)}</b>`;
   lastItemEmb = baseline.readItemEmbedding();
   drawProjection(lastItemEmb);
-  computeAndShowMetrics().catch(console.error);
+  fitFusion().then(computeAndShowMetrics).catch(console.error);
 }
 
-// --------- Training: Deep (tags -> MLP) ----------
+// --------- Training: Deep (item features -> MLP) ----------
 async function trainDeepModel(){
   if (!users.size || !items.size || !train.length){
     $('deepLine').textContent = 'Load data first.';
     return;
   }
-  deep?.dispose(); deep=null;
+  deep?.dispose(); deep=null; fusion.deep=null; annIndex.deep=null;
   lastItemEmbDeep?.dispose?.(); lastItemEmbDeep=null;
   deepLossTrace = []; drawLine('deepLoss', deepLossTrace);
 
@@ -395,18 +451,21 @@ async function trainDeepModel(){
   const K = parseInt($('dK').value,10);
   buildTagVocab(K);
 
-  $('deepLine').textContent = 'Training deep…';
-  const data = makeShuffled(train, parseInt($('bMax').value,10));
+  // Dense feature matrix for all items (tags, ingredients, nutrition, cook time)
+  itemFeatures = buildItemFeatures(items, idx2item, {
+    tagVocab: idx2tag,
+    minIngredientFreq: parseInt($('dIngMin').value,10) || 5,
+    maxIngredients: parseInt($('dIngMax').value,10) || 300
+  });
+  itemFeatMat?.dispose();
+  itemFeatMat = tf.tensor2d(itemFeatures.matrix, [idx2item.length, itemFeatures.dim], 'float32');
+  const featSummary = describeFeatures(itemFeatures);
 
-  // Dense tag matrix for all items
-  const itemTagMat = tf.tensor2d(
-    idx2item.map((_,iIdx)=> itemTagVector(iIdx) ),
-    [idx2item.length, topTagK],
-    'float32'
-  );
+  $('deepLine').textContent = `Training deep… ${featSummary}`;
+  const data = makeShuffled(train, parseInt($('bMax').value,10));
 
-  deep = new DeepTwoTowerModel(idx2user.length, idx2item.length, emb, topTagK, {learningRate: lr});
-  await deep.compile(itemTagMat);
+  deep = new DeepTwoTowerModel(idx2user.length, idx2item.length, emb, itemFeatures.dim, {learningRate: lr});
+  await deep.compile(itemFeatMat);
 
   let step=0;
   for (let ep=0; ep<epochs; ep++){
@@ -420,11 +479,18 @@ async function trainDeepModel(){
       await tf.nextFrame();
     }
   }
-  $('deepLine').innerHTML = `Deep done. Final loss <b>${deepLossTrace.at(-1).y.toFixed(4)}</b>`;
+  $('deepLine').innerHTML = `Deep done. Final loss <b>${deepLossTrace.at(-1).y.toFixed(4)}</b> · ${escapeHtml(featSummary)}`;
   lastItemEmbDeep = deep.getFrozenItemEmb();
   drawProjection(lastItemEmbDeep);
-  itemTagMat.dispose();
-  computeAndShowMetrics().catch(console.error);
+  fitFusion().then(computeAndShowMetrics).catch(console.error);
+}
+
+// "64 tags + 212 ingredients + 8 nutrition + 6 time + 2 complexity = 292 features (coverage …)"
+function describeFeatures(f){
+  const dims = f.blocks.map(b=>`${b.size} ${b.name}`).join(' + ');
+  const pct = (x)=> `${Math.round(100*x)}%`;
+  return `${dims} = ${f.dim} features (items with tags ${pct(f.coverage.tags)}, `+
+    `ingredients ${pct(f.coverage.ingredients)}, nutrition ${pct(f.coverage.nutrition)}, cook time ${pct(f.coverage.time)})`;
 }
 
 // --------- Projection (cheap 2D) ----------
@@ -494,8 +560,10 @@ async function demoOnce(){
       $('histTbl').innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`;
       $('baseTbl').innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`;
       $('deepTbl').innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`;
+      $('excludedTbl').innerHTML = `<tr><td class="muted" colspan="5">—</td></tr>`;
       return;
     }
+    const constraints = readConstraints();
     const reqMin = parseInt($('minRatings').value,10);
     const picked = pickUserForDemo(reqMin);
     const u = picked.user;
@@ -511,101 +579,390 @@ async function demoOnce(){
     const seen = new Set(historyAll.map(x=>x.i));
     const candIdx = idx2item.map((iid,ii)=> ({iid,ii})).filter(x=>!seen.has(x.iid)).map(x=>x.ii);
 
-    const uIdx = tf.tensor1d([userIndex.get(u)], 'int32');
-    let baseScores=[], deepScores=[];
-    if (baseline){
-      const s = await baseline.scoreUserAgainstAll(uIdx);
-      baseScores = Array.from(s.dataSync());
-      s.dispose();
-    }
-    if (deep){
-      const s = await deep.scoreUserAgainstAll(uIdx);
-      deepScores = Array.from(s.dataSync());
-      s.dispose();
-    }
-    uIdx.dispose();
-
-    if ($('useGraph').checked && candIdx.length){
-      const pr = personalizedPageRankForUser(u, user2items, item2users, {alpha:0.15, iters:20});
-      const lambda = 0.15;
-      if (baseline && baseScores.length) for (const ii of candIdx){ baseScores[ii] += lambda*(pr.get(idx2item[ii])||0); }
-      if (deep && deepScores.length)    for (const ii of candIdx){ deepScores[ii]  += lambda*(pr.get(idx2item[ii])||0); }
+    // each model ranks its own candidates: the HNSW top-N when an index is built, every unseen recipe otherwise.
+    // The learned fusion standardises its inputs over every unseen recipe and hard constraints have to see the
+    // whole catalog, so either of them falls back to exact scoring.
+    const useAnn = $('useAnn').checked;
+    const fusing = $('useGraph').checked && candIdx.length && graph;
+    const seenIdx = new Set(historyAll.map(x=>itemIndex.get(x.i)));
+    const annNotes = [], exactNotes = [];
+    const retrieve = async (key, label, model) => {
+      if (!model) return { scores: [], cands: candIdx };
+      if (useAnn && annIndex[key] && (constraints.hasHard || (fusing && fusion[key]))){
+        exactNotes.push(label);
+      } else if (useAnn && annIndex[key]){
+        const t0 = performance.now();
+        const hits = annIndex[key].search(userVector(model, userIndex.get(u)), ANN_CANDIDATES, { exclude: seenIdx });
+        annNotes.push(`${label} ${(performance.now()-t0).toFixed(1)} ms`);
+        const scores = new Float32Array(idx2item.length).fill(NaN);
+        for (const h of hits) scores[h.index] = h.score;
+        return { scores, cands: hits.map(h=>h.index) };
+      }
+      const uIdx = tf.tensor1d([userIndex.get(u)], 'int32');
+      const s = await model.scoreUserAgainstAll(uIdx);
+      const scores = Array.from(s.dataSync());
+      s.dispose(); uIdx.dispose();
+      return { scores, cands: candIdx };
+    };
+    const base = await retrieve('baseline', 'Baseline', baseline);
+    const deepRes = await retrieve('deep', 'Deep', deep);
+    let baseScores = base.scores, deepScores = deepRes.scores;
+
+    let graphNote = annNotes.length ? ` HNSW top-${ANN_CANDIDATES}: ${annNotes.join(', ')}.` : '';
+    if (exactNotes.length) graphNote += ` Exact scoring for ${exactNotes.join(', ')} (learned fusion or hard constraints active).`;
+    if (fusing){
+      const t0 = performance.now();
+      const { scores: pr, iterations } = graph.ppr(u, PPR_OPTS);
+      graphNote += ` PPR: ${iterations} iterations, ${(performance.now()-t0).toFixed(0)} ms (${graph.weighting}).`;
+      // learned fusion of model score, PPR and popularity (falls back to the model score until fitted)
+      const unfitted = [];
+      const fuse = (key, label, scoresArr, cands) => {
+        if (!scoresArr.length) return scoresArr;
+        if (!fusion[key]){ unfitted.push(label); return scoresArr; }
+        return fusedScores(fusion[key], [{name: label, scores: scoresArr}, {name: 'PPR', scores: pr}], cands);
+      };
+      baseScores = fuse('baseline', 'Baseline', baseScores, base.cands);
+      deepScores = fuse('deep', 'Deep', deepScores, deepRes.cands);
+      graphNote += unfitted.length ? ` Fusion not fitted for ${unfitted.join(', ')}: model score only.` : ' Learned fusion.';
     }
 
-    const render = (tblId, scoresArr) => {
-      if (!scoresArr.length || !candIdx.length){
+    const titleOf = (ii)=> escapeHtml(items.get(idx2item[ii])?.title||String(idx2item[ii]));
+    const excludedRows = [];
+    const passNotes = [];
+    const render = (tblId, label, scoresArr, cands) => {
+      if (!scoresArr.length || !cands.length){
         $(tblId).innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`; return;
       }
-      // build top-10 safely (skip NaNs)
-      const picked = candIdx
-        .map(ii=>({ii, s: Number.isFinite(scoresArr[ii]) ? scoresArr[ii] : -Infinity}))
-        .filter(o=>Number.isFinite(o.s))
-        .sort((a,b)=>b.s-a.s)
-        .slice(0,10);
-      $(tblId).innerHTML = picked.length
-        ? picked.map((row,idx)=>(`<tr><td>${idx+1}</td><td>${escapeHtml(items.get(idx2item[row.ii])?.title||String(idx2item[row.ii]))}</td><td>${row.s.toFixed(3)}</td></tr>`)).join('')
-        : `<tr><td class="muted" colspan="3">— no candidates —</td></tr>`;
+      // constrained top-10 (NaN scores skipped inside rank)
+      const res = constraints.rank(cands, scoresArr, ii=>items.get(idx2item[ii]), 10);
+      if (constraints.hasHard) passNotes.push(`${label} ${fmt(res.passed)}/${fmt(res.total)}`);
+      for (const ex of res.excluded){
+        excludedRows.push(`<tr><td>${label}</td><td>${ex.rank}</td><td>${titleOf(ex.ii)}</td><td>${ex.base.toFixed(3)}</td>`+
+          `<td>${escapeHtml(ex.reasons.slice(0,3).join('; '))}${ex.reasons.length>3?' …':''}</td></tr>`);
+      }
+      $(tblId).innerHTML = res.top.length
+        ? res.top.map((row,idx)=>(`<tr><td>${idx+1}</td><td>${titleOf(row.ii)}</td><td>${row.score.toFixed(3)}`+
+            `${row.matched.length ? `<br><small class="muted">${escapeHtml(row.matched.join(' '))}</small>` : ''}</td></tr>`)).join('')
+        : `<tr><td class="muted" colspan="3">— no recipe satisfies the constraints —</td></tr>`;
     };
-    render('baseTbl', baseScores);
-    render('deepTbl', deepScores);
-    $('demoLine').textContent += ' — recommendations generated successfully!';
+    render('baseTbl', 'Baseline', baseScores, base.cands);
+    render('deepTbl', 'Deep', deepScores, deepRes.cands);
+    $('excludedTbl').innerHTML = excludedRows.length
+      ? excludedRows.join('')
+      : `<tr><td class="muted" colspan="5">${constraints.hasHard ? 'No top-10 recipe was filtered out.' : 'No hard constraints set.'}</td></tr>`;
+    $('constraintLine').textContent = `Constraints: ${constraints.describe()}`+
+      (passNotes.length ? ` — passing: ${passNotes.join(', ')}` : '');
+    $('demoLine').textContent += ' — recommendations generated successfully!' + graphNote;
   }catch(e){
     console.error(e);
     $('demoLine').textContent = 'Error while generating recommendations (see console).';
     $('histTbl').innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`;
     $('baseTbl').innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`;
     $('deepTbl').innerHTML = `<tr><td class="muted" colspan="3">—</td></tr>`;
+    $('excludedTbl').innerHTML = `<tr><td class="muted" colspan="5">—</td></tr>`;
+  }
+}
+
+// Constraint panel -> ConstraintEngine (constraints.js)
+function readConstraints(){
+  const num = (id)=>{ const v = parseFloat($(id).value); return Number.isFinite(v) && v>0 ? v : null; };
+  return new ConstraintEngine({
+    requireTags: parseTermList($('cReqTags').value),
+    excludeTags: parseTermList($('cExTags').value),
+    maxMinutes: num('cMaxMin'),
+    maxCalories: num('cMaxKcal'),
+    excludeIngredients: parseTermList($('cExIng').value),
+    prefer: parseTermList($('cPrefer').value),
+    avoid: parseTermList($('cAvoid').value),
+    softWeight: Math.max(0, parseFloat($('cSoftW').value) || 0)
+  });
+}
+
+// --------- Learned fusion (model + PPR + popularity, fusion.js) ----------
+function trainItemsByUser(){
+  const m = new Map();
+  for (const {u,i} of train){ if (!m.has(u)) m.set(u, []); m.get(u).push(i); }
+  return m;
+}
+
+// fused scores indexed by item; NaN outside candIdx so rankers skip those items
+function fusedScores(ranker, inputs, candIdx){
+  const { X } = fusionFeatures(inputs, candIdx, itemPop);
+  const s = ranker.score(X);
+  const out = new Float32Array(idx2item.length).fill(NaN);
+  candIdx.forEach((ii,r)=>{ out[ii] = s[r]; });
+  return out;
+}
+
+const FUSION_MODELS = [
+  { key: 'baseline', label: 'Baseline' },
+  { key: 'deep', label: 'Deep' }
+];
+
+// Fits one FusionRanker per trained model on a seeded sample of validation users:
+// their held-out recipes are positives, random unseen recipes plus each input's own
+// top unseen recipes are negatives.
+let fusionRun = 0;
+async function fitFusion(){
+  const line = $('fusionLine');
+  if (!graph || (!baseline && !deep)){ line.textContent = 'Train a model first; the fusion learns on top of it.'; return; }
+  if (!valid.length){ line.textContent = 'No validation split found.'; return; }
+  const int = (id, dflt) => { const v = parseInt($(id).value,10); return Number.isFinite(v) ? v : dflt; };
+  const opts = {
+    users: Math.max(2, int('fuUsers', 300)), negatives: Math.max(1, int('fuNeg', 50)),
+    hard: Math.max(0, int('fuHard', 10)), epochs: Math.max(1, int('fuEp', 30)), seed: int('fuSeed', 7)
+  };
+  // at most half of the validation users, so the metrics keep the other half
+  const pool = buildEvalCases({ valid, trainByUser: trainItemsByUser(), userIndex, itemIndex, maxUsers: Infinity, seed: opts.seed });
+  const cases = pool.slice(0, Math.min(opts.users, Math.floor(pool.length/2)));
+  if (cases.length < 2){ line.textContent = 'Too few validation users with an unseen held-out recipe.'; return; }
+
+  const run = ++fusionRun;
+  const models = FUSION_MODELS.map(m=>({ ...m, model: m.key==='baseline' ? baseline : deep })).filter(m=>m.model);
+  models.forEach(m=>{ m.emb = m.key==='baseline' ? m.model.readItemEmbedding() : m.model.getFrozenItemEmb(); m.groups = []; });
+  const I = idx2item.length;
+  const rng = mulberry32(opts.seed);
+  const t0 = performance.now();
+  for (let s=0; s<cases.length; s+=32){
+    const batch = cases.slice(s, s+32);
+    const prs = graph.pprBatch(batch.map(c=>c.u), PPR_OPTS);
+    const towers = models.map(m=> towerScores(m.model, m.emb, batch.map(c=>c.uIdx)));
+    batch.forEach((c,b)=>{
+      const candIdx = [];
+      for (let ii=0; ii<I; ii++) if (!c.seen.has(ii)) candIdx.push(ii);
+      const pos = new Set(c.positives);
+      const negs = new Set();
+      const want = Math.min(opts.negatives, candIdx.length - pos.size);
+      while (negs.size < want){ const ii = candIdx[(rng()*candIdx.length)|0]; if (!pos.has(ii)) negs.add(ii); }
+      models.forEach((m,k)=>{
+        const inputs = [{ name: m.label, scores: towers[k].subarray(b*I, (b+1)*I) }, { name: 'PPR', scores: prs[b].scores }];
+        const rowSet = new Set([...c.positives, ...negs]);
+        for (const inp of inputs) for (const ii of topCandidates(inp.scores, candIdx, opts.hard, pos)) rowSet.add(ii);
+        const rowsIdx = Array.from(rowSet);
+        const f = fusionFeatures(inputs, candIdx, itemPop, rowsIdx);
+        m.names = f.names;
+        m.groups.push({ X: f.X, labels: rowsIdx.map(ii=> pos.has(ii) ? 1 : 0) });
+      });
+    });
+    line.textContent = `Fitting fusion… features for ${fmt(Math.min(cases.length, s+32))}/${fmt(cases.length)} users`;
+    await tf.nextFrame();
+  }
+  models.forEach(m=>{ if (m.key==='deep') m.emb.dispose(); });
+  // a newer fit, or a model retrained meanwhile, makes these groups stale
+  if (run !== fusionRun || models.some(m=> m.model !== (m.key==='baseline' ? baseline : deep))) return;
+
+  for (const m of models){
+    fusion[m.key] = FusionRanker.fit(m.groups, m.names, { epochs: opts.epochs, seed: opts.seed });
+  }
+  fusionUsers = new Set(cases.map(c=>c.u));
+  renderFusion(models.map(m=>m.key), cases.length, performance.now()-t0);
+}
+
+function renderFusion(keys, nUsers, ms){
+  const pct = (v)=> v==null ? '—' : (100*v).toFixed(1)+'%';
+  const parts = [];
+  const tables = [];
+  for (const key of keys){
+    const f = fusion[key];
+    if (!f) continue;
+    const label = FUSION_MODELS.find(m=>m.key===key).label;
+    const modelAlone = f.alone[f.names.indexOf(label)];
+    parts.push(`${label}: held-out pair accuracy <b>${pct(f.report.heldOutAccuracy)}</b> (model score alone ${pct(modelAlone)})`);
+    tables.push(
+      `<div><h3>${label} fusion</h3><table><thead><tr><th>Feature</th><th>weight</th><th>share</th><th>alone</th></tr></thead><tbody>`+
+      f.importance().map(r=>`<tr><td>${escapeHtml(r.name)}</td><td>${r.weight.toFixed(3)}</td><td>${pct(r.share)}</td><td>${pct(r.alone)}</td></tr>`).join('')+
+      `</tbody></table></div>`);
+  }
+  const rep = fusion[keys.find(k=>fusion[k])]?.report;
+  $('fusionLine').innerHTML = parts.join(' · ') +
+    (rep ? ` · ${fmt(nUsers)} users (${fmt(rep.heldOutGroups)} held out), ${fmt(rep.pairs)} pairs, ${(ms/1000).toFixed(1)} s` : '');
+  $('fusionBody').innerHTML = tables.join('');
+}
+
+// --------- ANN retrieval (HNSW over the item tower, ann.js) ----------
+// flat [items * embDim] item vectors and one user's vector, as the pure-JS index wants them
+function itemVectors(key){
+  return (key==='baseline' ? lastItemEmb : lastItemEmbDeep).dataSync().slice();
+}
+function userVector(model, uIdx){
+  return tf.tidy(()=> model.userForward(tf.tensor1d([uIdx],'int32')).dataSync());
+}
+
+function annTarget(){
+  const key = $('annModel').value;
+  return { key, label: FUSION_MODELS.find(m=>m.key===key).label, model: key==='baseline' ? baseline : deep };
+}
+
+async function buildAnn(){
+  const line = $('annLine');
+  const { key, label, model } = annTarget();
+  if (!model){ line.textContent = `Train the ${label} model first.`; return; }
+  const int = (id, dflt) => { const v = parseInt($(id).value,10); return Number.isFinite(v) ? v : dflt; };
+  const index = new HNSWIndex({ M: Math.max(4, int('annM', 16)), efConstruction: Math.max(16, int('annEfc', 100)), random: mulberry32(42) });
+  line.textContent = `Building ${label} HNSW…`;
+  await index.build(itemVectors(key), idx2item.length, model.embDim,
+    { onProgress: (done,total)=>{ line.textContent = `Building ${label} HNSW: ${fmt(done)}/${fmt(total)} recipes…`; } });
+  // retraining meanwhile makes this index stale
+  if (model !== (key==='baseline' ? baseline : deep)) return;
+  annIndex[key] = index;
+  line.textContent = `${label} HNSW built over ${fmt(index.size)} recipes in ${(index.buildMs/1000).toFixed(1)} s; the demo now retrieves its top ${ANN_CANDIDATES} from it.`;
+}
+
+// latency and recall@K of HNSW against exact search, for users with a training history
+async function benchAnn(){
+  const line = $('annLine');
+  const { key, label, model } = annTarget();
+  const index = annIndex[key];
+  if (!index){ line.textContent = `Build the ${label} index first.`; return; }
+  const int = (id, dflt) => { const v = parseInt($(id).value,10); return Number.isFinite(v) ? v : dflt; };
+  const K = Math.max(1, int('annK', 10)), nq = Math.max(1, int('annQ', 200));
+  const queries = [];
+  for (let t=0; t<nq; t++){
+    const u = pickUserForDemo(1).user;
+    if (u==null) break;
+    const exclude = new Set((user2items.get(u)||[]).map(x=>itemIndex.get(x.i)));
+    queries.push({ u, vector: userVector(model, userIndex.get(u)), exclude });
   }
+  if (!queries.length){ line.textContent = 'No users with training interactions.'; return; }
+  line.textContent = `Benchmarking ${label} on ${fmt(queries.length)} users…`;
+  await tf.nextFrame();
+
+  // the demo's exact path: scoreUserAgainstAll + sort
+  const t0 = performance.now();
+  for (const q of queries){
+    const uIdx = tf.tensor1d([userIndex.get(q.u)], 'int32');
+    const s = model.scoreUserAgainstAll(uIdx); const arr = s.dataSync(); s.dispose(); uIdx.dispose();
+    Array.from(arr, (v,ii)=>({ii,v})).filter(x=>!q.exclude.has(x.ii)).sort((a,b)=>b.v-a.v).slice(0,K);
+  }
+  const tfMs = (performance.now()-t0)/queries.length;
+
+  const res = benchmarkAnn(index, itemVectors(key), queries, K, [16,32,64,128]);
+  const row = (name,ms,rec,sp)=> `<tr><td>${name}</td><td>${ms.toFixed(3)}</td><td>${rec.toFixed(3)}</td><td>${sp.toFixed(2)}×</td></tr>`;
+  $('annTbl').innerHTML =
+    row('Exact (TF.js matmul + sort)', tfMs, 1, res.exactMs/tfMs) +
+    row('Exact (JS scan)', res.exactMs, 1, 1) +
+    res.rows.map(r=> row(`HNSW ef=${r.ef}`, r.ms, r.recall, r.speedup)).join('');
+  line.textContent = `${label}: ${fmt(queries.length)} users, seen recipes excluded, recall vs exact top-${K}.`;
 }
 
-// --------- Metrics (Recall@10 / nDCG@10 with sampled negatives) ----------
+// --------- Metrics (seeded Recall / NDCG / MRR @5,10,20 via evaluate.js) ----------
+function readEvalSettings(){
+  const int = (id, dflt) => { const v = parseInt($(id).value,10); return Number.isFinite(v) ? v : dflt; };
+  return {
+    protocol: $('evProtocol').value,
+    maxUsers: Math.max(1, int('evUsers', 300)),
+    negatives: Math.max(1, int('evNeg', 800)),
+    bootstrap: Math.max(0, int('evBoot', 1000)),
+    seed: int('evSeed', 42)
+  };
+}
+
+// [B, I] scores from a trained tower against a materialised item table
+function towerScores(model, itemEmb, uIdxs){
+  const t = tf.tidy(()=> tf.matMul(model.userForward(tf.tensor1d(uIdxs,'int32')), itemEmb, false, true));
+  const arr = t.dataSync();
+  t.dispose();
+  return arr;
+}
+
+let evalRun = 0;
 async function computeAndShowMetrics(){
   const body = $('metricsBody');
   if (!valid.length){ body.textContent = 'No validation split found.'; return; }
+  if (!baseline && !deep){ body.textContent = 'Train a model first (baseline or deep).'; return; }
+
+  const run = ++evalRun;   // a newer click supersedes this run, and so does retraining a model
+  const trained = { baseline, deep };
+  const fused = { baseline: fusion.baseline, deep: fusion.deep };
+  const stale = () => run !== evalRun || baseline !== trained.baseline || deep !== trained.deep ||
+    fusion.baseline !== fused.baseline || fusion.deep !== fused.deep;
+  const opts = readEvalSettings();
+  const I = idx2item.length;
+  const cases = buildEvalCases({
+    valid, trainByUser: trainItemsByUser(), userIndex, itemIndex, maxUsers: opts.maxUsers, seed: opts.seed, exclude: fusionUsers
+  });
+  if (!cases.length){
+    $('evalLine').textContent = '—';
+    body.textContent = 'No validation user (outside the fusion fit) has an unseen held-out recipe.'; return;
+  }
 
-  const sampleNeg = 800;
-  const K = 10;
-  const usersV = Array.from(new Set(valid.map(x=>x.u)));
-  const uPick = usersV.slice(0, Math.min(120, usersV.length));
-
-  async function evalModel(model){
-    if (!model) return null;
-    let hits=0, dcg=0, ideal=0;
-    for (const u of uPick){
-      const seen = new Set((user2items.get(u)||[]).map(x=>x.i));
-      const testPos = valid.filter(x=>x.u===u).map(x=>x.i);
-      if (!testPos.length) continue;
-
-      const neg = [];
-      while (neg.length<sampleNeg){
-        const iid = idx2item[(Math.random()*idx2item.length)|0];
-        if (!seen.has(iid) && !testPos.includes(iid)) neg.push(iid);
-      }
-      const posSample = testPos.slice(0, Math.min(testPos.length,5));
-      const candidates = posSample.concat(neg);
+  const names = [];
+  if (baseline) names.push('Baseline');
+  if (deep) names.push('Deep (MLP+features)');
+  if (graph){
+    names.push('PPR only');
+    if (fusion.baseline) names.push('Baseline + PPR (learned)');
+    if (fusion.deep) names.push('Deep + PPR (learned)');
+  }
 
-      const uIdx = tf.tensor1d([userIndex.get(u)], 'int32');
-      const scores = await model.scoreItems(uIdx, candidates.map(i=>itemIndex.get(i)));
-      uIdx.dispose();
-      const arr = Array.from(scores.dataSync());
-      scores.dispose();
-
-      const zipped = candidates.map((iid,ix)=>({iid, s:arr[ix], rel: posSample.includes(iid)?1:0}))
-                               .sort((a,b)=>b.s-a.s).slice(0,K);
-      hits += zipped.some(z=>z.rel>0) ? 1 : 0;
-      dcg  += zipped.reduce((s,z,idx)=> s + (z.rel>0 ? 1/Math.log2(idx+2) : 0), 0);
-      ideal+= 1; // one relevant per query (posSample≥1)
+  const baseEmb = baseline ? baseline.readItemEmbedding() : null;
+  const deepEmb = deep ? deep.getFrozenItemEmb() : null;
+
+  const scoreBatch = async (batch) => {
+    await tf.nextFrame();
+    if (stale()) throw new Error('superseded');
+    const uIdxs = batch.map(c=>c.uIdx);
+    const out = {};
+    if (baseline) out['Baseline'] = towerScores(baseline, baseEmb, uIdxs);
+    if (deep) out['Deep (MLP+features)'] = towerScores(deep, deepEmb, uIdxs);
+    if (graph){
+      const pr = new Float32Array(batch.length * I);
+      graph.pprBatch(batch.map(c=>c.u), PPR_OPTS).forEach((r,b)=> pr.set(r.scores, b*I));
+      out['PPR only'] = pr;
+      for (const [key, label, name] of [['baseline','Baseline','Baseline'], ['deep','Deep','Deep (MLP+features)']]){
+        if (!fused[key]) continue;
+        const arr = new Float32Array(batch.length * I);
+        batch.forEach((c,b)=>{
+          const candIdx = [];
+          for (let ii=0; ii<I; ii++) if (!c.seen.has(ii)) candIdx.push(ii);
+          const inputs = [{ name: label, scores: out[name].subarray(b*I, (b+1)*I) }, { name: 'PPR', scores: pr.subarray(b*I, (b+1)*I) }];
+          arr.set(fusedScores(fused[key], inputs, candIdx), b*I);
+        });
+        out[`${label} + PPR (learned)`] = arr;
+      }
     }
-    return { recallAt10: hits/Math.max(1,uPick.length), ndcgAt10: dcg/Math.max(1,ideal) };
-  }
+    return out;
+  };
 
-  const baseM = await evalModel(baseline);
-  const deepM = await evalModel(deep);
+  const t0 = performance.now();
+  $('btnEval').disabled = true;
+  let report;
+  try{
+    report = await evaluateRankers({ names, scoreBatch }, cases, {
+      numItems: I, protocol: opts.protocol, negatives: opts.negatives, ks: [5,10,20],
+      seed: opts.seed, bootstrap: opts.bootstrap, batchSize: 32,
+      onProgress: (done,total)=>{ $('evalLine').textContent = `Evaluating… ${fmt(done)}/${fmt(total)} users`; }
+    });
+  } catch(err){
+    if (err.message === 'superseded') return;
+    throw err;
+  } finally {
+    deepEmb?.dispose();
+    if (run === evalRun) $('btnEval').disabled = false;
+  }
 
+  const protocolText = report.protocol === 'full'
+    ? `full catalog (${fmt(I)} recipes minus each user's train items)`
+    : `${fmt(report.negatives)} sampled unseen negatives per user`;
+  $('evalLine').textContent =
+    `${fmt(report.users)} users · ${protocolText} · seed ${opts.seed} · ${opts.bootstrap} bootstrap resamples · ` +
+    `${((performance.now()-t0)/1000).toFixed(1)} s`;
+
+  const cols = [];
+  for (const m of EVAL_METRICS) for (const k of report.ks) cols.push(`${m}@${k}`);
+  const label = (key) => key.replace('recall','Recall').replace('ndcg','NDCG').replace('mrr','MRR');
+  const best = {};
+  for (const key of cols) best[key] = Math.max(...report.rows.map(r=>r.metrics[key].mean));
+  const cell = (v, key) =>
+    `<td><b class="${v.mean===best[key] && v.mean>0 ? 'ok' : ''}">${v.mean.toFixed(3)}</b><br>`+
+    `<small class="muted">${v.lo.toFixed(3)}–${v.hi.toFixed(3)}</small></td>`;
   body.innerHTML =
-    `<p>Validation users sampled: ${fmt(uPick.length)} (sampled negatives=${sampleNeg})</p>`+
-    `<p>Baseline — Recall@10: <b>${baseM?baseM.recallAt10.toFixed(3):'—'}</b> · nDCG@10: <b>${baseM?baseM.ndcgAt10.toFixed(3):'—'}</b></p>`+
-    `<p>Deep (MLP+tags) — Recall@10: <b class="${deepM && baseM && deepM.recallAt10>=baseM.recallAt10?'ok':'bad'}">${deepM?deepM.recallAt10.toFixed(3):'—'}</b> · nDCG@10: <b>${deepM?deepM.ndcgAt10.toFixed(3):'—'}</b></p>`;
+    `<table><thead><tr><th>Model</th>${cols.map(c=>`<th>${label(c)}</th>`).join('')}</tr></thead><tbody>`+
+    report.rows.map(r=>`<tr><td>${escapeHtml(r.name)}</td>${cols.map(c=>cell(r.metrics[c], c)).join('')}</tr>`).join('')+
+    `</tbody></table>`+
+    `<p class="muted">Mean over users with a 95% bootstrap interval. “+ PPR (learned)” ranks with the fitted fusion
+      (${escapeHtml(graph?.weighting||'—')} edges), as in the demo; the ${fmt(fusionUsers.size)} users it was fitted on are
+      not evaluated.</p>`;
 }
 
 // --------- misc ----------
@@ -615,3 +972,13 @@ $('loadBtn').addEventListener('click', handleLoad);
 $('trainBase').addEventListener('click', ()=>trainBaseline().catch(console.error));
 $('trainDeep').addEventListener('click', ()=>trainDeepModel().catch(console.error));
 $('btnTest').addEventListener('click', ()=>demoOnce().catch(console.error));
+$('graphWeight').addEventListener('change', ()=>{
+  if (!idx2user.length) return;
+  buildGraph();
+  // PPR scores shift with the edge weighting, so refit a fusion that was fitted on the old graph
+  if (fusion.baseline || fusion.deep) fitFusion().catch(console.error);
+});
+$('fitFusion').addEventListener('click', ()=>fitFusion().then(computeAndShowMetrics).catch(console.error));
+$('btnEval').addEventListener('click', ()=>computeAndShowMetrics().catch(console.error));
+$('btnBuildAnn').addEventListener('click', ()=>buildAnn().catch(console.error));
+$('btnBenchAnn').addEventListener('click', ()=>benchAnn().catch(console.error));
@@ -0,0 +1,135 @@
+/* constraints.js
+   Dietary / time constraints for recipe recommendations.
+
+   Spec (read from the Demo panel by readConstraints() in app.js):
+     requireTags         hard: recipe carries every one of these tags
+     excludeTags         hard: recipe carries none of them
+     maxMinutes          hard: cook time ≤ maxMinutes (unknown cook time fails)
+     maxCalories         hard: nutrition[0] ≤ maxCalories (unknown nutrition fails)
+     excludeIngredients  hard: no ingredient contains any of these strings ("nuts" hits "peanuts")
+     prefer / avoid      soft: terms matched against tags and ingredients
+     softWeight          boost per preferred term, penalty per avoided term
+
+   Soft weights are in units of the candidates' score standard deviation, so one
+   setting behaves the same on baseline, deep and PPR-blended scores.
+
+   new ConstraintEngine(spec)
+     .check(item)   -> { ok, reasons: [{ kind, text }] }   every failed hard filter
+     .adjust(item)  -> { terms: number, matched: string[] }
+     .rank(candIdx, scores, itemAt, k) -> {
+        top:      [{ ii, score, base, matched }]      constrained top-k (score = base + boost)
+        excluded: [{ ii, rank, base, reasons: string[] }]  unconstrained top-k entries filtered out
+        passed, total, reasonCounts: { tag, time, calories, ingredient }
+      }
+*/
+
+function parseTermList(text) {
+  return String(text || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+class ConstraintEngine {
+  constructor(spec = {}) {
+    this.requireTags = (spec.requireTags || []).map(t => t.toLowerCase());
+    this.excludeTags = (spec.excludeTags || []).map(t => t.toLowerCase());
+    this.maxMinutes = Number.isFinite(spec.maxMinutes) && spec.maxMinutes > 0 ? spec.maxMinutes : null;
+    this.maxCalories = Number.isFinite(spec.maxCalories) && spec.maxCalories > 0 ? spec.maxCalories : null;
+    this.excludeIngredients = (spec.excludeIngredients || []).map(t => t.toLowerCase());
+    this.prefer = (spec.prefer || []).map(t => t.toLowerCase());
+    this.avoid = (spec.avoid || []).map(t => t.toLowerCase());
+    this.softWeight = Number.isFinite(spec.softWeight) ? spec.softWeight : 0.5;
+  }
+
+  get hasHard() {
+    return !!(this.requireTags.length || this.excludeTags.length || this.maxMinutes || this.maxCalories ||
+              this.excludeIngredients.length);
+  }
+  get hasSoft() { return !!((this.prefer.length || this.avoid.length) && this.softWeight); }
+
+  // one-line summary for the status line
+  describe() {
+    const parts = [];
+    if (this.requireTags.length) parts.push(`tags: ${this.requireTags.join(' + ')}`);
+    if (this.excludeTags.length) parts.push(`not: ${this.excludeTags.join(', ')}`);
+    if (this.maxMinutes) parts.push(`≤ ${this.maxMinutes} min`);
+    if (this.maxCalories) parts.push(`≤ ${this.maxCalories} kcal`);
+    if (this.excludeIngredients.length) parts.push(`no ${this.excludeIngredients.join(', ')}`);
+    if (this.hasSoft) {
+      if (this.prefer.length) parts.push(`prefer ${this.prefer.join(', ')}`);
+      if (this.avoid.length) parts.push(`avoid ${this.avoid.join(', ')}`);
+    }
+    return parts.length ? parts.join(' · ') : 'none';
+  }
+
+  check(item) {
+    const reasons = [];
+    const tags = (item?.tags || []).map(t => t.toLowerCase());
+    for (const t of this.requireTags) if (!tags.includes(t)) reasons.push({ kind: 'tag', text: `not tagged "${t}"` });
+    for (const t of this.excludeTags) if (tags.includes(t)) reasons.push({ kind: 'tag', text: `tagged "${t}"` });
+    if (this.maxMinutes) {
+      const m = item?.minutes;
+      if (!Number.isFinite(m) || m <= 0) reasons.push({ kind: 'time', text: 'cook time unknown' });
+      else if (m > this.maxMinutes) reasons.push({ kind: 'time', text: `${m} min > ${this.maxMinutes}` });
+    }
+    if (this.maxCalories) {
+      const kcal = item?.nutrition?.[0];
+      if (!Number.isFinite(kcal)) reasons.push({ kind: 'calories', text: 'calories unknown' });
+      else if (kcal > this.maxCalories) reasons.push({ kind: 'calories', text: `${Math.round(kcal)} kcal > ${this.maxCalories}` });
+    }
+    if (this.excludeIngredients.length) {
+      for (const ing of item?.ingredients || []) {
+        const hit = this.excludeIngredients.find(x => ing.includes(x));
+        if (hit) reasons.push({ kind: 'ingredient', text: `contains ${ing}` });
+      }
+    }
+    return { ok: reasons.length === 0, reasons };
+  }
+
+  // +1 per preferred term, −1 per avoided term found in the item's tags or ingredients
+  adjust(item) {
+    if (!this.hasSoft) return { terms: 0, matched: [] };
+    const tags = (item?.tags || []).map(t => t.toLowerCase());
+    const ings = item?.ingredients || [];
+    const has = (term) => tags.includes(term) || ings.some(g => g.includes(term));
+    let terms = 0;
+    const matched = [];
+    for (const p of this.prefer) if (has(p)) { terms++; matched.push(`+${p}`); }
+    for (const a of this.avoid) if (has(a)) { terms--; matched.push(`−${a}`); }
+    return { terms, matched };
+  }
+
+  rank(candIdx, scores, itemAt, k = 10) {
+    const finite = candIdx.filter(ii => Number.isFinite(scores[ii]));
+    let mean = 0, sq = 0;
+    for (const ii of finite) mean += scores[ii];
+    mean /= Math.max(1, finite.length);
+    for (const ii of finite) sq += (scores[ii] - mean) ** 2;
+    const unit = Math.sqrt(sq / Math.max(1, finite.length)) || 1;
+
+    const reasonCounts = { tag: 0, time: 0, calories: 0, ingredient: 0 };
+    const kept = [];
+    const failed = new Map(); // ii -> reasons
+    for (const ii of finite) {
+      const item = itemAt(ii);
+      const { ok, reasons } = this.check(item);
+      if (!ok) {
+        failed.set(ii, reasons);
+        for (const kind of new Set(reasons.map(r => r.kind))) reasonCounts[kind]++;
+        continue;
+      }
+      const { terms, matched } = this.adjust(item);
+      kept.push({ ii, base: scores[ii], score: scores[ii] + terms * this.softWeight * unit, matched });
+    }
+    kept.sort((a, b) => b.score - a.score);
+
+    const excluded = [];
+    if (failed.size) {
+      finite.slice().sort((a, b) => scores[b] - scores[a]).slice(0, k).forEach((ii, rank) => {
+        if (failed.has(ii)) excluded.push({ ii, rank: rank + 1, base: scores[ii], reasons: failed.get(ii).map(r => r.text) });
+      });
+    }
+    return { top: kept.slice(0, k), excluded, passed: kept.length, total: finite.length, reasonCounts };
+  }
+}
+
+window.ConstraintEngine = ConstraintEngine;
+window.parseTermList = parseTermList;
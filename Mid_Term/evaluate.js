@@ -0,0 +1,177 @@
+/* evaluate.js
+   Seeded offline evaluation for the recipe recommenders.
+
+   Everything random (user sample, sampled negatives, bootstrap) comes from one
+   seed, so the same settings give the same numbers on every click.
+
+   buildEvalCases({ valid, trainByUser, userIndex, itemIndex, maxUsers, seed, exclude })
+     -> [{ u, uIdx, positives: item indices, seen: Set<item index> }]
+        positives = held-out items the user did not already interact with in train;
+        seen (train items) are never ranked; users in `exclude` (e.g. ones a fusion
+        was fitted on) are skipped.
+
+   evaluateRankers({ names, scoreBatch }, cases, opts) -> { protocol, ks, users, rows }
+     scoreBatch(cases) -> Promise<{ [name]: Float32Array [cases.length * numItems] }>
+     opts: { numItems, protocol: 'full'|'sampled', negatives, ks, seed, bootstrap, batchSize, onProgress }
+     rows: [{ name, metrics: { 'recall@10': { mean, lo, hi }, 'ndcg@10': …, 'mrr@10': … } }]
+
+   Protocols
+     full     every unseen item is a candidate (what the demo actually does)
+     sampled  positives + `negatives` unseen items drawn per user (cheaper, optimistic)
+   Ties count against the positive, so constant or sparse scores (e.g. PPR zeros) are not rewarded.
+   Recall@K = hits / |positives|, NDCG@K with binary gains, MRR@K = 1 / rank of the first hit.
+*/
+
+const EVAL_METRICS = ['recall', 'ndcg', 'mrr'];
+
+// small fast seeded PRNG, returns floats in [0, 1)
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function buildEvalCases({ valid, trainByUser, userIndex, itemIndex, maxUsers = 300, seed = 42, exclude = null }) {
+  const heldOut = new Map();
+  for (const { u, i } of valid) {
+    if (!userIndex.has(u) || !itemIndex.has(i) || exclude?.has(u)) continue;
+    if (!heldOut.has(u)) heldOut.set(u, new Set());
+    heldOut.get(u).add(itemIndex.get(i));
+  }
+  const cases = [];
+  for (const [u, pos] of heldOut) {
+    const seen = new Set((trainByUser.get(u) || []).map(i => itemIndex.get(i)).filter(ii => ii !== undefined));
+    const positives = Array.from(pos).filter(ii => !seen.has(ii));
+    if (positives.length) cases.push({ u, uIdx: userIndex.get(u), positives, seen });
+  }
+  // seeded partial Fisher–Yates over users sorted by id
+  cases.sort((a, b) => a.u - b.u);
+  const rng = mulberry32(seed);
+  const n = Math.min(maxUsers, cases.length);
+  for (let k = 0; k < n; k++) {
+    const j = k + Math.floor(rng() * (cases.length - k));
+    [cases[k], cases[j]] = [cases[j], cases[k]];
+  }
+  return cases.slice(0, n);
+}
+
+// unseen, non-positive items drawn without replacement (by rejection; catalogs are large)
+function sampleNegatives(c, numItems, count, rng) {
+  const taken = new Set();
+  const pos = new Set(c.positives);
+  const available = numItems - c.seen.size - pos.size;
+  const want = Math.max(0, Math.min(count, available));
+  const out = [];
+  while (out.length < want) {
+    const ii = Math.floor(rng() * numItems);
+    if (c.seen.has(ii) || pos.has(ii) || taken.has(ii)) continue;
+    taken.add(ii); out.push(ii);
+  }
+  return out;
+}
+
+// 0-based rank of each positive among the candidates (pessimistic ties)
+function positiveRanks(scores, offset, c, candidates, numItems) {
+  return c.positives.map(p => {
+    const s = scores[offset + p];
+    let rank = 0;
+    if (candidates) {
+      for (const ii of candidates) if (scores[offset + ii] >= s) rank++;
+      for (const q of c.positives) if (q !== p && scores[offset + q] >= s) rank++;
+    } else {
+      for (let ii = 0; ii < numItems; ii++) {
+        if (ii !== p && !c.seen.has(ii) && scores[offset + ii] >= s) rank++;
+      }
+    }
+    return Number.isFinite(s) ? rank : Infinity;
+  });
+}
+
+function metricsFromRanks(ranks, ks) {
+  const sorted = ranks.slice().sort((a, b) => a - b);
+  const out = {};
+  for (const k of ks) {
+    let hits = 0, dcg = 0;
+    for (const r of sorted) if (r < k) { hits++; dcg += 1 / Math.log2(r + 2); }
+    let idcg = 0;
+    for (let j = 0; j < Math.min(k, ranks.length); j++) idcg += 1 / Math.log2(j + 2);
+    out[`recall@${k}`] = hits / ranks.length;
+    out[`ndcg@${k}`] = idcg ? dcg / idcg : 0;
+    out[`mrr@${k}`] = sorted[0] < k ? 1 / (sorted[0] + 1) : 0;
+  }
+  return out;
+}
+
+// percentile bootstrap over users
+function bootstrapCI(values, iterations, rng, level = 0.95) {
+  const n = values.length;
+  const mean = n ? values.reduce((s, v) => s + v, 0) / n : 0;
+  if (n < 2 || iterations < 1) return { mean, lo: mean, hi: mean };
+  const means = new Float64Array(iterations);
+  for (let b = 0; b < iterations; b++) {
+    let s = 0;
+    for (let j = 0; j < n; j++) s += values[Math.floor(rng() * n)];
+    means[b] = s / n;
+  }
+  means.sort();
+  const tail = (1 - level) / 2;
+  return {
+    mean,
+    lo: means[Math.floor(tail * (iterations - 1))],
+    hi: means[Math.ceil((1 - tail) * (iterations - 1))]
+  };
+}
+
+async function evaluateRankers({ names, scoreBatch }, cases, opts = {}) {
+  const numItems = opts.numItems;
+  const protocol = opts.protocol ?? 'full';
+  const ks = opts.ks ?? [5, 10, 20];
+  const seed = opts.seed ?? 42;
+  const batchSize = opts.batchSize ?? 32;
+
+  // negatives are drawn once per user so every ranker sees the same candidates
+  const negRng = mulberry32(seed ^ 0x9E3779B9);
+  const negatives = protocol === 'sampled'
+    ? cases.map(c => sampleNegatives(c, numItems, opts.negatives ?? 800, negRng))
+    : null;
+
+  const perUser = new Map(names.map(n => [n, []]));   // name -> [{metric: value}]
+  for (let s = 0; s < cases.length; s += batchSize) {
+    const batch = cases.slice(s, s + batchSize);
+    const scores = await scoreBatch(batch);
+    batch.forEach((c, b) => {
+      for (const name of names) {
+        if (!scores[name]) continue;
+        const ranks = positiveRanks(scores[name], b * numItems, c, negatives ? negatives[s + b] : null, numItems);
+        perUser.get(name).push(metricsFromRanks(ranks, ks));
+      }
+    });
+    opts.onProgress?.(Math.min(cases.length, s + batchSize), cases.length);
+  }
+
+  const rows = [];
+  for (const name of names) {
+    const list = perUser.get(name);
+    if (!list.length) continue;
+    const metrics = {};
+    for (const k of ks) {
+      for (const m of EVAL_METRICS) {
+        const key = `${m}@${k}`;
+        // same resamples for every metric/model: reseed per key
+        metrics[key] = bootstrapCI(list.map(x => x[key]), opts.bootstrap ?? 1000, mulberry32(seed + 7));
+      }
+    }
+    rows.push({ name, metrics });
+  }
+  return { protocol, ks, users: cases.length, negatives: negatives ? (opts.negatives ?? 800) : null, rows };
+}
+
+window.mulberry32 = mulberry32;
+window.buildEvalCases = buildEvalCases;
+window.evaluateRankers = evaluateRankers;
+window.EVAL_METRICS = EVAL_METRICS;
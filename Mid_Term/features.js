@@ -0,0 +1,125 @@
+/* features.js
+   Item feature pipeline for the deep item tower.
+
+   buildItemFeatures(items, itemIds, opts) -> {
+     matrix: Float32Array [itemIds.length * dim] (row-major, row = item index),
+     dim, blocks: [{ name, offset, size }],
+     tagVocab: string[], ingredientVocab: string[],
+     coverage: { tags, ingredients, nutrition, time }   // share of items with the block filled
+   }
+
+   Blocks (in column order)
+     tags         multi-hot over the tag vocabulary; tags outside it are dropped, never hashed
+     ingredients  multi-hot over ingredients used by ≥ minIngredientFreq recipes (top maxIngredients)
+     nutrition    log1p + z-score of the 7 RAW_recipes values, plus a "missing" flag
+     time         one-hot cook-time bucket (see COOK_TIME_BUCKETS)
+     complexity   log1p + z-score of n_steps and n_ingredients
+
+   items: Map<itemId -> { tags[], ingredients[], nutrition number[]|null, minutes, nSteps }>
+*/
+
+const NUTRITION_FIELDS = ['calories', 'total fat', 'sugar', 'sodium', 'protein', 'saturated fat', 'carbohydrates'];
+const COOK_TIME_BUCKETS = [15, 30, 60, 120, 240];   // upper bounds in minutes; one more bucket for longer
+const COOK_TIME_LABELS = ['≤15 min', '≤30 min', '≤1 h', '≤2 h', '≤4 h', '>4 h'];
+
+function normalizeIngredient(s) {
+  return String(s).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// -1 when the cook time is unknown (RAW_recipes uses 0 for "not given")
+function cookTimeBucket(minutes) {
+  if (!Number.isFinite(minutes) || minutes <= 0) return -1;
+  const k = COOK_TIME_BUCKETS.findIndex(ub => minutes <= ub);
+  return k < 0 ? COOK_TIME_BUCKETS.length : k;
+}
+
+// ingredients used by at least minFreq recipes, most frequent first
+function buildIngredientVocab(items, minFreq = 5, maxSize = 300) {
+  const freq = new Map();
+  for (const it of items.values()) {
+    for (const ing of new Set(it.ingredients || [])) freq.set(ing, (freq.get(ing) || 0) + 1);
+  }
+  return Array.from(freq.entries())
+    .filter(([, c]) => c >= minFreq)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, maxSize)
+    .map(([ing]) => ing);
+}
+
+// mean / std of log1p(value) over the items that have it
+function logStats(values) {
+  let n = 0, sum = 0, sq = 0;
+  for (const v of values) {
+    if (!Number.isFinite(v) || v < 0) continue;
+    const x = Math.log1p(v);
+    n++; sum += x; sq += x * x;
+  }
+  const mean = n ? sum / n : 0;
+  const std = n ? Math.sqrt(Math.max(0, sq / n - mean * mean)) : 0;
+  return { mean, std: std || 1 };
+}
+
+function buildItemFeatures(items, itemIds, opts = {}) {
+  const tagVocab = opts.tagVocab || [];
+  const ingredientVocab = buildIngredientVocab(items, opts.minIngredientFreq ?? 5, opts.maxIngredients ?? 300);
+  const tagPos = new Map(tagVocab.map((t, k) => [t, k]));
+  const ingPos = new Map(ingredientVocab.map((g, k) => [g, k]));
+
+  const blocks = [];
+  let dim = 0;
+  const addBlock = (name, size) => { blocks.push({ name, offset: dim, size }); dim += size; return dim - size; };
+  const oTags = addBlock('tags', tagVocab.length);
+  const oIng = addBlock('ingredients', ingredientVocab.length);
+  const oNut = addBlock('nutrition', NUTRITION_FIELDS.length + 1);
+  const oTime = addBlock('time', COOK_TIME_BUCKETS.length + 1);
+  const oCplx = addBlock('complexity', 2);
+
+  const rows = itemIds.map(id => items.get(id) || {});
+  const nutStats = NUTRITION_FIELDS.map((_, f) => logStats(rows.map(it => it.nutrition?.[f])));
+  const stepStats = logStats(rows.map(it => it.nSteps));
+  const ingCountStats = logStats(rows.map(it => it.ingredients?.length || NaN));
+  const z = (v, s) => (Number.isFinite(v) && v >= 0 ? (Math.log1p(v) - s.mean) / s.std : 0);
+
+  const matrix = new Float32Array(itemIds.length * dim);
+  const covered = { tags: 0, ingredients: 0, nutrition: 0, time: 0 };
+  rows.forEach((it, r) => {
+    const base = r * dim;
+    let hit = false;
+    for (const t of it.tags || []) {
+      const k = tagPos.get(t);
+      if (k !== undefined) { matrix[base + oTags + k] = 1; hit = true; }
+    }
+    if (hit) covered.tags++;
+
+    hit = false;
+    for (const g of it.ingredients || []) {
+      const k = ingPos.get(g);
+      if (k !== undefined) { matrix[base + oIng + k] = 1; hit = true; }
+    }
+    if (hit) covered.ingredients++;
+
+    if (Array.isArray(it.nutrition) && it.nutrition.length >= NUTRITION_FIELDS.length) {
+      NUTRITION_FIELDS.forEach((_, f) => { matrix[base + oNut + f] = z(it.nutrition[f], nutStats[f]); });
+      covered.nutrition++;
+    } else {
+      matrix[base + oNut + NUTRITION_FIELDS.length] = 1;   // missing flag
+    }
+
+    const bucket = cookTimeBucket(it.minutes);
+    if (bucket >= 0) { matrix[base + oTime + bucket] = 1; covered.time++; }
+
+    matrix[base + oCplx] = z(it.nSteps, stepStats);
+    matrix[base + oCplx + 1] = it.ingredients?.length ? z(it.ingredients.length, ingCountStats) : 0;
+  });
+
+  const n = Math.max(1, itemIds.length);
+  const coverage = {};
+  for (const k of Object.keys(covered)) coverage[k] = covered[k] / n;
+  return { matrix, dim, blocks, tagVocab, ingredientVocab, coverage };
+}
+
+window.buildItemFeatures = buildItemFeatures;
+window.normalizeIngredient = normalizeIngredient;
+window.cookTimeBucket = cookTimeBucket;
+window.COOK_TIME_LABELS = COOK_TIME_LABELS;
+window.NUTRITION_FIELDS = NUTRITION_FIELDS;
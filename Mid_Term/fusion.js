@@ -0,0 +1,195 @@
+/* fusion.js
+   Learned score fusion: a pairwise logistic (RankNet-style, linear) learning-to-rank
+   model that replaces a hand-set "model + λ·PPR" blend.
+
+   Features for one user's candidate items (fusionFeatures):
+     <input>            raw score of every input ranker (e.g. deep two-tower, PPR)
+     <input> z          the same score standardised over this user's candidates
+     <input> min–max    the same score rescaled to [0, 1] over this user's candidates
+     log popularity     log1p(training interactions of the item)
+   The per-user columns are computed over all candidates, so they mean the same at
+   fit time (a few sampled rows per user) and at ranking time (every candidate).
+
+   FusionRanker.fit(groups, names, opts) -> FusionRanker
+     groups: [{ X: Float32Array [n * F], labels: 0/1 per row }]   one group per user
+     opts:   { epochs, learningRate, l2, maxPairs, holdout, seed }
+     Every (positive, negative) pair inside a group is a training pair; loss is
+     log(1 + exp(−(s⁺ − s⁻))). A seeded share of the groups (holdout) is kept out
+     and reported as pairwise accuracy.
+   ranker.score(X)      -> Float32Array of fused scores (higher is better)
+   ranker.importance()  -> [{ name, weight, share, alone }]  weights on standardised features,
+                           share = |weight| / Σ|weight|, alone = held-out pairwise accuracy of
+                           ranking by that feature by itself; largest share first
+   Randomness comes from the page's mulberry32 (evaluate.js in Mid_Term, app.js in midterm3).
+*/
+
+class FusionRanker {
+  constructor(names, weights, mean, std) {
+    this.names = names;
+    this.alone = null;
+    this.weights = weights;
+    this.mean = mean;
+    this.std = std;
+    this.report = null;
+  }
+
+  static fit(groups, names, opts = {}) {
+    const t0 = performance.now();
+    const F = names.length;
+    const epochs = opts.epochs ?? 30;
+    const lr0 = opts.learningRate ?? 0.05;
+    const l2 = opts.l2 ?? 1e-3;
+    const maxPairs = opts.maxPairs ?? 50000;
+    const rng = mulberry32(opts.seed ?? 7);   // a fit is reproducible from its seed
+
+    // column statistics over every row, so weights are comparable across features
+    const mean = new Float64Array(F), std = new Float64Array(F);
+    let rows = 0;
+    for (const g of groups) {
+      for (let r = 0; r < g.labels.length; r++, rows++) for (let f = 0; f < F; f++) mean[f] += g.X[r * F + f];
+    }
+    for (let f = 0; f < F; f++) mean[f] /= Math.max(1, rows);
+    for (const g of groups) {
+      for (let r = 0; r < g.labels.length; r++) for (let f = 0; f < F; f++) std[f] += (g.X[r * F + f] - mean[f]) ** 2;
+    }
+    for (let f = 0; f < F; f++) std[f] = Math.sqrt(std[f] / Math.max(1, rows)) || 1;
+
+    // seeded group split, then (positive − negative) difference vectors per pair
+    const order = groups.map((_, k) => k);
+    for (let k = order.length - 1; k > 0; k--) {
+      const j = Math.floor(rng() * (k + 1));
+      [order[k], order[j]] = [order[j], order[k]];
+    }
+    const nHeld = groups.length > 1 ? Math.round(groups.length * (opts.holdout ?? 0.2)) : 0;
+    const toPairs = (ids, cap) => {
+      const diffs = [];
+      for (const k of ids) {
+        const { X, labels } = groups[k];
+        for (let p = 0; p < labels.length; p++) {
+          if (!labels[p]) continue;
+          for (let n = 0; n < labels.length; n++) {
+            if (labels[n]) continue;
+            const d = new Float32Array(F);
+            for (let f = 0; f < F; f++) d[f] = (X[p * F + f] - X[n * F + f]) / std[f];
+            diffs.push(d);
+          }
+        }
+      }
+      // uniform subsample when there are more pairs than the budget
+      for (let k = 0; k < Math.min(cap, diffs.length); k++) {
+        const j = k + Math.floor(rng() * (diffs.length - k));
+        [diffs[k], diffs[j]] = [diffs[j], diffs[k]];
+      }
+      return diffs.slice(0, cap);
+    };
+    const held = toPairs(order.slice(0, nHeld), maxPairs);
+    const fitPairs = toPairs(order.slice(nHeld), maxPairs);
+    if (!fitPairs.length) throw new Error('no (positive, negative) pairs to fit the fusion on');
+
+    // plain SGD on the convex pairwise logistic loss, learning rate decays per epoch
+    const w = new Float64Array(F);
+    const idx = fitPairs.map((_, k) => k);
+    let loss = 0;
+    for (let ep = 0; ep < epochs; ep++) {
+      const lr = lr0 / (1 + ep);
+      for (let k = idx.length - 1; k > 0; k--) {
+        const j = Math.floor(rng() * (k + 1));
+        const t = idx[k]; idx[k] = idx[j]; idx[j] = t;
+      }
+      loss = 0;
+      for (const k of idx) {
+        const d = fitPairs[k];
+        let m = 0;
+        for (let f = 0; f < F; f++) m += w[f] * d[f];
+        loss += m > 0 ? Math.log1p(Math.exp(-m)) : -m + Math.log1p(Math.exp(m));
+        const g = 1 / (1 + Math.exp(m));           // −∂loss/∂m
+        for (let f = 0; f < F; f++) w[f] += lr * (g * d[f] - l2 * w[f]);
+      }
+      loss /= idx.length;
+    }
+
+    // pairwise accuracy of a linear scorer over difference vectors (ties count half)
+    const accuracy = (pairs, score) => {
+      if (!pairs.length) return null;
+      let ok = 0;
+      for (const d of pairs) { const m = score(d); ok += m > 0 ? 1 : m === 0 ? 0.5 : 0; }
+      return ok / pairs.length;
+    };
+    const dot = (d) => { let m = 0; for (let f = 0; f < F; f++) m += w[f] * d[f]; return m; };
+    const evalPairs = held.length ? held : fitPairs;
+    const alone = Float32Array.from(names, (_, f) => accuracy(evalPairs, d => d[f]));
+
+    const ranker = new FusionRanker(names, Float32Array.from(w), Float32Array.from(mean), Float32Array.from(std));
+    ranker.alone = alone;
+    ranker.report = {
+      groups: groups.length, heldOutGroups: nHeld, pairs: fitPairs.length, heldOutPairs: held.length,
+      loss, trainAccuracy: accuracy(fitPairs, dot), heldOutAccuracy: accuracy(held, dot),
+      ms: performance.now() - t0
+    };
+    return ranker;
+  }
+
+  score(X) {
+    const F = this.names.length, n = X.length / F;
+    const out = new Float32Array(n);
+    for (let r = 0; r < n; r++) {
+      let s = 0;
+      for (let f = 0; f < F; f++) s += this.weights[f] * (X[r * F + f] - this.mean[f]) / this.std[f];
+      out[r] = s;
+    }
+    return out;
+  }
+
+  importance() {
+    const total = this.weights.reduce((s, v) => s + Math.abs(v), 0) || 1;
+    return this.names
+      .map((name, f) => ({
+        name, weight: this.weights[f], share: Math.abs(this.weights[f]) / total, alone: this.alone ? this.alone[f] : null
+      }))
+      .sort((a, b) => b.share - a.share);
+  }
+}
+
+// inputs: [{ name, scores }] with scores indexed by item index; rows defaults to candIdx
+function fusionFeatures(inputs, candIdx, popularity, rows = candIdx) {
+  const names = [];
+  for (const { name } of inputs) names.push(name, `${name} z`, `${name} min–max`);
+  names.push('log popularity');
+  const F = names.length;
+  const X = new Float32Array(rows.length * F);
+  const val = (s, ii) => (Number.isFinite(s[ii]) ? s[ii] : 0);
+
+  inputs.forEach(({ scores }, m) => {
+    let mean = 0, sq = 0, lo = Infinity, hi = -Infinity;
+    for (const ii of candIdx) { const v = val(scores, ii); mean += v; if (v < lo) lo = v; if (v > hi) hi = v; }
+    mean /= Math.max(1, candIdx.length);
+    for (const ii of candIdx) sq += (val(scores, ii) - mean) ** 2;
+    const sd = Math.sqrt(sq / Math.max(1, candIdx.length)) || 1;
+    const span = hi - lo || 1;
+    rows.forEach((ii, r) => {
+      const v = val(scores, ii), base = r * F + m * 3;
+      X[base] = v;
+      X[base + 1] = (v - mean) / sd;
+      X[base + 2] = Number.isFinite(lo) ? (v - lo) / span : 0;
+    });
+  });
+  rows.forEach((ii, r) => { X[r * F + F - 1] = Math.log1p(popularity[ii] || 0); });
+  return { names, X };
+}
+
+// the k highest-scoring candidates not in `exclude` (hard negatives for fitting)
+function topCandidates(scores, candIdx, k, exclude) {
+  const top = [];
+  for (const ii of candIdx) {
+    if (exclude?.has(ii) || !Number.isFinite(scores[ii])) continue;
+    if (top.length === k && scores[ii] <= scores[top[k - 1]]) continue;
+    let pos = top.length === k ? k - 1 : top.length;
+    while (pos > 0 && scores[top[pos - 1]] < scores[ii]) { top[pos] = top[pos - 1]; pos--; }
+    top[pos] = ii;
+  }
+  return top;
+}
+
+window.FusionRanker = FusionRanker;
+window.fusionFeatures = fusionFeatures;
+window.topCandidates = topCandidates;
@@ -8,8 +8,10 @@
 
    Deep:
      - user ID embedding: [numUsers, embDim] (trainable)
-     - item tower: base ID embedding + MLP(tags) → embDim
+     - item tower: base ID embedding + MLP(item features) → embDim
        (at least one hidden layer; here 1 hidden layer ReLU)
+     - item features come from features.js (tags, ingredients, nutrition, cook time);
+       the ID table starts at zero so rarely seen recipes are placed by their features
 */
 
 class TwoTowerModel {
@@ -93,38 +95,39 @@ class TwoTowerModel {
 }
 
 class DeepTwoTowerModel {
-  constructor(numUsers, numItems, embDim = 32, tagDim = 200, opts = {}) {
+  constructor(numUsers, numItems, embDim = 32, featDim = 200, opts = {}) {
     this.numUsers = numUsers;
     this.numItems = numItems;
     this.embDim = embDim;
-    this.tagDim = tagDim;
+    this.featDim = featDim;
     this.lr = opts.learningRate || 1e-3;
 
     // User ID table
     this.userIdEmb = tf.variable(tf.randomNormal([numUsers, embDim], 0, 0.05));
-    // Base item ID table (lets the model capture idiosyncrasies)
-    this.itemIdEmb = tf.variable(tf.randomNormal([numItems, embDim], 0, 0.05));
+    // Base item ID table (lets the model capture idiosyncrasies). Zero init: an item
+    // only moves away from its feature embedding once it shows up in training batches.
+    this.itemIdEmb = tf.variable(tf.zeros([numItems, embDim]));
 
-    // MLP for item tags: tagDim -> hidden -> embDim
-    const hidden = Math.max(32, Math.min(256, Math.round(4 * Math.sqrt(embDim * tagDim))));
-    this.W1 = tf.variable(tf.randomNormal([tagDim, hidden], 0, 0.05));
+    // MLP for item features: featDim -> hidden -> embDim
+    const hidden = Math.max(32, Math.min(256, Math.round(4 * Math.sqrt(embDim * featDim))));
+    this.W1 = tf.variable(tf.randomNormal([featDim, hidden], 0, 0.05));
     this.b1 = tf.variable(tf.zeros([hidden]));
     this.W2 = tf.variable(tf.randomNormal([hidden, embDim], 0, 0.05));
     this.b2 = tf.variable(tf.zeros([embDim]));
 
     this.optimizer = tf.train.adam(this.lr);
 
-    this.itemTagMat = null;     // set in compile()
+    this.itemFeatMat = null;    // set in compile()
   }
 
-  async compile(itemTagMatrix) {
-    // Expect a dense 0/1 matrix [numItems, tagDim] (float32)
-    this.itemTagMat = itemTagMatrix;
+  async compile(itemFeatMatrix) {
+    // Expect a dense matrix [numItems, featDim] (float32), see buildItemFeatures()
+    this.itemFeatMat = itemFeatMatrix;
   }
 
-  // MLP(tags) for a batch: tags [B,tagDim] -> [B,embDim]
-  tagsToEmbedding(tagsBatch) {
-    const h1 = tf.relu(tf.add(tf.matMul(tagsBatch, this.W1), this.b1)); // [B,H]
+  // MLP(features) for a batch: [B,featDim] -> [B,embDim]
+  featuresToEmbedding(featBatch) {
+    const h1 = tf.relu(tf.add(tf.matMul(featBatch, this.W1), this.b1)); // [B,H]
     return tf.add(tf.matMul(h1, this.W2), this.b2);                      // [B,D]
   }
 
@@ -132,12 +135,12 @@ class DeepTwoTowerModel {
     return tf.gather(this.userIdEmb, userIdxTensor); // [B,D]
   }
 
-  // Batch of item indices -> fused embedding (ID + tagsMLP)
+  // Batch of item indices -> fused embedding (ID + featuresMLP)
   itemForward(itemIdxTensor) {
-    const idPart = tf.gather(this.itemIdEmb, itemIdxTensor); // [B,D]
-    const tags = tf.gather(this.itemTagMat, itemIdxTensor);  // [B,K]
-    const tagPart = this.tagsToEmbedding(tags);              // [B,D]
-    return tf.add(idPart, tagPart);                          // [B,D]
+    const idPart = tf.gather(this.itemIdEmb, itemIdxTensor);   // [B,D]
+    const feats = tf.gather(this.itemFeatMat, itemIdxTensor);  // [B,F]
+    const featPart = this.featuresToEmbedding(feats);          // [B,D]
+    return tf.add(idPart, featPart);                           // [B,D]
   }
 
   // In‑batch softmax
@@ -166,8 +169,8 @@ class DeepTwoTowerModel {
   // Materialize full item table (for fast scoring & projection)
   getFrozenItemEmb() {
     return tf.tidy(() => {
-      const tagsPart = this.tagsToEmbedding(this.itemTagMat); // [I,D]
-      return tf.add(this.itemIdEmb, tagsPart);                // [I,D]
+      const featPart = this.featuresToEmbedding(this.itemFeatMat); // [I,D]
+      return tf.add(this.itemIdEmb, featPart);                     // [I,D]
     });
   }
 
@@ -196,7 +199,7 @@ class DeepTwoTowerModel {
     this.userIdEmb?.dispose();
     this.itemIdEmb?.dispose();
     this.W1?.dispose(); this.b1?.dispose(); this.W2?.dispose(); this.b2?.dispose();
-    // itemTagMat is owned by app.js; do not dispose here.
+    // itemFeatMat is owned by app.js; do not dispose here.
   }
 }
 
@@ -3,15 +3,33 @@
 const $ = id => document.getElementById(id);
 const fmt = n => (typeof n==='number' ? n.toLocaleString() : n);
 
+// mulberry32: the page's seeded PRNG (fusion fits, ANN level draws), floats in [0, 1)
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 let users = new Set();
 let items = new Map();           // itemId -> {title, tags[]}
 let rows = [];                   // [{u,i,r,ts}]
-let user2items = new Map();      // u -> [{i,r,ts}]
+let user2items = new Map();      // u -> [{u,i,r,ts}], the same row objects as `rows`
+let heldOutRows = new Set();     // last event of every user with ≥4 events: never trained on, fusion positives
 let item2users = new Map();      // i -> Set(u)
 
 let userIndex = new Map(), itemIndex = new Map();
 let idx2user = [], idx2item = [];
 
+let graph = null;                // BipartiteGraph for PPR (graph.js), built at load
+const PPR_OPTS = {alpha:0.15, tol:1e-6, maxIter:100};
+let itemPop = null;              // Float32Array, interactions per item index
+let fusion = null;               // FusionRanker (fusion.js): two-tower + SASRec + PPR + popularity
+
 let tag2idx = new Map(), idx2tag = [];
 let topKTags = 200;
 
@@ -82,10 +100,11 @@ function parseInteractions(csv){
     if (!Number.isInteger(u) || !Number.isInteger(i)) continue;
     const r = rIdx>=0 && cols[rIdx]!=='' ? parseFloat(cols[rIdx]) : 5;
     const ts = tIdx>=0 ? (Date.parse(cols[tIdx]) || 0) : 0;
-    rows.push({u,i,r,ts});
+    const row = {u,i,r,ts};
+    rows.push(row);
     users.add(u);
     if (!user2items.has(u)) user2items.set(u,[]);
-    user2items.get(u).push({i,r,ts});
+    user2items.get(u).push(row);
     if (!item2users.has(i)) item2users.set(i,new Set());
     item2users.get(i).add(u);
   }
@@ -100,6 +119,20 @@ function buildIndexers(){
   itemIndex = new Map(idx2item.map((i,ix)=>[i,ix]));
 }
 
+// leave-last-out split shared by both models' training and fitFusion
+function buildHoldout(){
+  heldOutRows = new Set();
+  user2items.forEach(arr=>{ if (arr.length>=4 && itemIndex.has(arr.at(-1).i)) heldOutRows.add(arr.at(-1)); });
+}
+function trainRows(){ return rows.filter(r=> !heldOutRows.has(r)); }
+
+function buildGraph(){
+  graph = BipartiteGraph.fromInteractions(rows, {
+    userIds: idx2user, itemIds: idx2item, weighting: $('graphWeight')?.value || 'rating+recency'
+  });
+  return graph;
+}
+
 function buildTagVocab(K){
   topKTags = K;
   const freq = new Map();
@@ -118,11 +151,16 @@ async function handleLoad(){
     parseRecipes(rec.text);
     parseInteractions(tr.text);
     buildIndexers();
+    buildHoldout();
     buildTagVocab(parseInt(($('rtK').value||'200'),10));
+    buildGraph();
+    itemPop = new Float32Array(idx2item.length);
+    for (const r of rows){ const ii = itemIndex.get(r.i); if (ii!==undefined) itemPop[ii]++; }
+    fusion = null;
 
     const density = (rows.length/(users.size*Math.max(1,items.size))).toExponential(2);
     $('dsLine').textContent =
-      `Users: ${fmt(users.size)} · Items: ${fmt(items.size)} · Interactions: ${fmt(rows.length)} · Density: ${density} · Ratings: yes`;
+      `Users: ${fmt(users.size)} · Items: ${fmt(items.size)} · Interactions: ${fmt(rows.length)} · Density: ${density} · Ratings: yes · Held out: ${fmt(heldOutRows.size)} last events · Graph: ${fmt(graph.numEdges)} edges (${graph.buildMs.toFixed(0)} ms)`;
     $('status').textContent = 'Status: loaded.';
     drawHist();
     drawTopTags();
@@ -169,7 +207,7 @@ function makeShuffled(arr,maxN){ const A=maxN?arr.slice(0,maxN):arr.slice(); for
 
 async function trainRetriever(){
   if (!users.size){ $('logRetriever').value += `Load data first.\n`; return; }
-  retriever?.dispose?.(); retriever=null; itemMatProjection?.dispose?.(); itemMatProjection=null;
+  retriever?.dispose?.(); retriever=null; fusion=null; itemMatProjection?.dispose?.(); itemMatProjection=null;
 
   const emb=parseInt($('rtEmb').value,10);
   const ep =parseInt($('rtEp').value,10);
@@ -180,7 +218,7 @@ async function trainRetriever(){
 
   buildTagVocab(K);
 
-  const data = makeShuffled(rows, max);
+  const data = makeShuffled(trainRows(), max);
   retriever = new TwoTowerRetriever(idx2user.length, idx2item.length, emb, K, {learningRate:lr});
 
   const tagMat = tf.tensor2d(idx2item.map((_,ix)=> itemTagVectorOfIndex(ix)), [idx2item.length, K], 'float32');
@@ -199,16 +237,18 @@ async function trainRetriever(){
       if (step%5===0){ $('logRetriever').value += `epoch ${e+1}/${ep} · step ${i/ba+1}/${Math.ceil(data.length/ba)} · loss=${loss.toFixed(4)}\n`; $('logRetriever').scrollTop = $('logRetriever').scrollHeight; await tf.nextFrame(); }
     }
   }
-  $('logRetriever').value += `✅ Two-Tower done. Steps=${step}.\n`;
+  $('logRetriever').value += `✅ Two-Tower done. Steps=${step}. Build the ANN index under Metrics for fast retrieval.\n`;
   drawProjection(retriever.getItemEmbMatrix());
   $('metricsBody').textContent = `Retriever trained: emb=${emb}, epochs=${ep}, batch=${ba}, lr=${lr}`;
+  if (sasrec) fitFusion().catch(console.error);
 }
 
 // ====== SASRec ======
 function buildUserSeqsPlus1(){
-  // Map u -> [itemIdx+1] with ≥3 events
+  // Map u -> [itemIdx+1] with ≥3 training events (held-out last events dropped)
   const m = new Map();
   user2items.forEach((arr,u)=>{
+    if (heldOutRows.has(arr.at(-1))) arr = arr.slice(0,-1);
     if (arr.length<3) return;
     const seq = arr.map(e=> 1 + itemIndex.get(e.i)).filter(x=>Number.isInteger(x));
     if (seq.length>=3) m.set(u, seq);
@@ -226,7 +266,7 @@ async function trainSASRec(){
   const lr=parseFloat($('srLr').value);
   const max=parseInt($('srMax').value,10);
 
-  sasrec?.dispose?.(); sasrec=null;
+  sasrec?.dispose?.(); sasrec=null; fusion=null;
 
   const userSeqs = buildUserSeqsPlus1();
   if (userSeqs.size===0){ $('logSAS').value = 'No sequences could be built (need users with ≥3 events).'; return; }
@@ -245,6 +285,7 @@ async function trainSASRec(){
   await sasrec.train(samples, ep, ba);
   $('logSAS').value += `✅ SASRec done.\n`;
   $('metricsBody').textContent += ` | SASRec trained: d=${d}, L=${L}, neg=${neg}, epochs=${ep}`;
+  if (retriever) fitFusion().catch(console.error);
 }
 
 // ====== projection (PCA-ish via power-iter SVD on X^T X) ======
@@ -295,37 +336,180 @@ async function runDemo(){
   const hist = user2items.get(u).slice(-15);
   $('histTbl').innerHTML = hist.map((h,ix)=> `<tr><td>${ix+1}</td><td>${escape(items.get(h.i)?.title || h.i)}</td></tr>`).join('');
 
-  // 1) Retriever: top 200 (exclude seen)
-  const uIdx = tf.tensor1d([userIndex.get(u)], 'int32');
-  const s = await retriever.scoreUserAgainstAll(uIdx); const arr = Array.from(s.dataSync()); s.dispose(); uIdx.dispose();
+  // 1) Retriever: top 200 (exclude seen) — HNSW when built, full matmul otherwise
   const seen = new Set((user2items.get(u)||[]).map(x=> itemIndex.get(x.i)));
-  const candIdx = arr.map((v,ii)=>({ii,v})).filter(x=>!seen.has(x.ii)).sort((a,b)=>b.v-a.v).slice(0,200).map(x=>x.ii);
+  let candIdx;
+  const retr = new Float32Array(idx2item.length).fill(NaN);
+  if ($('chkANN').checked && retriever.annIndex){
+    const top = retriever.recommendTopK(userIndex.get(u), 200, seen);
+    candIdx = top.map(r=>r.index);
+    top.forEach(r=>{ retr[r.index] = r.score; });
+  } else {
+    const uIdx = tf.tensor1d([userIndex.get(u)], 'int32');
+    const s = await retriever.scoreUserAgainstAll(uIdx); retr.set(s.dataSync()); s.dispose(); uIdx.dispose();
+    candIdx = topCandidates(retr, allItemIdx(), 200, seen);
+  }
 
   // 2) SASRec score on candidates
-  const seqPlus1 = user2items.get(u).slice(-parseInt($('srL').value,10)).map(e=> 1+itemIndex.get(e.i));
-  const pad = Array(Math.max(0, parseInt($('srL').value,10)-seqPlus1.length)).fill(0).concat(seqPlus1);
-  const seqT = tf.tensor2d([pad], [1, parseInt($('srL').value,10)], 'int32');
-  const candPlus1 = tf.tensor2d([candIdx.map(ii=>1+ii)], [1, candIdx.length], 'int32');
-  let logits = sasrec.scoreNext(seqT, candPlus1).squeeze(); // [C]
-  seqT.dispose(); candPlus1.dispose();
-
-  // 3) PPR (optional) — blend
-  if ($('chkPPR').checked){
-    const pr = personalizedPageRankForUser(u, user2items, item2users, {alpha:0.15, iters:20});
-    const prv = candIdx.map(ii=> pr.get(idx2item[ii])||0 );
-    const prT = tf.tensor1d(prv,'float32');
-    logits = logits.add(prT.mul(0.15)); // blend
-    prT.dispose();
+  const logits = sasrecLogits(user2items.get(u), candIdx);
+  let sc = Array.from(logits);
+
+  // 3) PPR (optional) — learned fusion with the retriever and SASRec scores
+  let pprNote = '';
+  if ($('chkPPR').checked && graph){
+    const t0 = performance.now();
+    const {scores: pr, iterations} = graph.ppr(u, PPR_OPTS);
+    pprNote = ` PPR ${iterations} iters / ${(performance.now()-t0).toFixed(0)} ms.`;
+    if (fusion){
+      sc = Array.from(fusion.score(fusionFeatures(fusionInputs(retr, candIdx, logits, pr), candIdx, itemPop).X));
+      pprNote += ' Learned fusion.';
+    } else {
+      pprNote += ' Fusion not fitted (Metrics tab): SASRec score only.';
+    }
   }
 
-  const sc = Array.from(logits.dataSync());
-  logits.dispose();
   const top10 = candIdx.map((ii,ix)=>({ii,score:sc[ix]})).sort((a,b)=>b.score-a.score).slice(0,10);
 
   $('nextTbl').innerHTML = top10.map((r,ix)=>(
     `<tr><td>${ix+1}</td><td>${escape(items.get(idx2item[r.ii])?.title || idx2item[r.ii])}</td><td>${r.score.toFixed(3)}</td></tr>`
   )).join('');
-  $('demoLine').textContent = `User ${u} — generated successfully.`;
+  $('demoLine').textContent = `User ${u} — generated successfully.${pprNote}`;
+}
+
+// SASRec next-item logits for candidates, given the user's events (oldest first)
+function sasrecLogits(events, candIdx){
+  const L = parseInt($('srL').value,10);
+  const seqPlus1 = events.slice(-L).map(e=> 1+itemIndex.get(e.i));
+  const pad = Array(Math.max(0, L-seqPlus1.length)).fill(0).concat(seqPlus1);
+  const seqT = tf.tensor2d([pad], [1, L], 'int32');
+  const candPlus1 = tf.tensor2d([candIdx.map(ii=>1+ii)], [1, candIdx.length], 'int32');
+  const t = sasrec.scoreNext(seqT, candPlus1);
+  const arr = t.dataSync();
+  t.dispose(); seqT.dispose(); candPlus1.dispose();
+  return arr; // [C]
+}
+
+let allIdx = [];
+function allItemIdx(){
+  if (allIdx.length !== idx2item.length) allIdx = idx2item.map((_,ii)=>ii);
+  return allIdx;
+}
+
+// fusion inputs are indexed by item; SASRec only scores the candidates
+function fusionInputs(retrScores, candIdx, logits, pr){
+  const sas = new Float32Array(idx2item.length).fill(NaN);
+  candIdx.forEach((ii,k)=>{ sas[ii] = logits[k]; });
+  return [{name:'Two-Tower', scores: retrScores}, {name:'SASRec', scores: sas}, {name:'PPR', scores: pr}];
+}
+
+// ====== learned fusion ======
+// Leave-last-out on a seeded sample of users: each user's held-out last event (see
+// buildHoldout; neither model trained on it) is the positive among the retriever's
+// top-200 for the earlier events, the other candidates are negatives. PPR walks a
+// graph without those held-out events.
+let fusionRun = 0;
+async function fitFusion(){
+  const line = $('fusionLine');
+  if (!retriever || !sasrec || !graph){ line.textContent = 'Train both models first.'; return; }
+  const int = (id, dflt)=>{ const v = parseInt($(id).value,10); return Number.isFinite(v) ? v : dflt; };
+  const nUsers = Math.max(2, int('fuUsers', 300)), epochs = Math.max(1, int('fuEp', 30)), seed = int('fuSeed', 7);
+  const run = ++fusionRun;
+  const models = {retriever, sasrec};
+  const t0 = performance.now();
+
+  const pool = Array.from(heldOutRows, r=>r.u).sort((a,b)=>a-b);
+  const rng = mulberry32(seed);
+  for (let k=0; k<Math.min(nUsers, pool.length); k++){
+    const j = k + Math.floor(rng()*(pool.length-k));
+    [pool[k], pool[j]] = [pool[j], pool[k]];
+  }
+  const picked = pool.slice(0, nUsers);
+  const heldOut = new Set(picked.map(u=> user2items.get(u).at(-1)));
+  line.textContent = `Fitting fusion… held-out graph for ${fmt(picked.length)} users`;
+  await tf.nextFrame();
+  const g = BipartiteGraph.fromInteractions(rows.filter(r=> !heldOut.has(r)),
+    {userIds: idx2user, itemIds: idx2item, weighting: graph.weighting});
+  const pop = itemPop.slice();
+  for (const r of heldOut) pop[itemIndex.get(r.i)]--;
+
+  const I = idx2item.length;
+  const groups = [];
+  let names = null;
+  for (let s=0; s<picked.length; s+=32){
+    const batch = picked.slice(s, s+32);
+    const prs = g.pprBatch(batch, PPR_OPTS);
+    const uIdx = tf.tensor1d(batch.map(u=>userIndex.get(u)), 'int32');
+    const full = retriever.scoreUserAgainstAll(uIdx); const arr = full.dataSync(); full.dispose(); uIdx.dispose();
+    batch.forEach((u,b)=>{
+      const prefix = user2items.get(u).slice(0,-1);
+      const target = itemIndex.get(user2items.get(u).at(-1).i);
+      const seen = new Set(prefix.map(e=> itemIndex.get(e.i)));
+      if (seen.has(target)) return;      // a repeat, not a new recipe
+      const retr = arr.slice(b*I, (b+1)*I);
+      const candIdx = topCandidates(retr, allItemIdx(), 200, seen);
+      if (!candIdx.includes(target)) return;
+      const f = fusionFeatures(fusionInputs(retr, candIdx, sasrecLogits(prefix, candIdx), prs[b].scores), candIdx, pop);
+      names = f.names;
+      groups.push({X: f.X, labels: candIdx.map(ii=> ii===target ? 1 : 0)});
+    });
+    line.textContent = `Fitting fusion… ${fmt(Math.min(picked.length, s+32))}/${fmt(picked.length)} users`;
+    await tf.nextFrame();
+  }
+  if (run!==fusionRun || retriever!==models.retriever || sasrec!==models.sasrec) return;
+  if (groups.length<2){
+    line.textContent = `Only ${groups.length} of ${fmt(picked.length)} held-out recipes made the retriever's top-200 — fusion not fitted.`;
+    return;
+  }
+  fusion = FusionRanker.fit(groups, names, {epochs, seed});
+
+  const pct = v=> v==null ? '—' : (100*v).toFixed(1)+'%';
+  const rep = fusion.report;
+  line.innerHTML = `Held-out pair accuracy <b>${pct(rep.heldOutAccuracy)}</b> `+
+    `(SASRec alone ${pct(fusion.alone[names.indexOf('SASRec')])}, Two-Tower alone ${pct(fusion.alone[names.indexOf('Two-Tower')])}) · `+
+    `${fmt(groups.length)}/${fmt(picked.length)} users with the held-out recipe in the top-200 (${fmt(rep.heldOutGroups)} held out) · `+
+    `${fmt(rep.pairs)} pairs · ${((performance.now()-t0)/1000).toFixed(1)} s`;
+  $('fusionTbl').innerHTML = fusion.importance().map(r=>
+    `<tr><td>${escape(r.name)}</td><td>${r.weight.toFixed(3)}</td><td>${pct(r.share)}</td><td>${pct(r.alone)}</td></tr>`).join('');
+}
+
+// ====== ANN index ======
+async function buildAnn(){
+  if (!retriever){ $('annLine').textContent = 'Train the Two-Tower retriever first.'; return; }
+  const M = parseInt($('annM').value,10), efc = parseInt($('annEfc').value,10);
+  $('annLine').textContent = 'Building HNSW…';
+  const index = await retriever.buildAnnIndex({M, efConstruction:efc, random: mulberry32(42)},
+    (done,total)=>{ $('annLine').textContent = `Building HNSW: ${fmt(done)}/${fmt(total)} items…`; });
+  $('annLine').textContent = `HNSW built over ${fmt(index.size)} items in ${(index.buildMs/1000).toFixed(1)} s.`;
+}
+
+async function benchAnn(){
+  if (!retriever?.annIndex){ $('annLine').textContent = 'Build the index first.'; return; }
+  const K = parseInt($('annK').value,10), nq = parseInt($('annQ').value,10);
+  const queries = [];
+  for (let t=0; t<nq; t++){
+    const u = pickUserWithK(3); if (u==null) break;
+    const exclude = new Set((user2items.get(u)||[]).map(x=> itemIndex.get(x.i)));
+    queries.push({u, vector: retriever.getUserVector(userIndex.get(u)), exclude});
+  }
+  if (!queries.length){ $('annLine').textContent = 'Need users with ≥3 events.'; return; }
+  $('annLine').textContent = `Benchmarking ${queries.length} users…`; await tf.nextFrame();
+
+  // exact path used by runDemo before: scoreUserAgainstAll + sort
+  let t0 = performance.now();
+  for (const q of queries){
+    const uIdx = tf.tensor1d([userIndex.get(q.u)], 'int32');
+    const s = retriever.scoreUserAgainstAll(uIdx); const arr = s.dataSync(); s.dispose(); uIdx.dispose();
+    Array.from(arr, (v,ii)=>({ii,v})).filter(x=>!q.exclude.has(x.ii)).sort((a,b)=>b.v-a.v).slice(0,K);
+  }
+  const tfMs = (performance.now()-t0)/queries.length;
+
+  const res = benchmarkAnn(retriever.annIndex, retriever.getItemVectors(), queries, K, [16,32,64,128]);
+  const row = (name,ms,rec,sp)=> `<tr><td>${name}</td><td>${ms.toFixed(3)}</td><td>${rec.toFixed(3)}</td><td>${sp.toFixed(2)}×</td></tr>`;
+  $('annTbl').innerHTML =
+    row('Exact (TF.js matmul + sort)', tfMs, 1, res.exactMs/tfMs) +
+    row('Exact (JS scan)', res.exactMs, 1, 1) +
+    res.rows.map(r=> row(`HNSW ef=${r.ef}`, r.ms, r.recall, r.speedup)).join('');
+  $('annLine').textContent = `Done — ${queries.length} users, seen items excluded, recall vs exact top-${K}.`;
 }
 
 function escape(s){ return (s??'').replace(/[&<>"']/g, m=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#039;'}[m])); }
@@ -335,3 +519,11 @@ $('btnLoad').addEventListener('click', handleLoad);
 $('btnTrainRetriever').addEventListener('click', ()=>trainRetriever().catch(console.error));
 $('btnTrainSASRec').addEventListener('click', ()=>trainSASRec().catch(console.error));
 $('btnDemo').addEventListener('click', ()=>runDemo().catch(console.error));
+$('btnBuildAnn').addEventListener('click', ()=>buildAnn().catch(console.error));
+$('btnBenchAnn').addEventListener('click', ()=>benchAnn().catch(console.error));
+$('graphWeight').addEventListener('change', ()=>{
+  if (!idx2user.length) return;
+  buildGraph();
+  if (fusion) fitFusion().catch(console.error); // PPR features shift with the edge weighting
+});
+$('btnFitFusion').addEventListener('click', ()=>fitFusion().catch(console.error));
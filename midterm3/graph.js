@@ -1,53 +1,233 @@
-/* graph.js — very small Personalized PageRank on bipartite user–item graph.
-   personalizedPageRankForUser(uId, user2items, item2users, {alpha=0.15, iters=20})
-   Returns Map(itemId -> score).
+/* graph.js
+   Personalized PageRank on a bipartite user–item graph.
+
+   The graph is built once (at load time) in CSR form:
+     userPtr / userCol / userW   user -> items, weights normalised to transition probabilities
+     itemPtr / itemCol / itemW   item -> users
+   Node order follows the userIds / itemIds arrays passed in, so item scores
+   line up with the app's item indices (idx2item).
+
+   Edge weights ("weighting"):
+     'uniform'         every interaction counts 1
+     'rating'          (r + 1) / 6 for r in 0..5 (0 = review without stars)
+     'recency'         0.5 ^ ((newest ts − ts) / halfLife), same unit as ts
+     'rating+recency'  product of the two
+   Repeated (user, item) pairs are merged by summing their weights.
+
+   ppr(userId, opts)       -> { scores: Float32Array over items, iterations, residual }
+   pprBatch(userIds, opts) -> array of the same, users walked together in blocks
+   The walk restarts to the user's node with probability α and stops early once
+   the L1 change between sweeps drops below tol (mass swings between the two sides
+   and settles at rate 1 − α, so tol 1e-6 takes ~90 sweeps at α = 0.15).
 */
-function personalizedPageRankForUser(uId, user2items, item2users, opts={}){
-  const alpha = opts.alpha ?? 0.15;
-  const iters = opts.iters ?? 20;
-
-  // Build neighbors lazily
-  const uHist = user2items.get(uId) || [];
-  const items = new Set(uHist.map(x=>x.i));
-  // candidate frontier: items ↔ users
-  const allItems = new Set();
-  for (const {i} of uHist){
-    allItems.add(i);
-    const neighUsers = item2users.get(i) || new Set();
-    for (const v of neighUsers){
-      const vs = user2items.get(v) || [];
-      vs.forEach(r=>allItems.add(r.i));
-    }
-  }
-
-  const pi = new Map(); // item score
-  const tele = 1 / Math.max(1, allItems.size);
-  // init
-  allItems.forEach(i=>pi.set(i, tele));
-
-  for (let t=0;t<iters;t++){
-    const next = new Map();
-    // distribute from items -> users -> items
-    for (const i of allItems){
-      const us = item2users.get(i) || new Set();
-      const mass = (1-alpha) * (pi.get(i)||0);
-      const shareU = us.size ? mass/us.size : 0;
-      for (const u of us){
-        const its = user2items.get(u) || [];
-        const shareI = its.length ? shareU/its.length : 0;
-        for (const e of its){
-          next.set(e.i, (next.get(e.i)||0) + shareI);
+
+const GRAPH_WEIGHTINGS = ['uniform', 'rating', 'recency', 'rating+recency'];
+const DAY_MS = 24 * 3600 * 1000;
+
+class BipartiteGraph {
+  // rows: [{u, i, r, ts}]; rows whose user or item is not in the id lists are skipped
+  static fromInteractions(rows, opts = {}) {
+    const t0 = performance.now();
+    const weighting = opts.weighting ?? 'uniform';
+    if (!GRAPH_WEIGHTINGS.includes(weighting)) throw new Error(`unknown edge weighting "${weighting}"`);
+    const halfLife = opts.halfLife ?? 2 * 365 * DAY_MS;
+    const userIds = opts.userIds ?? Array.from(new Set(rows.map(r => r.u))).sort((a, b) => a - b);
+    const itemIds = opts.itemIds ?? Array.from(new Set(rows.map(r => r.i))).sort((a, b) => a - b);
+    const userIndex = new Map(userIds.map((u, k) => [u, k]));
+    const itemIndex = new Map(itemIds.map((i, k) => [i, k]));
+    const U = userIds.length, I = itemIds.length;
+
+    let newest = 0;
+    if (weighting.includes('recency')) for (const r of rows) if (r.ts > newest) newest = r.ts;
+    const weightOf = (r) => {
+      let w = 1;
+      if (weighting.includes('rating')) w *= (Math.max(0, Math.min(5, r.r ?? 5)) + 1) / 6;
+      // missing timestamps (0) are treated as recent rather than ancient
+      if (weighting.includes('recency') && r.ts > 0) w *= Math.pow(0.5, (newest - r.ts) / halfLife);
+      return w;
+    };
+
+    // raw edge list
+    const eu = new Int32Array(rows.length), ei = new Int32Array(rows.length), ew = new Float64Array(rows.length);
+    let n = 0, skipped = 0;
+    for (const r of rows) {
+      const ui = userIndex.get(r.u), ii = itemIndex.get(r.i);
+      if (ui == null || ii == null) { skipped++; continue; }
+      eu[n] = ui; ei[n] = ii; ew[n] = weightOf(r); n++;
+    }
+    const order = new Uint32Array(n);
+    for (let k = 0; k < n; k++) order[k] = k;
+    order.sort((a, b) => (eu[a] - eu[b]) || (ei[a] - ei[b]));
+
+    // user -> item CSR, merging duplicates
+    const userPtr = new Int32Array(U + 1);
+    const userCol = new Int32Array(n);
+    const userW = new Float32Array(n);
+    let m = 0;
+    for (let k = 0; k < n; k++) {
+      const e = order[k];
+      if (m > 0 && eu[order[k - 1]] === eu[e] && userCol[m - 1] === ei[e]) { userW[m - 1] += ew[e]; continue; }
+      userCol[m] = ei[e]; userW[m] = ew[e]; userPtr[eu[e] + 1]++; m++;
+    }
+    for (let u = 0; u < U; u++) userPtr[u + 1] += userPtr[u];
+
+    // item -> user CSR (transpose), raw weights
+    const itemPtr = new Int32Array(I + 1);
+    for (let e = 0; e < m; e++) itemPtr[userCol[e] + 1]++;
+    for (let i = 0; i < I; i++) itemPtr[i + 1] += itemPtr[i];
+    const itemCol = new Int32Array(m), itemW = new Float32Array(m);
+    const fill = itemPtr.slice(0, I);
+    for (let u = 0; u < U; u++) {
+      for (let e = userPtr[u]; e < userPtr[u + 1]; e++) {
+        const slot = fill[userCol[e]]++;
+        itemCol[slot] = u; itemW[slot] = userW[e];
+      }
+    }
+
+    normaliseRows(userPtr, userW);
+    normaliseRows(itemPtr, itemW);
+
+    const g = new BipartiteGraph();
+    Object.assign(g, {
+      userIds, itemIds, userIndex, itemIndex, numUsers: U, numItems: I,
+      userPtr, userCol: userCol.slice(0, m), userW: userW.slice(0, m), itemPtr, itemCol, itemW,
+      numEdges: m, skipped, weighting, halfLife, buildMs: performance.now() - t0
+    });
+    return g;
+  }
+
+  hasUser(userId) { return this.userIndex.has(userId); }
+
+  ppr(userId, opts = {}) {
+    return this.pprBatch([userId], opts)[0];
+  }
+
+  // Walks up to opts.blockSize users at once: every sweep over the edges updates
+  // the whole block, so the CSR arrays are read once per block instead of per user
+  // (about 2× faster on a connected graph; on a very sparse one single walks are cheaper
+  // because each only touches its own component).
+  pprBatch(userIds, opts = {}) {
+    const alpha = opts.alpha ?? 0.15;
+    const tol = opts.tol ?? 1e-6;
+    const maxIter = opts.maxIter ?? 100;
+    const blockSize = Math.max(1, opts.blockSize ?? 32);
+    const out = new Array(userIds.length);
+
+    const known = [];
+    userIds.forEach((u, k) => {
+      if (this.userIndex.has(u)) known.push(k);
+      else out[k] = { scores: new Float32Array(this.numItems), iterations: 0, residual: 0 };
+    });
+    for (let s = 0; s < known.length; s += blockSize) {
+      const block = known.slice(s, s + blockSize);
+      const res = this._walkBlock(block.map(k => this.userIndex.get(userIds[k])), alpha, tol, maxIter);
+      block.forEach((k, b) => { out[k] = res[b]; });
+    }
+    return out;
+  }
+
+  // Users / items reachable from the seeds, with local positions (posU / posI, −1 when
+  // unreachable). Everything else keeps zero mass, so sweeps only visit these nodes —
+  // the whole graph for a connected dataset, far less for sparse ones.
+  _reachable(seeds) {
+    const posU = new Int32Array(this.numUsers).fill(-1), posI = new Int32Array(this.numItems).fill(-1);
+    const users = [], items = [];
+    for (const su of seeds) if (posU[su] < 0) { posU[su] = users.length; users.push(su); }
+    for (let qu = 0, qi = 0; qu < users.length || qi < items.length;) {
+      while (qu < users.length) {
+        const u = users[qu++];
+        for (let e = this.userPtr[u]; e < this.userPtr[u + 1]; e++) {
+          const i = this.userCol[e];
+          if (posI[i] < 0) { posI[i] = items.length; items.push(i); }
+        }
+      }
+      while (qi < items.length) {
+        const i = items[qi++];
+        for (let e = this.itemPtr[i]; e < this.itemPtr[i + 1]; e++) {
+          const u = this.itemCol[e];
+          if (posU[u] < 0) { posU[u] = users.length; users.push(u); }
         }
       }
     }
-    // teleport
-    for (const i of allItems){
-      next.set(i, (next.get(i)||0) + alpha*tele);
+    return { users: Int32Array.from(users), items: Int32Array.from(items), posU, posI };
+  }
+
+  // Local layout: value of the k-th active node for walker b sits at k * B + b.
+  _walkBlock(seeds, alpha, tol, maxIter) {
+    const B = seeds.length;
+    const active = this._reachable(seeds);
+    const nUsers = active.users.length, nItems = active.items.length;
+    let pU = new Float32Array(nUsers * B), pI = new Float32Array(nItems * B);
+    let nU = new Float32Array(nUsers * B), nI = new Float32Array(nItems * B);
+    const seedPos = Int32Array.from(seeds, su => active.posU[su]);
+    seedPos.forEach((k, b) => { pU[k * B + b] = 1; });
+    const residual = new Float64Array(B);
+    let iterations = 0, worst = Infinity;
+
+    while (iterations < maxIter && worst >= tol) {
+      pprSweep(this, active, seedPos, alpha, pU, pI, nU, nI);
+      residual.fill(0);
+      l1Distance(nU, pU, B, residual);
+      l1Distance(nI, pI, B, residual);
+      worst = 0;
+      for (let b = 0; b < B; b++) if (residual[b] > worst) worst = residual[b];
+      const tU = pU; pU = nU; nU = tU;
+      const tI = pI; pI = nI; nI = tI;
+      iterations++;
     }
-    pi.clear();
-    next.forEach((v,k)=>pi.set(k,v));
+
+    return seeds.map((_, b) => {
+      const scores = new Float32Array(this.numItems);
+      for (let k = 0; k < nItems; k++) scores[active.items[k]] = pI[k * B + b];
+      return { scores, iterations, residual: residual[b] };
+    });
+  }
+}
+
+// One power-iteration step for a block of walkers over the active nodes (kept out of
+// the class so the hot loops get optimised once and stay that way between calls).
+function pprSweep(g, active, seedPos, alpha, pU, pI, nU, nI) {
+  const B = seedPos.length, keep = 1 - alpha;
+  const { userPtr, userCol, userW, itemPtr, itemCol, itemW } = g;
+  const { users, items, posU, posI } = active;
+  const dangling = new Float64Array(B);
+  nU.fill(0); nI.fill(0);
+
+  // user -> item
+  for (let k = 0; k < users.length; k++) {
+    const u = users[k], base = k * B, start = userPtr[u], end = userPtr[u + 1];
+    if (start === end) { for (let b = 0; b < B; b++) dangling[b] += pU[base + b]; continue; }
+    for (let e = start; e < end; e++) {
+      const w = keep * userW[e], dst = posI[userCol[e]] * B;
+      for (let b = 0; b < B; b++) nI[dst + b] += w * pU[base + b];
+    }
+  }
+  // item -> user (active items always have edges: they were reached through one)
+  for (let k = 0; k < items.length; k++) {
+    const i = items[k], base = k * B;
+    for (let e = itemPtr[i]; e < itemPtr[i + 1]; e++) {
+      const w = keep * itemW[e], dst = posU[itemCol[e]] * B;
+      for (let b = 0; b < B; b++) nU[dst + b] += w * pI[base + b];
+    }
+  }
+  // restart (plus mass stuck on users without edges) back to each walker's user
+  for (let b = 0; b < B; b++) nU[seedPos[b] * B + b] += alpha + keep * dangling[b];
+}
+
+// adds the per-walker L1 change into out[b]
+function l1Distance(next, prev, B, out) {
+  for (let x = 0; x < next.length; x += B) {
+    for (let b = 0; b < B; b++) out[b] += Math.abs(next[x + b] - prev[x + b]);
+  }
+}
+
+function normaliseRows(ptr, w) {
+  for (let r = 0; r + 1 < ptr.length; r++) {
+    let sum = 0;
+    for (let e = ptr[r]; e < ptr[r + 1]; e++) sum += w[e];
+    if (sum > 0) for (let e = ptr[r]; e < ptr[r + 1]; e++) w[e] /= sum;
   }
-  return pi;
 }
 
-window.personalizedPageRankForUser = personalizedPageRankForUser;
+window.BipartiteGraph = BipartiteGraph;
+window.GRAPH_WEIGHTINGS = GRAPH_WEIGHTINGS;
@@ -6,6 +6,8 @@
        async trainStep(uIdx, iIdx) // tensors int32 shape [B]
        scoreUserAgainstAll(uIdxTensor) -> tf.Tensor1d [nItems]
        getItemEmbMatrix() -> tf.Tensor2d [nItems, embDim]
+       async buildAnnIndex(opts, onProgress) -> HNSWIndex (ann.js)
+       recommendTopK(uIdx, k, excludeSet) -> [{index, score}] (ANN if built, else exact)
        dispose()
 */
 
@@ -32,6 +34,7 @@ class TwoTowerRetriever {
     this.optimizer = tf.train.adam(this.lr);
     this._itemTagMat = null;      // tf.Tensor2d one-hot/features (optional)
     this._cachedItemMatrix = null;// tf.Tensor2d for projection / full scoring
+    this.annIndex = null;         // HNSWIndex over final item embeddings (optional)
   }
 
   async compile(itemTagMat=null){
@@ -73,7 +76,7 @@ class TwoTowerRetriever {
   getItemEmbMatrix(){
     if (this._cachedItemMatrix) return this._cachedItemMatrix;
     const X = tf.tidy(() => {
-      const idPart = this.itemIdEmb.read(); // tf.Tensor2d
+      const idPart = this.itemIdEmb; // tf.Variable is already a Tensor2d (it has no read())
       if (this.tagDim <= 0 || !this._itemTagMat) return idPart.clone();
       const h = tf.relu(this._itemTagMat.matMul(this.W1).add(this.b1)); // [N,K]->[N,64]
       const tagPart = h.matMul(this.W2).add(this.b2);                   // [N,emb]
@@ -93,10 +96,31 @@ class TwoTowerRetriever {
     });
   }
 
+  // Flat [nItems*embDim] copies for the pure-JS ANN index
+  getItemVectors(){ return this.getItemEmbMatrix().dataSync().slice(); }
+  getUserVector(uIdx){
+    return tf.tidy(() => tf.gather(this.userEmb, tf.tensor1d([uIdx], 'int32')).dataSync());
+  }
+
+  async buildAnnIndex(opts={}, onProgress=null){
+    const index = new HNSWIndex(opts);
+    await index.build(this.getItemVectors(), this.nItems, this.embDim, {onProgress});
+    this.annIndex = index;
+    return index;
+  }
+
+  // Top-K item indices for user index uIdx; HNSW when built, brute force otherwise
+  recommendTopK(uIdx, k, exclude=null){
+    const q = this.getUserVector(uIdx);
+    if (this.annIndex) return this.annIndex.search(q, k, {exclude});
+    return exactTopK(this.getItemVectors(), this.nItems, this.embDim, q, k, exclude);
+  }
+
   dispose(){
     [this.userEmb, this.itemIdEmb, this.W1, this.b1, this.W2, this.b2].forEach(v=>v?.dispose?.());
     this._itemTagMat?.dispose?.();
     this._cachedItemMatrix?.dispose?.();
+    this.annIndex = null;
   }
 }
 
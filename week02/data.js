@@ -3,6 +3,15 @@
 
 let movies = [];  // { id, title, genres[], genreVector[18], poster }
 let ratings = [];
+let ratingsByUser = new Map();  // userId -> [{ itemId, rating }]
+let ratingsByItem = new Map();  // itemId -> [{ userId, rating }]
+let userMeanRating = new Map(); // userId -> mean rating (for adjusted cosine)
+
+const GENRES = [
+  "Action", "Adventure", "Animation", "Children's", "Comedy", "Crime",
+  "Documentary", "Drama", "Fantasy", "Film-Noir", "Horror", "Musical",
+  "Mystery", "Romance", "Sci-Fi", "Thriller", "War", "Western"
+];
 
 /** Deterministic placeholder poster (no API key required). */
 function posterUrlFor(id) {
@@ -37,12 +46,6 @@ async function loadData() {
 
 /** Parse u.item into movies[] with genres[] and genreVector[18]. */
 function parseItemData(text) {
-  const GENRES = [
-    "Action", "Adventure", "Animation", "Children's", "Comedy", "Crime",
-    "Documentary", "Drama", "Fantasy", "Film-Noir", "Horror", "Musical",
-    "Mystery", "Romance", "Sci-Fi", "Thriller", "War", "Western"
-  ];
-
   movies = [];
   const lines = text.split("\n");
 
@@ -89,4 +92,21 @@ function parseRatingData(text) {
       timestamp: Number(parts[3]),
     });
   }
+  indexRatings();
+}
+
+/** Group ratings by user and by item; cache per-user means. */
+function indexRatings() {
+  ratingsByUser = new Map();
+  ratingsByItem = new Map();
+  userMeanRating = new Map();
+  for (const { userId, itemId, rating } of ratings) {
+    if (!ratingsByUser.has(userId)) ratingsByUser.set(userId, []);
+    if (!ratingsByItem.has(itemId)) ratingsByItem.set(itemId, []);
+    ratingsByUser.get(userId).push({ itemId, rating });
+    ratingsByItem.get(itemId).push({ userId, rating });
+  }
+  for (const [userId, list] of ratingsByUser) {
+    userMeanRating.set(userId, list.reduce((s, r) => s + r.rating, 0) / list.length);
+  }
 }
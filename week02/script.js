@@ -1,7 +1,9 @@
 /* UI + Cosine Similarity Recommender with Right-Side Inspector */
 "use strict";
 
-let currentLiked = null;
+let currentProfile = null;
+let likedSeeds = [];     // movies the user liked (positive profile mass)
+let dislikedSeeds = [];  // movies the user disliked (subtracted, weighted)
 
 /** ====== Initialization ====== */
 window.addEventListener("DOMContentLoaded", async () => {
@@ -13,6 +15,8 @@ window.addEventListener("DOMContentLoaded", async () => {
 
   populateMoviesDropdown();
   wireSearch();
+  wireSeeds();
+  wireDiversity();
 
   if (btn) btn.addEventListener("click", getRecommendations);
   if (resultEl) resultEl.textContent = "Data loaded. Please select a movie.";
@@ -62,6 +66,69 @@ function wireSearch() {
   });
 }
 
+/** ====== Seeds (liked / disliked movies) ====== */
+function wireSeeds() {
+  const likeBtn = document.getElementById("like-btn");
+  const dislikeBtn = document.getElementById("dislike-btn");
+  if (likeBtn) likeBtn.addEventListener("click", () => addSeed("liked"));
+  if (dislikeBtn) dislikeBtn.addEventListener("click", () => addSeed("disliked"));
+  renderSeeds();
+}
+
+function selectedMovie() {
+  const select = document.getElementById("movie-select");
+  if (!select || !select.value) return null;
+  const id = Number.parseInt(select.value, 10);
+  return movies.find(m => Number(m.id) === id) || null;
+}
+
+function addSeed(kind) {
+  const resultEl = document.getElementById("result");
+  const movie = selectedMovie();
+  if (!movie) {
+    if (resultEl) resultEl.textContent = "Please select a movie first.";
+    return;
+  }
+  // A movie sits on one side only; re-adding moves it.
+  likedSeeds = likedSeeds.filter(m => m.id !== movie.id);
+  dislikedSeeds = dislikedSeeds.filter(m => m.id !== movie.id);
+  if (kind === "liked") likedSeeds.push(movie); else dislikedSeeds.push(movie);
+  renderSeeds();
+}
+
+function removeSeed(kind, id) {
+  if (kind === "liked") likedSeeds = likedSeeds.filter(m => m.id !== id);
+  else dislikedSeeds = dislikedSeeds.filter(m => m.id !== id);
+  renderSeeds();
+}
+
+function renderSeeds() {
+  const fill = (elId, list, kind) => {
+    const box = document.getElementById(elId);
+    if (!box) return;
+    box.innerHTML = "";
+    if (!list.length) {
+      const c = document.createElement("span"); c.className = "chip"; c.textContent = "— none —"; box.appendChild(c);
+      return;
+    }
+    list.forEach(m => {
+      const c = document.createElement("span");
+      c.className = `chip chip--${kind}`;
+      c.textContent = m.title;
+      const x = document.createElement("button");
+      x.type = "button";
+      x.className = "chip__remove";
+      x.textContent = "×";
+      x.setAttribute("aria-label", `Remove ${m.title}`);
+      x.addEventListener("click", () => removeSeed(kind, m.id));
+      c.appendChild(x);
+      box.appendChild(c);
+    });
+  };
+  fill("liked-seeds", likedSeeds, "liked");
+  fill("disliked-seeds", dislikedSeeds, "disliked");
+}
+
 /** ====== Math: Cosine Similarity ====== */
 function dot(a, b) { let s = 0; const n = Math.min(a.length, b.length); for (let i=0;i<n;i++) s += a[i]*b[i]; return s; }
 function norm(a) { let s = 0; for (let i=0;i<a.length;i++) s += a[i]*a[i]; return Math.sqrt(s); }
@@ -72,10 +139,180 @@ function cosineSimilarity(vecA, vecB) {
   return Math.max(0, Math.min(1, cos));
 }
 
+/** ====== Math: Adjusted-cosine item-item similarity (from u.data) ====== */
+const MIN_CORATERS = 5;   // fewer co-raters than this → no collaborative signal
+const SIM_SHRINK = 25;    // significance shrinkage: sim · n / (n + SIM_SHRINK)
+const neighborCache = new Map();
+
+/**
+ * Adjusted cosine between one item and every co-rated item.
+ * Ratings are centred on each user's mean, so harsh and generous raters compare fairly.
+ * Returns Map<itemId, { sim, coRaters, avg }> where avg is the candidate's mean rating among co-raters.
+ */
+function itemNeighbors(itemId) {
+  if (neighborCache.has(itemId)) return neighborCache.get(itemId);
+
+  const acc = new Map(); // itemId -> { num, sqA, sqB, n, sum }
+  for (const { userId, rating } of ratingsByItem.get(itemId) || []) {
+    const mu = userMeanRating.get(userId);
+    const a = rating - mu;
+    for (const other of ratingsByUser.get(userId) || []) {
+      if (other.itemId === itemId) continue;
+      const b = other.rating - mu;
+      let e = acc.get(other.itemId);
+      if (!e) { e = { num: 0, sqA: 0, sqB: 0, n: 0, sum: 0 }; acc.set(other.itemId, e); }
+      e.num += a * b; e.sqA += a * a; e.sqB += b * b; e.n += 1; e.sum += other.rating;
+    }
+  }
+
+  const out = new Map();
+  for (const [otherId, e] of acc) {
+    const denom = Math.sqrt(e.sqA) * Math.sqrt(e.sqB);
+    const raw = (e.n >= MIN_CORATERS && denom > 0) ? e.num / denom : 0;
+    out.set(otherId, { sim: raw * e.n / (e.n + SIM_SHRINK), coRaters: e.n, avg: e.sum / e.n });
+  }
+  neighborCache.set(itemId, out);
+  return out;
+}
+
+/** Profile-level collaborative score: mean liked sim − weight × mean disliked sim, in [-1, 1]. */
+function collaborativeScore(profile, cand) {
+  const meanSim = (list) => {
+    if (!list.length) return 0;
+    let s = 0;
+    for (const m of list) { const e = itemNeighbors(m.id).get(cand.id); if (e) s += e.sim; }
+    return s / list.length;
+  };
+  return meanSim(profile.liked) - profile.dislikeWeight * meanSim(profile.disliked);
+}
+
+/** ====== Scoring modes: genre cosine, item-item ratings, or a blend ====== */
+function readSimilarityMode() {
+  const el = document.getElementById("sim-mode");
+  const mode = el ? el.value : "genre";
+  return ["genre", "ratings", "hybrid"].includes(mode) ? mode : "genre";
+}
+function readHybridAlpha() {
+  const el = document.getElementById("hybrid-alpha");
+  const a = el ? Number.parseFloat(el.value) : NaN;
+  return Number.isFinite(a) ? Math.max(0, Math.min(1, a)) : 0.5;
+}
+/** alpha weighs genres; (1 − alpha) weighs ratings. */
+function scoreCandidate(profile, cand, mode, alpha) {
+  const genre = cosineSimilarity(profile.vector, cand.genreVector);
+  if (mode === "genre") return { score: genre, genre, collab: null };
+  const collab = collaborativeScore(profile, cand);
+  const score = mode === "ratings" ? collab : alpha * genre + (1 - alpha) * collab;
+  return { score, genre, collab };
+}
+
+/** ====== Diversity: MMR re-ranking + list metrics ====== */
+const MMR_POOL = 100; // re-rank only the strongest candidates
+
+function wireDiversity() {
+  const slider = document.getElementById("mmr-lambda");
+  const out = document.getElementById("mmr-lambda-value");
+  if (!slider) return;
+  const sync = () => { if (out) out.textContent = readMmrLambda().toFixed(2); };
+  slider.addEventListener("input", sync);
+  sync();
+}
+
+function readMmrLambda() {
+  const el = document.getElementById("mmr-lambda");
+  const l = el ? Number.parseFloat(el.value) : NaN;
+  return Number.isFinite(l) ? Math.max(0, Math.min(1, l)) : 1;
+}
+
+/**
+ * Maximal marginal relevance: greedily pick argmax λ·score − (1 − λ)·max genre-cosine to already-picked.
+ * λ = 1 is the plain relevance order; lower λ trades relevance for genre variety.
+ */
+function mmrRerank(scored, k, lambda) {
+  const pool = scored.slice(0, Math.max(k, MMR_POOL));
+  if (lambda >= 1) return pool.slice(0, k);
+
+  const picked = [];
+  const maxSim = new Array(pool.length).fill(0);
+  const used = new Array(pool.length).fill(false);
+  while (picked.length < k && picked.length < pool.length) {
+    let best = -1, bestVal = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      if (used[i]) continue;
+      const val = lambda * pool[i].score - (1 - lambda) * maxSim[i];
+      if (val > bestVal) { bestVal = val; best = i; }
+    }
+    used[best] = true;
+    picked.push(pool[best]);
+    const chosen = pool[best].movie.genreVector;
+    for (let i = 0; i < pool.length; i++) {
+      if (!used[i]) maxSim[i] = Math.max(maxSim[i], cosineSimilarity(chosen, pool[i].movie.genreVector));
+    }
+  }
+  return picked;
+}
+
+/** Intra-list diversity (mean pairwise 1 − genre cosine) and genre coverage of a list. */
+function listDiversity(list) {
+  let pairs = 0, dist = 0;
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      dist += 1 - cosineSimilarity(list[i].genreVector, list[j].genreVector);
+      pairs++;
+    }
+  }
+  const covered = new Set(list.flatMap(m => m.genres || []));
+  return {
+    ild: pairs ? dist / pairs : 0,
+    covered: covered.size,
+    coverage: covered.size / GENRES.length
+  };
+}
+
+function renderListStats(top, lambda) {
+  const el = document.getElementById("list-stats");
+  if (!el) return;
+  if (!top.length) { el.textContent = ""; return; }
+  const { ild, covered, coverage } = listDiversity(top.map(t => t.movie));
+  const meanScore = top.reduce((s, t) => s + t.score, 0) / top.length;
+  el.textContent =
+    `λ ${lambda.toFixed(2)} · mean relevance ${Math.round(meanScore * 100)}% · ` +
+    `intra-list diversity ${ild.toFixed(2)} · genre coverage ${covered}/${GENRES.length} (${Math.round(coverage * 100)}%)`;
+}
+
+/** ====== Taste profile (mean liked − weight × mean disliked) ====== */
+function meanVector(list) {
+  const out = new Array(GENRES.length).fill(0);
+  if (!list.length) return out;
+  for (const m of list) for (let i=0;i<out.length;i++) out[i] += m.genreVector[i] || 0;
+  return out.map(v => v / list.length);
+}
+function buildProfile(liked, disliked, dislikeWeight) {
+  const pos = meanVector(liked);
+  const neg = meanVector(disliked);
+  const vector = pos.map((v, i) => v - dislikeWeight * neg[i]);
+  return { liked, disliked, dislikeWeight, vector };
+}
+function readDislikeWeight() {
+  const el = document.getElementById("dislike-weight");
+  const w = el ? Number.parseFloat(el.value) : NaN;
+  return Number.isFinite(w) ? Math.max(0, Math.min(1, w)) : 0.5;
+}
+function quoteTitles(list) { return list.map(m => `“${m.title}”`).join(", "); }
+/** Seed movies that carry a given genre, split by side. */
+function genreContributors(profile, genre) {
+  return {
+    liked: profile.liked.filter(m => (m.genres || []).includes(genre)),
+    disliked: profile.disliked.filter(m => (m.genres || []).includes(genre)),
+  };
+}
+
 /** ====== Helpers ====== */
 function clearRecommendations() {
   const grid = document.getElementById("recommendations");
   if (grid) grid.innerHTML = "";
+  const stats = document.getElementById("list-stats");
+  if (stats) stats.textContent = "";
 }
 function ensureSelection() {
   const select = document.getElementById("movie-select");
@@ -88,30 +325,35 @@ function ensureSelection() {
 }
 
 /** ====== Per-genre breakdown ====== */
-function computeBreakdown(liked, cand) {
-  const likedSet = new Set(liked.genres || []);
-  const candSet  = new Set(cand.genres  || []);
-
-  const overlap   = [...likedSet].filter(g => candSet.has(g));
-  const onlyLiked = [...likedSet].filter(g => !candSet.has(g));
-  const onlyCand  = [...candSet].filter(g => !likedSet.has(g));
-
-  const lenA = (liked.genres || []).length;
-  const lenB = (cand.genres  || []).length;
-  const nA = Math.sqrt(lenA);
-  const nB = Math.sqrt(lenB);
-  const perGenrePct = (nA > 0 && nB > 0) ? (100 / (nA * nB)) : 0;
-
-  const contributions = overlap.map(g => ({
-    genre: g,
-    pct: Math.round(perGenrePct * 10) / 10
-  }));
+function computeBreakdown(profile, cand) {
+  const weightOf = g => profile.vector[GENRES.indexOf(g)] || 0;
+  const candGenres = cand.genres || [];
+  const candSet = new Set(candGenres);
+  const profileGenres = GENRES.filter(g => weightOf(g) > 0);
+
+  const overlap   = candGenres.filter(g => weightOf(g) > 0);
+  const onlyLiked = profileGenres.filter(g => !candSet.has(g));
+  const onlyCand  = candGenres.filter(g => weightOf(g) <= 0);
+
+  // cos = Σ w_g·c_g / (‖w‖·‖c‖); with binary c each shared genre adds w_g / (‖w‖·√|c|)
+  const nA = norm(profile.vector);
+  const nB = Math.sqrt(candGenres.length);
+  const scale = (nA > 0 && nB > 0) ? (100 / (nA * nB)) : 0;
+
+  const contributions = candGenres
+    .filter(g => weightOf(g) !== 0)
+    .map(g => ({
+      genre: g,
+      pct: Math.round(weightOf(g) * scale * 10) / 10,
+      seeds: genreContributors(profile, g)
+    }))
+    .sort((a, b) => b.pct - a.pct);
 
   return { overlap, onlyLiked, onlyCand, contributions };
 }
 
 /** ====== Inspector rendering ====== */
-function renderInspector(liked, movie, percentMatch) {
+function renderInspector(profile, movie, percentMatch, detail = {}) {
   const panel = document.getElementById("inspector");
   panel.innerHTML = ""; // reset
 
@@ -124,13 +366,22 @@ function renderInspector(liked, movie, percentMatch) {
 
   const sub = document.createElement("p");
   sub.className = "inspector__subtitle";
-  sub.textContent = `Match: ${percentMatch}% — because you liked “${liked.title}”`;
+  sub.textContent = profile.disliked.length
+    ? `Match: ${percentMatch}% — from ${profile.liked.length} liked, ${profile.disliked.length} disliked`
+    : `Match: ${percentMatch}% — because you liked ${quoteTitles(profile.liked)}`;
 
   header.appendChild(title);
   header.appendChild(sub);
   panel.appendChild(header);
 
-  const breakdown = computeBreakdown(liked, movie);
+  if (detail.collab != null) {
+    const parts = document.createElement("p");
+    parts.className = "inspector__subtitle muted";
+    parts.textContent = `Genre cosine ${Math.round(detail.genre * 100)}% · Ratings similarity ${Math.round(detail.collab * 100)}%`;
+    panel.appendChild(parts);
+  }
+
+  const breakdown = computeBreakdown(profile, movie);
 
   const makeSection = (heading, items) => {
     const t = document.createElement("p");
@@ -147,9 +398,27 @@ function renderInspector(liked, movie, percentMatch) {
   };
 
   makeSection("Shared genres", breakdown.overlap);
-  makeSection(`Only in “${liked.title}”`, breakdown.onlyLiked);
+  makeSection("Only in your profile", breakdown.onlyLiked);
   makeSection("Only in recommendation", breakdown.onlyCand);
 
+  const tEv = document.createElement("p");
+  tEv.className = "section-title";
+  tEv.textContent = "Co-rater evidence";
+  panel.appendChild(tEv);
+  const evidence = document.createElement("div");
+  evidence.className = "evidence";
+  [...profile.liked, ...profile.disliked].forEach(seed => {
+    const e = itemNeighbors(seed.id).get(movie.id);
+    const row = document.createElement("p");
+    row.className = "evidence-row";
+    row.textContent = e
+      ? `“${seed.title}”: ${e.coRaters} users rated both, avg ${e.avg.toFixed(1)} · sim ${e.sim.toFixed(2)}`
+      : `“${seed.title}”: no users rated both`;
+    if (profile.disliked.includes(seed)) row.classList.add("evidence-row--disliked");
+    evidence.appendChild(row);
+  });
+  panel.appendChild(evidence);
+
   const t4 = document.createElement("p");
   t4.className = "section-title";
   t4.textContent = "Contribution to match";
@@ -158,7 +427,7 @@ function renderInspector(liked, movie, percentMatch) {
   const list = document.createElement("div");
   list.className = "contrib";
   if (breakdown.contributions.length) {
-    breakdown.contributions.forEach(({ genre, pct }) => {
+    breakdown.contributions.forEach(({ genre, pct, seeds }) => {
       const row = document.createElement("div");
       row.className = "contrib-row";
 
@@ -170,7 +439,8 @@ function renderInspector(liked, movie, percentMatch) {
       bar.className = "contrib-bar";
       const fill = document.createElement("div");
       fill.className = "contrib-fill";
-      fill.style.width = `${pct}%`;
+      fill.style.width = `${Math.min(100, Math.abs(pct))}%`;
+      if (pct < 0) fill.classList.add("negative");
       bar.appendChild(fill);
 
       const pctEl = document.createElement("div");
@@ -180,19 +450,29 @@ function renderInspector(liked, movie, percentMatch) {
       row.appendChild(label);
       row.appendChild(bar);
       row.appendChild(pctEl);
+
+      // Which seeds put this genre into the profile
+      const why = document.createElement("div");
+      why.className = "contrib-seeds";
+      const parts = [];
+      if (seeds.liked.length) parts.push(`from ${quoteTitles(seeds.liked)}`);
+      if (seeds.disliked.length) parts.push(`against ${quoteTitles(seeds.disliked)}`);
+      why.textContent = parts.join(" · ");
+      row.appendChild(why);
+
       list.appendChild(row);
     });
   } else {
     const p = document.createElement("p");
     p.className = "empty";
-    p.textContent = "No shared genres, so cosine is 0%.";
+    p.textContent = "No genres in common with your profile, so cosine is 0%.";
     list.appendChild(p);
   }
   panel.appendChild(list);
 }
 
 /** Build one recommendation card */
-function buildCard(movie, percentMatch, liked) {
+function buildCard(movie, percentMatch, profile, detail) {
   const card = document.createElement("article");
   card.className = "movie-card";
   card.tabIndex = 0;
@@ -226,7 +506,7 @@ function buildCard(movie, percentMatch, liked) {
     document.querySelectorAll(".movie-card.selected").forEach(el => el.classList.remove("selected"));
     card.classList.add("selected");
     // render inspector
-    renderInspector(liked, movie, percentMatch);
+    renderInspector(profile, movie, percentMatch, detail);
   };
 
   card.addEventListener("click", activate);
@@ -237,7 +517,7 @@ function buildCard(movie, percentMatch, liked) {
   return card;
 }
 
-/** ====== Recommendations (Cosine) ====== */
+/** ====== Recommendations (genre cosine / item-item / hybrid) ====== */
 function getRecommendations() {
   const select = document.getElementById("movie-select");
   const resultEl = document.getElementById("result");
@@ -245,37 +525,54 @@ function getRecommendations() {
   if (!select || !grid) return;
 
   try {
-    const selectedVal = ensureSelection();
-    const selectedId = Number.parseInt(selectedVal, 10);
-
-    if (!selectedVal || Number.isNaN(selectedId)) {
-      if (resultEl) resultEl.textContent = "Please select a movie first.";
-      clearRecommendations();
-      return;
+    // No seeds yet: fall back to the dropdown pick as a single liked movie
+    let liked = likedSeeds;
+    if (!liked.length) {
+      const selectedVal = ensureSelection();
+      const selectedId = Number.parseInt(selectedVal, 10);
+
+      if (!selectedVal || Number.isNaN(selectedId)) {
+        if (resultEl) resultEl.textContent = "Please select a movie first.";
+        clearRecommendations();
+        return;
+      }
+
+      const likedMovie = movies.find(m => Number(m.id) === selectedId);
+      if (!likedMovie) {
+        if (resultEl) resultEl.textContent = "Selected movie not found.";
+        clearRecommendations();
+        return;
+      }
+      liked = [likedMovie];
     }
 
-    const likedMovie = movies.find(m => Number(m.id) === selectedId);
-    if (!likedMovie) {
-      if (resultEl) resultEl.textContent = "Selected movie not found.";
+    const profile = buildProfile(liked, dislikedSeeds, readDislikeWeight());
+    if (!profile.vector.some(v => v > 0)) {
+      if (resultEl) resultEl.textContent = "Your dislikes cancel out every liked genre. Lower the dislike weight or add more liked movies.";
       clearRecommendations();
       return;
     }
+    currentProfile = profile;
 
-    currentLiked = likedMovie;
+    const seedIds = new Set([...profile.liked, ...profile.disliked].map(m => Number(m.id)));
+    const candidates = movies.filter(m => !seedIds.has(Number(m.id)));
 
-    const candidates = movies.filter(m => Number(m.id) !== selectedId);
-
-    const scored = candidates.map(cand => ({
-      movie: cand,
-      score: cosineSimilarity(likedMovie.genreVector, cand.genreVector)
-    }));
+    const mode = readSimilarityMode();
+    const alpha = readHybridAlpha();
+    const scored = candidates.map(cand => ({ movie: cand, ...scoreCandidate(profile, cand, mode, alpha) }));
 
     scored.sort((a, b) => b.score - a.score);
     const TOP_N = 10;
-    const top = scored.slice(0, TOP_N);
+    const lambda = readMmrLambda();
+    const top = mmrRerank(scored, TOP_N, lambda);
 
-    if (resultEl) resultEl.textContent = `Because you liked “${likedMovie.title}”, your similar picks:`;
+    if (resultEl) {
+      resultEl.textContent = profile.disliked.length
+        ? `Because you liked ${quoteTitles(profile.liked)} but not ${quoteTitles(profile.disliked)}, your picks:`
+        : `Because you liked ${quoteTitles(profile.liked)}, your similar picks:`;
+    }
     clearRecommendations();
+    renderListStats(top, lambda);
 
     if (!top.length) {
       const p = document.createElement("p");
@@ -287,15 +584,16 @@ function getRecommendations() {
 
     // Fill grid and auto-select the top card to show details immediately
     let firstCard = null;
-    for (const { movie, score } of top) {
-      const percent = Math.round(score * 100);
-      const card = buildCard(movie, percent, likedMovie);
-      if (!firstCard) firstCard = { movie, percent, node: card };
+    for (const { movie, score, genre, collab } of top) {
+      const percent = Math.round(Math.max(0, score) * 100);
+      const detail = { genre, collab };
+      const card = buildCard(movie, percent, profile, detail);
+      if (!firstCard) firstCard = { movie, percent, detail, node: card };
       grid.appendChild(card);
     }
     if (firstCard) {
       firstCard.node.classList.add("selected");
-      renderInspector(likedMovie, firstCard.movie, firstCard.percent);
+      renderInspector(profile, firstCard.movie, firstCard.percent, firstCard.detail);
     }
   } catch (err) {
     console.error(err);
@@ -4,7 +4,7 @@
    - Expose: movies[], ratings[], numUsers, numMovies
 */
 
-let movies = [];   // [{ id, title, genres: [] }]
+let movies = [];   // [{ id, title, genres: [], year }]
 let ratings = [];  // [{ userId, itemId, rating, timestamp }]
 
 let numUsers = 0;  // distinct users in u.data
@@ -46,6 +46,9 @@ function parseItemData(text) {
 
     const id = parseInt(parts[0], 10);
     const title = parts[1];
+    // release date looks like 01-Jan-1995; fall back to "(1995)" in the title
+    const yearMatch = /(\d{4})$/.exec(parts[2] || '') || /\((\d{4})\)\s*$/.exec(title);
+    const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
 
     const tail = parts.slice(5);
     const is19 = tail.length >= 19;
@@ -59,7 +62,7 @@ function parseItemData(text) {
         if (g && g !== 'Unknown') genres.push(g);
       }
     }
-    movies.push({ id, title, genres });
+    movies.push({ id, title, genres, year });
   }
 }
 
@@ -0,0 +1,150 @@
+/* evaluation.js — Temporal hold-out evaluation for rating predictors.
+   Each user's ratings are sorted by u.data timestamp; the most recent slice is held out,
+   so the model is always scored on ratings that happened after the ones it learned from.
+   Exposes:
+     temporalSplit(rows, opts) -> { train, test, coldDropped }
+     buildBaselines(train, opts) -> { 'Global mean': fn, 'User mean': fn, 'Item mean': fn, 'Bias only': fn }
+     evaluatePredictions(test, predsByModel, train) -> report
+*/
+
+const HOLDOUT_FRAC = 0.2;       // newest 20% of each user's ratings
+const MIN_USER_RATINGS = 5;     // users with fewer ratings stay entirely in train
+const USER_ACTIVITY_BUCKETS = [ // by number of train ratings
+  { label: '≤ 20',    max: 20 },
+  { label: '21–50',   max: 50 },
+  { label: '51–150',  max: 150 },
+  { label: '> 150',   max: Infinity }
+];
+const ITEM_POPULARITY_BUCKETS = [ // by number of train ratings
+  { label: '≤ 10',    max: 10 },
+  { label: '11–50',   max: 50 },
+  { label: '51–200',  max: 200 },
+  { label: '> 200',   max: Infinity }
+];
+
+/** Per-user temporal split. Test rows whose item never appears in train are dropped (no embedding to score). */
+function temporalSplit(rows, { holdoutFrac = HOLDOUT_FRAC, minUserRatings = MIN_USER_RATINGS } = {}) {
+  const byUser = new Map();
+  for (const r of rows) {
+    if (!byUser.has(r.userId)) byUser.set(r.userId, []);
+    byUser.get(r.userId).push(r);
+  }
+
+  const train = [], held = [];
+  for (const list of byUser.values()) {
+    // ties broken by itemId so the split is deterministic
+    list.sort((a, b) => (a.timestamp - b.timestamp) || (a.itemId - b.itemId));
+    const nTest = list.length >= minUserRatings ? Math.max(1, Math.round(list.length * holdoutFrac)) : 0;
+    const cut = list.length - nTest;
+    for (let k = 0; k < list.length; k++) (k < cut ? train : held).push(list[k]);
+  }
+
+  const trainItems = new Set(train.map(r => r.itemId));
+  const test = held.filter(r => trainItems.has(r.itemId));
+  return { train, test, coldDropped: held.length - test.length };
+}
+
+function countBy(rows, key) {
+  const out = new Map();
+  for (const r of rows) out.set(r[key], (out.get(r[key]) || 0) + 1);
+  return out;
+}
+
+/**
+ * Non-personalised baselines fitted on train only.
+ * Bias only = μ + b_u + b_i with damped means (a few alternating passes).
+ */
+function buildBaselines(train, { damping = 10, passes = 3 } = {}) {
+  const mu = train.reduce((s, r) => s + r.rating, 0) / train.length;
+
+  const meanOf = (key) => {
+    const sum = new Map(), n = new Map();
+    for (const r of train) {
+      sum.set(r[key], (sum.get(r[key]) || 0) + r.rating);
+      n.set(r[key], (n.get(r[key]) || 0) + 1);
+    }
+    const out = new Map();
+    for (const [k, s] of sum) out.set(k, s / n.get(k));
+    return out;
+  };
+  const userMean = meanOf('userId');
+  const itemMean = meanOf('itemId');
+
+  const bu = new Map(), bi = new Map();
+  for (let p = 0; p < passes; p++) {
+    const acc = (key, other, otherKey) => {
+      const sum = new Map(), n = new Map();
+      for (const r of train) {
+        const resid = r.rating - mu - (other.get(r[otherKey]) || 0);
+        sum.set(r[key], (sum.get(r[key]) || 0) + resid);
+        n.set(r[key], (n.get(r[key]) || 0) + 1);
+      }
+      const out = new Map();
+      for (const [k, s] of sum) out.set(k, s / (n.get(k) + damping));
+      return out;
+    };
+    const nextBi = acc('itemId', bu, 'userId');
+    nextBi.forEach((v, k) => bi.set(k, v));
+    const nextBu = acc('userId', bi, 'itemId');
+    nextBu.forEach((v, k) => bu.set(k, v));
+  }
+
+  return {
+    'Global mean': () => mu,
+    'User mean':   (r) => userMean.get(r.userId) ?? mu,
+    'Item mean':   (r) => itemMean.get(r.itemId) ?? mu,
+    'Bias only':   (r) => mu + (bu.get(r.userId) || 0) + (bi.get(r.itemId) || 0)
+  };
+}
+
+function bucketOf(buckets, count) {
+  return buckets.findIndex(b => count <= b.max);
+}
+
+/**
+ * predsByModel: { name: Float32Array | number[] } aligned with test rows (already clamped).
+ * Returns overall and per-bucket RMSE / MAE for every model.
+ */
+function evaluatePredictions(test, predsByModel, train) {
+  const names = Object.keys(predsByModel);
+  const userCounts = countBy(train, 'userId');
+  const itemCounts = countBy(train, 'itemId');
+
+  const blank = () => Object.fromEntries(names.map(n => [n, { se: 0, ae: 0 }]));
+  const overall = { n: 0, acc: blank() };
+  const byUser = USER_ACTIVITY_BUCKETS.map(b => ({ label: b.label, n: 0, acc: blank() }));
+  const byItem = ITEM_POPULARITY_BUCKETS.map(b => ({ label: b.label, n: 0, acc: blank() }));
+
+  test.forEach((r, k) => {
+    const groups = [
+      overall,
+      byUser[bucketOf(USER_ACTIVITY_BUCKETS, userCounts.get(r.userId) || 0)],
+      byItem[bucketOf(ITEM_POPULARITY_BUCKETS, itemCounts.get(r.itemId) || 0)]
+    ];
+    for (const g of groups) {
+      g.n++;
+      for (const name of names) {
+        const err = predsByModel[name][k] - r.rating;
+        g.acc[name].se += err * err;
+        g.acc[name].ae += Math.abs(err);
+      }
+    }
+  });
+
+  const finish = (g) => ({
+    label: g.label,
+    n: g.n,
+    metrics: Object.fromEntries(names.map(name => [name, g.n
+      ? { rmse: Math.sqrt(g.acc[name].se / g.n), mae: g.acc[name].ae / g.n }
+      : null]))
+  });
+
+  return {
+    models: names,
+    nTrain: train.length,
+    nTest: test.length,
+    overall: finish(overall),
+    byUserActivity: byUser.map(finish),
+    byItemPopularity: byItem.map(finish)
+  };
+}
@@ -0,0 +1,89 @@
+/* foldin.js — Fold a brand-new user into the frozen MF model (no retraining).
+   With movie factors q_i and item biases b_i held fixed, the new user's vector p and bias b_u
+   are the ridge-regression solution of   r_i − b_i ≈ p·q_i + b_u   over the movies they rated.
+   Exposes:
+     foldInUser(model, rated: [{ iIdx, rating }], opts) -> { vec: Float32Array, bias, fitRMSE }
+     pickOnboardingMovies(count, opts) -> [itemId]
+*/
+
+const FOLDIN_L2_VEC = 0.5;   // ridge on p; keeps 10–15 ratings from overfitting 16 dims
+const FOLDIN_L2_BIAS = 0.05; // light ridge on b_u
+const ONBOARD_POOL = 150;    // draw onboarding movies from the most-rated titles
+
+/** Solve A x = b in place (Gaussian elimination, partial pivoting). A is n×n as arrays. */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[piv][c])) piv = r;
+    [A[c], A[piv]] = [A[piv], A[c]];
+    [b[c], b[piv]] = [b[piv], b[c]];
+    const d = A[c][c];
+    if (Math.abs(d) < 1e-12) throw new Error('Fold-in system is singular');
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r][c] / d;
+      if (!f) continue;
+      for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+      b[r] -= f * b[c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = b[r];
+    for (let k = r + 1; k < n; k++) s -= A[r][k] * x[k];
+    x[r] = s / A[r][r];
+  }
+  return x;
+}
+
+function foldInUser(model, rated, { l2Vec = FOLDIN_L2_VEC, l2Bias = FOLDIN_L2_BIAS } = {}) {
+  if (!rated.length) throw new Error('Rate at least one movie first.');
+
+  const Q = layerWeights(model, 'movieEmbedding').arraySync(); // [I][D]
+  const bi = layerWeights(model, 'itemBias').dataSync();
+  const D = Q[0].length;
+
+  // Normal equations over x = [p_1..p_D, b_u]
+  const n = D + 1;
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const b = new Array(n).fill(0);
+  for (const { iIdx, rating } of rated) {
+    const x = [...Q[iIdx], 1];
+    const y = rating - bi[iIdx];
+    for (let r = 0; r < n; r++) {
+      b[r] += x[r] * y;
+      for (let c = 0; c < n; c++) A[r][c] += x[r] * x[c];
+    }
+  }
+  for (let k = 0; k < D; k++) A[k][k] += l2Vec;
+  A[D][D] += l2Bias;
+
+  const sol = solveLinearSystem(A, b);
+  const vec = Float32Array.from(sol.slice(0, D));
+  const bias = sol[D];
+
+  let se = 0;
+  for (const { iIdx, rating } of rated) {
+    let p = bias + bi[iIdx];
+    for (let k = 0; k < D; k++) p += vec[k] * Q[iIdx][k];
+    se += (p - rating) ** 2;
+  }
+  return { vec, bias, fitRMSE: Math.sqrt(se / rated.length) };
+}
+
+/** Random well-known movies (from the most-rated pool) the person is likely to have seen. */
+function pickOnboardingMovies(count, { exclude = new Set(), pool = ONBOARD_POOL } = {}) {
+  const counts = new Map();
+  for (const r of ratings) counts.set(r.itemId, (counts.get(r.itemId) || 0) + 1);
+  const popular = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, pool)
+    .map(([id]) => id)
+    .filter(id => !exclude.has(id));
+
+  for (let i = popular.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [popular[i], popular[j]] = [popular[j], popular[i]];
+  }
+  return popular.slice(0, count);
+}
@@ -0,0 +1,46 @@
+/* neighbors.js — Nearest neighbours in the MF latent space (cosine similarity).
+   Row-normalised copies of userEmbedding / movieEmbedding are cached per model,
+   so each query is a single matrix-vector product.
+   Exposes:
+     similarUsers(model, queryVec, k, excludeIdx?) -> [{ idx, sim }]
+     similarMovies(model, iIdx, k) -> [{ idx, sim }]
+*/
+
+let latentCache = null; // { model, users: tf.Tensor2d, movies: tf.Tensor2d }
+
+function normalizedTables(model) {
+  if (latentCache && latentCache.model === model) return latentCache;
+  if (latentCache) { latentCache.users.dispose(); latentCache.movies.dispose(); }
+  const rowNormalize = (t) => tf.tidy(() => t.div(t.norm('euclidean', 1, true).add(1e-8)));
+  latentCache = {
+    model,
+    users: rowNormalize(layerWeights(model, 'userEmbedding')),
+    movies: rowNormalize(layerWeights(model, 'movieEmbedding'))
+  };
+  return latentCache;
+}
+
+function topKByCosine(table, queryVec, k, exclude) {
+  const sims = tf.tidy(() => {
+    const q = tf.tensor2d(queryVec, [1, queryVec.length]);
+    const qn = q.div(q.norm().add(1e-8));
+    return table.matMul(qn, false, true).reshape([-1]);
+  });
+  const values = sims.dataSync();
+  sims.dispose();
+
+  const rows = [];
+  for (let i = 0; i < values.length; i++) if (i !== exclude) rows.push({ idx: i, sim: values[i] });
+  rows.sort((a, b) => b.sim - a.sim);
+  return rows.slice(0, k);
+}
+
+/** queryVec is a raw user vector (trained or folded-in); excludeIdx skips the user themself. */
+function similarUsers(model, queryVec, k = 5, excludeIdx = -1) {
+  return topKByCosine(normalizedTables(model).users, queryVec, k, excludeIdx);
+}
+
+function similarMovies(model, iIdx, k = 5) {
+  const vec = tf.tidy(() => layerWeights(model, 'movieEmbedding').slice([iIdx, 0], [1, -1]).dataSync().slice());
+  return topKByCosine(normalizedTables(model).movies, vec, k, iIdx);
+}
@@ -0,0 +1,50 @@
+/* neumf.js — Neural Collaborative Filtering (NeuMF) for explicit ratings.
+   Two branches over separate embeddings, fused by a linear output:
+     GMF: userGmf ⊙ itemGmf                       (generalised dot product)
+     MLP: Dense stack over [userMlp ‖ itemMlp]    (non-linear interactions)
+     ŷ  = w · [GMF ‖ MLP] + b                     (linear, b starts at the mean rating)
+   Same inputs as mfRecommender (userInput / movieInput int32 [N,1]), so it trains on the
+   tensors from buildTrainingTensors() unchanged.
+   Exposes:
+     createNeuMFModel(numUsers, numMovies, opts) -> tf.LayersModel
+*/
+
+const NEUMF_MLP_LAYERS = [64, 32, 16];
+
+function createNeuMFModel(numUsers, numMovies, {
+  latentDim = 16, mlpLayers = NEUMF_MLP_LAYERS, embeddingL2 = 0, outputBias = 0
+} = {}) {
+  const reg = embeddingL2 > 0 ? tf.regularizers.l2({ l2: embeddingL2 }) : undefined;
+  const userInput  = tf.input({ shape: [1], dtype: 'int32', name: 'userInput' });
+  const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movieInput' });
+
+  const embed = (input, inputDim, name) => tf.layers.flatten().apply(
+    tf.layers.embedding({
+      inputDim, outputDim: latentDim, embeddingsInitializer: 'glorotUniform',
+      embeddingsRegularizer: reg, name
+    }).apply(input)
+  );
+
+  // GMF branch
+  const gmf = tf.layers.multiply({ name: 'gmf' }).apply([
+    embed(userInput, numUsers, 'gmfUserEmbedding'),
+    embed(movieInput, numMovies, 'gmfMovieEmbedding')
+  ]);
+
+  // MLP branch
+  let h = tf.layers.concatenate({ name: 'mlpConcat' }).apply([
+    embed(userInput, numUsers, 'mlpUserEmbedding'),
+    embed(movieInput, numMovies, 'mlpMovieEmbedding')
+  ]);
+  mlpLayers.forEach((units, k) => {
+    h = tf.layers.dense({ units, activation: 'relu', name: `mlpDense${k + 1}` }).apply(h);
+  });
+
+  const fused = tf.layers.concatenate({ name: 'neumfConcat' }).apply([gmf, h]);
+  const pred = tf.layers.dense({
+    units: 1, activation: 'linear', name: 'rating',
+    biasInitializer: tf.initializers.constant({ value: outputBias })
+  }).apply(fused);
+
+  return tf.model({ inputs: [userInput, movieInput], outputs: pred, name: 'neumfRecommender' });
+}
@@ -0,0 +1,84 @@
+/* persist.js — Save / restore the trained MF model between page loads.
+   Topology + weights go through tf.io (IndexedDB, or a model.json + weights.bin download);
+   the ID maps, training metrics and a hash of u.data ride along as user-defined metadata,
+   so one artifact is enough to predict without retraining.
+   Exposes:
+     MODEL_STORE_URL
+     computeDataHash(ratings) -> string
+     async saveModelToBrowser(model, meta)
+     async loadModelFromBrowser() -> { model, meta } | null
+     async downloadModel(model, meta)
+     async importModelFiles(fileList) -> { model, meta }
+*/
+
+const MODEL_STORE_URL = 'indexeddb://week3-mf-recommender';
+const MODEL_META_VERSION = 1;
+
+/** FNV-1a over every rating row; order-sensitive, cheap enough for 100K rows. */
+function computeDataHash(rows) {
+  let h = 0x811c9dc5;
+  const mix = (n) => {
+    // fold the number in byte by byte
+    for (let s = 0; s < 32; s += 8) {
+      h ^= (n >>> s) & 0xff;
+      h = Math.imul(h, 0x01000193);
+    }
+  };
+  mix(rows.length);
+  for (const r of rows) { mix(r.userId); mix(r.itemId); mix(r.rating); mix(r.timestamp); }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function attachMeta(model, meta) {
+  // tf.io only accepts plain JSON (no undefined / NaN), so round-trip through JSON first
+  const plain = JSON.parse(JSON.stringify({ ...meta, version: MODEL_META_VERSION, savedAt: new Date().toISOString() }));
+  model.setUserDefinedMetadata(plain);
+}
+
+function readMeta(model) {
+  const meta = model.getUserDefinedMetadata();
+  if (!meta || meta.version !== MODEL_META_VERSION ||
+      !Array.isArray(meta.indexToUserId) || !Array.isArray(meta.indexToItemId)) {
+    throw new Error('Saved model is missing its ID maps (not saved by this page?)');
+  }
+  return meta;
+}
+
+/** readMeta for a freshly loaded model; disposes it when the metadata is unusable. */
+function readMetaOrDispose(model) {
+  try {
+    return readMeta(model);
+  } catch (e) {
+    model.dispose();
+    throw e;
+  }
+}
+
+async function saveModelToBrowser(model, meta) {
+  attachMeta(model, meta);
+  await model.save(MODEL_STORE_URL);
+}
+
+/** Returns null when nothing is stored (first visit, cleared site data, …). */
+async function loadModelFromBrowser() {
+  const stored = await tf.io.listModels();
+  if (!stored[MODEL_STORE_URL]) return null;
+  const model = await tf.loadLayersModel(MODEL_STORE_URL);
+  return { model, meta: readMetaOrDispose(model) };
+}
+
+/** Triggers two downloads: week3-mf-recommender.json and .weights.bin */
+async function downloadModel(model, meta) {
+  attachMeta(model, meta);
+  await model.save('downloads://week3-mf-recommender');
+}
+
+/** fileList must contain the model .json and its .bin weight file(s). */
+async function importModelFiles(fileList) {
+  const files = Array.from(fileList || []);
+  const json = files.find(f => f.name.endsWith('.json'));
+  const weights = files.filter(f => f.name.endsWith('.bin'));
+  if (!json || !weights.length) throw new Error('Pick the model .json together with its .bin weights file.');
+  const model = await tf.loadLayersModel(tf.io.browserFiles([json, ...weights]));
+  return { model, meta: readMetaOrDispose(model) };
+}
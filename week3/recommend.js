@@ -0,0 +1,49 @@
+/* recommend.js — Top-N recommendations for one user from the trained MF model.
+   Reads the learned tables straight out of the Keras layers:
+     ŷ(u, i) = dot(userEmbedding[u], movieEmbedding[i]) + userBias[u] + itemBias[i]
+   A "user" here is just { vec, bias }, so folded-in users (foldin.js) score the same way.
+   Exposes:
+     layerWeights(model, layerName) -> tf.Tensor2d (owned by the model; do not dispose)
+     userFactors(model, uIdx) -> { vec: Float32Array, bias }
+     scoreAllItems(model, user) -> { dot, itemBias } (Float32Array per item index)
+     topNForUser(model, user, opts) -> [{ iIdx, pred, dot, userBias, itemBias }]
+*/
+
+function layerWeights(model, layerName) {
+  return model.getLayer(layerName).getWeights()[0];
+}
+
+function userFactors(model, uIdx) {
+  return tf.tidy(() => ({
+    vec: layerWeights(model, 'userEmbedding').slice([uIdx, 0], [1, -1]).dataSync().slice(),
+    bias: layerWeights(model, 'userBias').slice([uIdx, 0], [1, 1]).dataSync()[0]
+  }));
+}
+
+function scoreAllItems(model, user) {
+  return tf.tidy(() => {
+    const uVec = tf.tensor2d(user.vec, [1, user.vec.length]);                    // [1, D]
+    const dot = layerWeights(model, 'movieEmbedding').matMul(uVec, false, true); // [I, 1]
+    return {
+      dot: dot.dataSync().slice(),
+      itemBias: layerWeights(model, 'itemBias').dataSync().slice()
+    };
+  });
+}
+
+/**
+ * opts:
+ *   n          — list length (default 10)
+ *   exclude    — Set of item indices to skip (e.g. already rated)
+ *   keep(iIdx) — extra filter (genre / year …); return false to drop
+ */
+function topNForUser(model, user, { n = 10, exclude = new Set(), keep = () => true } = {}) {
+  const { dot, itemBias } = scoreAllItems(model, user);
+  const rows = [];
+  for (let i = 0; i < dot.length; i++) {
+    if (exclude.has(i) || !keep(i)) continue;
+    rows.push({ iIdx: i, pred: dot[i] + user.bias + itemBias[i], dot: dot[i], userBias: user.bias, itemBias: itemBias[i] });
+  }
+  rows.sort((a, b) => b.pred - a.pred);
+  return rows.slice(0, n);
+}
@@ -3,13 +3,20 @@
 */
 
 let model; // trained tf.Model
+let neumfModel = null; // optional NeuMF (neumf.js), trained on the same tensors for comparison
+let trainingMetrics = null; // { valRMSE, baselineRMSE, config, evaluation }
+let foldedUser = null;      // onboarding result: { vec, bias, fitRMSE, rated: Map(itemId -> rating), model }
+let dataHash = '';          // hash of u.data; a stored model is reused only if it matches
+let modelDataHash = '';     // hash of the data `model` was trained on (differs after a stale import)
 
 let userIdToIndex = new Map();
 let itemIdToIndex = new Map();
 let indexToUserId = [];
 let indexToItemId = [];
 
+let split = null; // { train, test, coldDropped } from temporalSplit() in evaluation.js
 let trainUserTensor, trainItemTensor, trainRatingTensor;
+let testUserTensor, testItemTensor, testRatingTensor;
 
 // Map userId -> Map(itemId -> rating) for fast ground-truth lookup & filtering
 const ratingsByUser = new Map();
@@ -69,8 +76,9 @@ function repopulateMoviesForUser() {
 
   let list = movies;
 
-  if (!Number.isNaN(userIdRaw) && ratedOnly) {
-    const m = ratingsByUser.get(userIdRaw);
+  const isNewUser = $('user-select').value === NEW_USER_VALUE;
+  if ((isNewUser || !Number.isNaN(userIdRaw)) && ratedOnly) {
+    const m = isNewUser ? foldedUser?.rated : ratingsByUser.get(userIdRaw);
     if (m) {
       list = movies
         .filter(x => m.has(x.id))
@@ -97,43 +105,62 @@ function repopulateMoviesForUser() {
   }
 }
 
-function buildTrainingTensors() {
-  const N = ratings.length;
+function toTensors(rows) {
+  const N = rows.length;
   const uIdx = new Int32Array(N);
   const iIdx = new Int32Array(N);
   const y    = new Float32Array(N);
 
   for (let k = 0; k < N; k++) {
-    const r = ratings[k];
+    const r = rows[k];
     uIdx[k] = userIdToIndex.get(r.userId);
     iIdx[k] = itemIdToIndex.get(r.itemId);
     y[k]    = r.rating;
   }
 
-  trainUserTensor   = tf.tensor2d(uIdx, [N, 1], 'int32');
-  trainItemTensor   = tf.tensor2d(iIdx, [N, 1], 'int32');
-  trainRatingTensor = tf.tensor2d(y,    [N, 1], 'float32');
+  return [
+    tf.tensor2d(uIdx, [N, 1], 'int32'),
+    tf.tensor2d(iIdx, [N, 1], 'int32'),
+    tf.tensor2d(y,    [N, 1], 'float32')
+  ];
+}
+
+/** Temporal per-user split, then train/test tensors (test = each user's newest ratings). */
+function buildTrainingTensors() {
+  [trainUserTensor, trainItemTensor, trainRatingTensor, testUserTensor, testItemTensor, testRatingTensor]
+    .forEach(t => t?.dispose());
+
+  split = temporalSplit(ratings);
+  [trainUserTensor, trainItemTensor, trainRatingTensor] = toTensors(split.train);
+  [testUserTensor, testItemTensor, testRatingTensor] = toTensors(split.test);
 
   return { numUsers: indexToUserId.length, numItems: indexToItemId.length };
 }
 
 /* ---------- Define MF model ---------- */
-function createModel(numUsers, numMovies, latentDim = 16) {
+function createModel(numUsers, numMovies, latentDim = 16, { embeddingL2 = 0, biasL2 = 0 } = {}) {
+  const embReg  = embeddingL2 > 0 ? tf.regularizers.l2({ l2: embeddingL2 }) : undefined;
+  const biasReg = biasL2 > 0 ? tf.regularizers.l2({ l2: biasL2 }) : undefined;
+
   const userInput  = tf.input({ shape: [1], dtype: 'int32', name: 'userInput' });
   const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movieInput' });
 
   const userEmbeddingLayer = tf.layers.embedding({
-    inputDim: numUsers, outputDim: latentDim, embeddingsInitializer: 'glorotUniform', name: 'userEmbedding'
+    inputDim: numUsers, outputDim: latentDim, embeddingsInitializer: 'glorotUniform',
+    embeddingsRegularizer: embReg, name: 'userEmbedding'
   });
   const movieEmbeddingLayer = tf.layers.embedding({
-    inputDim: numMovies, outputDim: latentDim, embeddingsInitializer: 'glorotUniform', name: 'movieEmbedding'
+    inputDim: numMovies, outputDim: latentDim, embeddingsInitializer: 'glorotUniform',
+    embeddingsRegularizer: embReg, name: 'movieEmbedding'
   });
 
   const userBiasLayer = tf.layers.embedding({
-    inputDim: numUsers, outputDim: 1, embeddingsInitializer: 'zeros', name: 'userBias'
+    inputDim: numUsers, outputDim: 1, embeddingsInitializer: 'zeros',
+    embeddingsRegularizer: biasReg, name: 'userBias'
   });
   const itemBiasLayer = tf.layers.embedding({
-    inputDim: numMovies, outputDim: 1, embeddingsInitializer: 'zeros', name: 'itemBias'
+    inputDim: numMovies, outputDim: 1, embeddingsInitializer: 'zeros',
+    embeddingsRegularizer: biasReg, name: 'itemBias'
   });
 
   const userVec  = tf.layers.flatten().apply(userEmbeddingLayer.apply(userInput));
@@ -149,55 +176,307 @@ function createModel(numUsers, numMovies, latentDim = 16) {
 }
 
 /* ---------- Train (with persistent metrics line) ---------- */
-async function trainModel() {
+const DEFAULT_TRAIN_CONFIG = {
+  latentDim: 16, epochs: 8, batchSize: 256, learningRate: 0.001, embeddingL2: 0, biasL2: 0
+};
+
+/** Training form → config; blank or invalid fields fall back to the defaults. */
+function readTrainConfig() {
+  const num = (id, fallback) => {
+    const v = parseFloat($(id)?.value);
+    return Number.isFinite(v) && v >= 0 ? v : fallback;
+  };
+  const d = DEFAULT_TRAIN_CONFIG;
+  return {
+    latentDim:    Math.max(1, Math.round(num('cfg-latent', d.latentDim))),
+    epochs:       Math.max(1, Math.round(num('cfg-epochs', d.epochs))),
+    batchSize:    Math.max(1, Math.round(num('cfg-batch', d.batchSize))),
+    learningRate: num('cfg-lr', d.learningRate) || d.learningRate,
+    embeddingL2:  num('cfg-emb-l2', d.embeddingL2),
+    biasL2:       num('cfg-bias-l2', d.biasL2)
+  };
+}
+
+function writeTrainConfig(cfg) {
+  const set = (id, v) => { if ($(id) && v != null) $(id).value = String(v); };
+  set('cfg-latent', cfg.latentDim);
+  set('cfg-epochs', cfg.epochs);
+  set('cfg-batch', cfg.batchSize);
+  set('cfg-lr', cfg.learningRate);
+  set('cfg-emb-l2', cfg.embeddingL2);
+  set('cfg-bias-l2', cfg.biasL2);
+}
+
+function compileModel(m, cfg) {
+  m.compile({ optimizer: tf.train.adam(cfg.learningRate), loss: 'meanSquaredError' });
+  return m;
+}
+
+async function trainModel(config = readTrainConfig()) {
   const res = $('result');
-  const metricsEl = $('metrics');
   res.textContent = 'Building model…';
 
   buildIndexMaps();
   const { numUsers: U, numItems: I } = buildTrainingTensors();
 
-  model = createModel(U, I, 16);
-  model.compile({ optimizer: tf.train.adam(0.001), loss: 'meanSquaredError' });
+  const { latentDim, epochs, batchSize } = config;
+  if (model) model.dispose();
+  model = compileModel(createModel(U, I, latentDim, config), config);
 
-  const epochs = 8;
-  const batchSize = 256;
   res.textContent = `Training model… (epochs: ${epochs}, batchSize: ${batchSize})`;
 
-  const history = await model.fit(
+  await model.fit(
     [trainUserTensor, trainItemTensor],
     trainRatingTensor,
     {
       epochs,
       batchSize,
       shuffle: true,
-      validationSplit: 0.1,
+      validationData: [[testUserTensor, testItemTensor], testRatingTensor],
       callbacks: {
         onEpochEnd: async (epoch, logs) => {
           res.textContent =
             `Training… epoch ${epoch + 1}/${epochs} — loss: ${logs.loss.toFixed(4)} — ` +
-            `val_loss: ${logs.val_loss?.toFixed(4)}`;
+            `hold-out loss: ${logs.val_loss?.toFixed(4)}`;
           await tf.nextFrame();
         }
       }
     }
   );
 
-  // Compute persistent metrics
-  const lastValMSE = history.history.val_loss?.at(-1);
-  const valRMSE = lastValMSE ? Math.sqrt(lastValMSE) : null;
+  // Score MF and the baselines on the same temporal hold-out
+  const evaluation = evaluateOnHoldout(model);
+  const valRMSE = evaluation.overall.metrics.MF.rmse;
+  const baselineRMSE = evaluation.overall.metrics['Global mean'].rmse;
+
+  trainingMetrics = { valRMSE, baselineRMSE, config, evaluation };
+  modelDataHash = dataHash;
+  renderMetrics();
+  res.textContent = 'Model trained. Select a user and a movie, then click “Predict Rating”.';
+
+  try {
+    await saveModelToBrowser(model, buildModelMeta());
+    renderMetrics('saved to this browser');
+  } catch (e) {
+    console.warn('Could not save model to IndexedDB', e);
+  }
+}
+
+function renderMetrics(note = '') {
+  const m = trainingMetrics;
+  if (!m) { $('metrics').textContent = ''; renderEvaluation(null); return; }
+  $('metrics').textContent =
+    `Hold-out RMSE: ${m.valRMSE ? m.valRMSE.toFixed(4) : 'n/a'}  •  Global-mean RMSE: ${m.baselineRMSE.toFixed(4)}` +
+    (note ? `  •  ${note}` : '');
+  renderEvaluation(m.evaluation || null);
+}
+
+/* ---------- Temporal hold-out evaluation (see evaluation.js) ---------- */
+const clampRating = (v) => Math.max(1, Math.min(5, v));
+
+function predictHoldout(m) {
+  const yHat = tf.tidy(() => m.predict([testUserTensor, testItemTensor]));
+  const preds = Array.from(yHat.dataSync(), clampRating);
+  yHat.dispose();
+  return preds;
+}
+
+/** MF, NeuMF (when trained) and the baselines, all on the same hold-out rows. */
+function evaluateOnHoldout(mfModel) {
+  const predsByModel = { MF: predictHoldout(mfModel) };
+  const params = { MF: mfModel.countParams() };
+  if (neumfModel) {
+    predsByModel.NeuMF = predictHoldout(neumfModel);
+    params.NeuMF = neumfModel.countParams();
+  }
+  const baselines = buildBaselines(split.train);
+  for (const [name, fn] of Object.entries(baselines)) {
+    predsByModel[name] = split.test.map(r => clampRating(fn(r)));
+  }
+  const report = evaluatePredictions(split.test, predsByModel, split.train);
+  report.coldDropped = split.coldDropped;
+  report.params = params;
+  return report;
+}
+
+function renderEvaluation(report) {
+  const box = $('eval-box');
+  if (!box) return;
+  box.innerHTML = '';
+  if (!report) return;
+
+  const note = document.createElement('p');
+  note.className = 'muted';
+  note.textContent =
+    `Temporal hold-out: newest 20% of each user's ratings • train ${report.nTrain} • test ${report.nTest}` +
+    (report.coldDropped ? ` • ${report.coldDropped} test rows dropped (item unseen in train)` : '') +
+    ' • cells show RMSE / MAE';
+  box.appendChild(note);
+
+  if (report.params?.NeuMF) {
+    const o = report.overall.metrics;
+    const cmp = document.createElement('p');
+    cmp.className = 'muted';
+    cmp.textContent =
+      `MF: RMSE ${o.MF.rmse.toFixed(4)} with ${report.params.MF.toLocaleString()} params  •  ` +
+      `NeuMF: RMSE ${o.NeuMF.rmse.toFixed(4)} with ${report.params.NeuMF.toLocaleString()} params  •  ` +
+      `Δ ${(o.NeuMF.rmse - o.MF.rmse >= 0 ? '+' : '') + (o.NeuMF.rmse - o.MF.rmse).toFixed(4)}`;
+    box.appendChild(cmp);
+  }
+
+  const table = (caption, rows) => {
+    const t = document.createElement('table');
+    t.className = 'eval-table';
+    const cap = document.createElement('caption');
+    cap.textContent = caption;
+    t.appendChild(cap);
+
+    const head = t.insertRow();
+    ['Bucket', 'n', ...report.models].forEach(h => {
+      const th = document.createElement('th'); th.textContent = h; head.appendChild(th);
+    });
+    for (const row of rows) {
+      const tr = t.insertRow();
+      tr.insertCell().textContent = row.label;
+      tr.insertCell().textContent = String(row.n);
+      // highlight the best RMSE per row
+      const best = Math.min(...report.models.map(n => row.metrics[n]?.rmse ?? Infinity));
+      for (const name of report.models) {
+        const cell = tr.insertCell();
+        const m = row.metrics[name];
+        cell.textContent = m ? `${m.rmse.toFixed(3)} / ${m.mae.toFixed(3)}` : '—';
+        if (m && m.rmse === best) cell.classList.add('best');
+      }
+    }
+    box.appendChild(t);
+  };
+
+  table('Overall', [{ ...report.overall, label: 'All users' }]);
+  table('By user activity (train ratings per user)', report.byUserActivity);
+  table('By item popularity (train ratings per movie)', report.byItemPopularity);
+}
+
+/* ---------- Persistence (see persist.js) ---------- */
+function buildModelMeta() {
+  // keep the hash the weights were trained on, so a stale import still retrains on next load
+  return { dataHash: modelDataHash, indexToUserId, indexToItemId, metrics: trainingMetrics };
+}
+
+/** Adopt a restored model and the ID maps it was trained with. */
+function applyRestoredModel(restored) {
+  if (model && model !== restored.model) model.dispose();
+  // a NeuMF trained against the old ID maps no longer lines up
+  if (neumfModel) { neumfModel.dispose(); neumfModel = null; }
+  model = restored.model;
+  modelDataHash = restored.meta.dataHash;
+  indexToUserId = restored.meta.indexToUserId;
+  indexToItemId = restored.meta.indexToItemId;
+  userIdToIndex = new Map(indexToUserId.map((u, idx) => [u, idx]));
+  itemIdToIndex = new Map(indexToItemId.map((i, idx) => [i, idx]));
+  trainingMetrics = restored.meta.metrics || null;
+  if (trainingMetrics?.config) writeTrainConfig(trainingMetrics.config);
+}
+
+/** Reuse the IndexedDB copy when it was trained on the same u.data; otherwise train. */
+async function restoreOrTrain() {
+  const res = $('result');
+  let restored = null;
+  try {
+    restored = await loadModelFromBrowser();
+  } catch (e) {
+    console.warn('Stored model unreadable, retraining', e);
+  }
+
+  if (restored && restored.meta.dataHash === dataHash) {
+    applyRestoredModel(restored);
+    renderMetrics(`restored from ${new Date(restored.meta.savedAt).toLocaleString()}`);
+    res.textContent = 'Model restored (no retraining needed). Select a user and a movie, then click “Predict Rating”.';
+    return;
+  }
+  if (restored) {
+    restored.model.dispose();
+    res.textContent = 'Data changed since the stored model was trained — retraining…';
+  }
+  await trainModel();
+}
+
+/* ---------- NeuMF (see neumf.js) ---------- */
+async function trainNeuMF(config = readTrainConfig()) {
+  const res = $('result');
+  if (!split) buildTrainingTensors(); // restored MF: tensors not built yet
 
   const meanTensor = trainRatingTensor.mean();
-  const mean = meanTensor.dataSync()[0];
+  const outputBias = meanTensor.dataSync()[0];
   meanTensor.dispose();
 
-  const mseTensor = tf.tidy(() => trainRatingTensor.sub(tf.scalar(mean)).square().mean());
-  const baselineRMSE = Math.sqrt(mseTensor.dataSync()[0]);
-  mseTensor.dispose();
+  if (neumfModel) neumfModel.dispose();
+  neumfModel = compileModel(
+    createNeuMFModel(indexToUserId.length, indexToItemId.length, { ...config, outputBias }),
+    config
+  );
 
-  metricsEl.textContent =
-    `Val RMSE: ${valRMSE ? valRMSE.toFixed(4) : 'n/a'}  •  Baseline RMSE: ${baselineRMSE.toFixed(4)}`;
-  res.textContent = 'Model trained. Select a user and a movie, then click “Predict Rating”.';
+  const { epochs, batchSize } = config;
+  await neumfModel.fit([trainUserTensor, trainItemTensor], trainRatingTensor, {
+    epochs,
+    batchSize,
+    shuffle: true,
+    validationData: [[testUserTensor, testItemTensor], testRatingTensor],
+    callbacks: {
+      onEpochEnd: async (epoch, logs) => {
+        res.textContent =
+          `Training NeuMF… epoch ${epoch + 1}/${epochs} — loss: ${logs.loss.toFixed(4)} — ` +
+          `hold-out loss: ${logs.val_loss?.toFixed(4)}`;
+        await tf.nextFrame();
+      }
+    }
+  });
+
+  if (model && trainingMetrics) {
+    trainingMetrics.evaluation = evaluateOnHoldout(model);
+    renderMetrics('NeuMF added to the comparison');
+  }
+  res.textContent = 'NeuMF trained. Choose it under “Architecture” to use it for predictions.';
+}
+
+const selectedArch = () => ($('arch-select')?.value === 'neumf' ? 'neumf' : 'mf');
+
+/** Retrains `arch` (default: the Architecture selector); config defaults to the form. */
+async function retrainModel(arch = selectedArch(), config = readTrainConfig()) {
+  setModelButtonsDisabled(true);
+  try { await (arch === 'neumf' ? trainNeuMF(config) : trainModel(config)); }
+  catch (e) { console.error(e); $('result').textContent = `Training failed: ${e.message}`; }
+  finally { setModelButtonsDisabled(false); }
+}
+
+async function downloadTrainedModel() {
+  if (!model) { $('result').textContent = 'Model not ready yet. Wait for training to finish.'; return; }
+  try {
+    await downloadModel(model, buildModelMeta());
+  } catch (e) {
+    console.error(e);
+    $('result').textContent = `Download failed: ${e.message}`;
+  }
+}
+
+async function importTrainedModel(ev) {
+  const res = $('result');
+  try {
+    const restored = await importModelFiles(ev.target.files);
+    applyRestoredModel(restored);
+    const stale = restored.meta.dataHash !== dataHash;
+    renderMetrics(`imported${stale ? ' (trained on different data)' : ''}`);
+    res.textContent = 'Model imported. Select a user and a movie, then click “Predict Rating”.';
+    await saveModelToBrowser(model, buildModelMeta());
+  } catch (e) {
+    console.error(e);
+    res.textContent = `Import failed: ${e.message}`;
+  } finally {
+    ev.target.value = '';
+  }
+}
+
+function setModelButtonsDisabled(disabled) {
+  ['retrain-btn', 'download-btn', 'import-input', 'search-btn'].forEach(id => { if ($(id)) $(id).disabled = disabled; });
 }
 
 /* ---------- Predict (shows • actual: <rating> when available) ---------- */
@@ -205,6 +484,12 @@ async function predictRating() {
   const res = $('result');
   if (!model) { res.textContent = 'Model not ready yet. Wait for training to finish.'; return; }
 
+  if ($('user-select').value === NEW_USER_VALUE) { predictRatingForNewUser(); return; }
+
+  const useNeuMF = selectedArch() === 'neumf';
+  if (useNeuMF && !neumfModel) { res.textContent = 'NeuMF is not trained yet. Click “Retrain model” with NeuMF selected.'; return; }
+  const predictor = useNeuMF ? neumfModel : model;
+
   const userIdRaw  = parseInt($('user-select').value, 10);
   const itemIdRaw  = parseInt($('movie-select').value, 10);
   if (Number.isNaN(userIdRaw) || Number.isNaN(itemIdRaw)) {
@@ -213,7 +498,7 @@ async function predictRating() {
 
   const uIdx = userIdToIndex.get(userIdRaw);
   const iIdx = itemIdToIndex.get(itemIdRaw);
-  if (uIdx == null) { res.textContent = `User ${userIdRaw} has no ratings (cannot embed).`; return; }
+  if (uIdx == null) { res.textContent = `User ${userIdRaw} has no ratings (cannot embed). Try the onboarding panel below.`; return; }
   if (iIdx == null) {
     const t = movies.find(m => m.id === itemIdRaw)?.title || 'Movie';
     res.textContent = `“${t}” has no ratings in u.data (no embedding).`; return;
@@ -221,7 +506,7 @@ async function predictRating() {
 
   const uT = tf.tensor2d([uIdx], [1,1], 'int32');
   const iT = tf.tensor2d([iIdx], [1,1], 'int32');
-  const yHat = tf.tidy(() => model.predict([uT, iT]));
+  const yHat = tf.tidy(() => predictor.predict([uT, iT]));
   const predVal = (await yHat.data())[0];
   uT.dispose(); iT.dispose(); yHat.dispose();
 
@@ -232,8 +517,346 @@ async function predictRating() {
   const actualTxt = (actual != null) ? ` • actual: ${actual}` : ' • (no ground-truth rating for this pair)';
 
   res.textContent =
-    `Predicted rating for User ${userIdRaw} on “${title}”: ${clamped.toFixed(2)} ` +
+    `${useNeuMF ? 'NeuMF' : 'MF'} predicted rating for User ${userIdRaw} on “${title}”: ${clamped.toFixed(2)} ` +
     `(raw: ${predVal.toFixed(3)})${actualTxt}`;
+
+  renderNeighbors({
+    userVec: userFactors(model, uIdx).vec, uIdx, userLabel: `User ${userIdRaw}`,
+    iIdx, title, rated: ratingsByUser.get(userIdRaw) || new Map()
+  });
+}
+
+/* ---------- Latent-space neighbours (see neighbors.js) ---------- */
+const NEIGHBOR_K = 5;
+
+/** Explains a prediction: who rates like this user, and what the MF model thinks resembles this movie. */
+function renderNeighbors({ userVec, uIdx = -1, userLabel, iIdx, title, rated }) {
+  const box = $('neighbors-box');
+  if (!box) return;
+  box.innerHTML = '';
+  const movieById = new Map(movies.map(m => [m.id, m]));
+  const itemId = indexToItemId[iIdx];
+
+  const column = (heading, lines) => {
+    const col = document.createElement('div');
+    col.className = 'neighbors-col';
+    const h = document.createElement('h3');
+    h.textContent = heading;
+    col.appendChild(h);
+    const ol = document.createElement('ol');
+    lines.forEach(text => { const li = document.createElement('li'); li.textContent = text; ol.appendChild(li); });
+    col.appendChild(ol);
+    box.appendChild(col);
+  };
+
+  const users = similarUsers(model, userVec, NEIGHBOR_K, uIdx).map(({ idx, sim }) => {
+    const uid = indexToUserId[idx];
+    const r = ratingsByUser.get(uid)?.get(itemId);
+    return `User ${uid} · cos ${sim.toFixed(2)} · ` + (r != null ? `rated “${title}” ★${r}` : 'has not rated it');
+  });
+  column(`Users like ${userLabel}`, users);
+
+  const similar = similarMovies(model, iIdx, NEIGHBOR_K).map(({ idx, sim }) => {
+    const id = indexToItemId[idx];
+    const r = rated.get(id);
+    return `${movieById.get(id)?.title || `Movie ${id}`} · cos ${sim.toFixed(2)}` +
+      (r != null ? ` · ${userLabel} rated ★${r}` : '');
+  });
+  column(`Movies like “${title}”`, similar);
+}
+
+/* ---------- Hyperparameter search (see search.js) ---------- */
+// Trials are scored on an inner temporal split of the training rows, so the
+// reported hold-out set stays untouched until the winner is retrained.
+async function runHyperparamSearch() {
+  const res = $('result');
+  if (!split) buildTrainingTensors();
+
+  const base = readTrainConfig();
+  const mode = $('search-mode').value;
+  const trials = Math.max(1, parseInt($('search-trials').value, 10) || 6);
+  const configs = mode === 'grid' ? gridConfigs(base) : randomConfigs(base, trials);
+
+  setModelButtonsDisabled(true);
+  const inner = temporalSplit(split.train);
+  const [uTr, iTr, yTr] = toTensors(inner.train);
+  const [uVa, iVa, yVa] = toTensors(inner.test);
+  const leaderboard = [];
+
+  try {
+    for (let k = 0; k < configs.length; k++) {
+      const cfg = configs[k];
+      res.textContent = `Search trial ${k + 1}/${configs.length}: ${describeConfig(cfg)}`;
+      await tf.nextFrame();
+
+      const m = compileModel(createModel(indexToUserId.length, indexToItemId.length, cfg.latentDim, cfg), cfg);
+      const started = performance.now();
+      await m.fit([uTr, iTr], yTr, { epochs: cfg.epochs, batchSize: cfg.batchSize, shuffle: true, verbose: 0 });
+      const yHat = tf.tidy(() => m.predict([uVa, iVa]));
+      const preds = yHat.dataSync();
+      yHat.dispose();
+      m.dispose();
+
+      let se = 0;
+      inner.test.forEach((r, j) => { se += (clampRating(preds[j]) - r.rating) ** 2; });
+      leaderboard.push({ config: cfg, valRMSE: Math.sqrt(se / inner.test.length), seconds: (performance.now() - started) / 1000 });
+      leaderboard.sort((a, b) => a.valRMSE - b.valRMSE);
+      renderLeaderboard(leaderboard);
+    }
+  } catch (e) {
+    console.error(e);
+    res.textContent = `Search failed: ${e.message}`;
+    return;
+  } finally {
+    [uTr, iTr, yTr, uVa, iVa, yVa].forEach(t => t.dispose());
+    setModelButtonsDisabled(false);
+  }
+
+  const best = leaderboard[0];
+  writeTrainConfig(best.config);
+  res.textContent = `Best: ${describeConfig(best.config)} (val RMSE ${best.valRMSE.toFixed(4)}). Retraining it on the full training split…`;
+  // the search tunes MF, so retrain MF whatever the Architecture selector says
+  await retrainModel('mf', best.config);
+}
+
+function describeConfig(c) {
+  return `dim ${c.latentDim}, lr ${c.learningRate}, emb L2 ${c.embeddingL2}, bias L2 ${c.biasL2}, ` +
+    `${c.epochs} ep × ${c.batchSize}`;
+}
+
+function renderLeaderboard(rows) {
+  const box = $('search-box');
+  box.innerHTML = '';
+  const t = document.createElement('table');
+  t.className = 'eval-table';
+  const cap = document.createElement('caption');
+  cap.textContent = 'Search leaderboard (validation = newest 20% of each user\'s training ratings)';
+  t.appendChild(cap);
+
+  const head = t.insertRow();
+  ['#', 'Latent dim', 'LR', 'Emb L2', 'Bias L2', 'Epochs', 'Batch', 'Val RMSE', 'Time (s)'].forEach(h => {
+    const th = document.createElement('th'); th.textContent = h; head.appendChild(th);
+  });
+  rows.forEach((r, k) => {
+    const c = r.config;
+    const tr = t.insertRow();
+    [k + 1, c.latentDim, c.learningRate, c.embeddingL2, c.biasL2, c.epochs, c.batchSize,
+      r.valRMSE.toFixed(4), r.seconds.toFixed(1)].forEach(v => { tr.insertCell().textContent = String(v); });
+    if (k === 0) tr.cells[7].classList.add('best');
+  });
+  box.appendChild(t);
+}
+
+/* ---------- Top-N for a user (see recommend.js) ---------- */
+function populateRecFilters() {
+  const genreSel = $('rec-genre');
+  const allGenres = [...new Set(movies.flatMap(m => m.genres))].sort();
+  for (const g of allGenres) {
+    const opt = document.createElement('option');
+    opt.value = g;
+    opt.textContent = g;
+    genreSel.appendChild(opt);
+  }
+  const years = movies.map(m => m.year).filter(y => y != null);
+  $('rec-year-from').placeholder = String(Math.min(...years));
+  $('rec-year-to').placeholder = String(Math.max(...years));
+}
+
+function recommendForUser() {
+  const res = $('result');
+  if (!model) { res.textContent = 'Model not ready yet. Wait for training to finish.'; return; }
+
+  let user, rated, label;
+  if ($('user-select').value === NEW_USER_VALUE) {
+    user = currentFoldedUser();
+    if (!user) { res.textContent = 'Finish the onboarding ratings first.'; return; }
+    rated = foldedUser.rated;
+    label = 'you';
+  } else {
+    const userIdRaw = parseInt($('user-select').value, 10);
+    if (Number.isNaN(userIdRaw)) { res.textContent = 'Please choose a user first.'; return; }
+    const uIdx = userIdToIndex.get(userIdRaw);
+    if (uIdx == null) { res.textContent = `User ${userIdRaw} has no ratings (cannot embed).`; return; }
+    user = userFactors(model, uIdx);
+    rated = ratingsByUser.get(userIdRaw) || new Map();
+    label = `User ${userIdRaw}`;
+  }
+
+  const n = Math.max(1, Math.min(100, parseInt($('rec-n').value, 10) || 10));
+  const genre = $('rec-genre').value;
+  const yearFrom = parseInt($('rec-year-from').value, 10);
+  const yearTo = parseInt($('rec-year-to').value, 10);
+
+  const exclude = new Set([...rated.keys()].map(id => itemIdToIndex.get(id)).filter(i => i != null));
+  const movieById = new Map(movies.map(m => [m.id, m]));
+
+  const keep = (iIdx) => {
+    const m = movieById.get(indexToItemId[iIdx]);
+    if (!m) return false;
+    if (genre && !m.genres.includes(genre)) return false;
+    if (!Number.isNaN(yearFrom) && (m.year == null || m.year < yearFrom)) return false;
+    if (!Number.isNaN(yearTo) && (m.year == null || m.year > yearTo)) return false;
+    return true;
+  };
+
+  const top = topNForUser(model, user, { n, exclude, keep });
+  renderUserRecs(label, top, movieById);
+
+  const filters = [genre, (yearFrom || yearTo) ? `${yearFrom || '…'}–${yearTo || '…'}` : ''].filter(Boolean).join(', ');
+  res.textContent = top.length
+    ? `Top ${top.length} unrated movies for ${label}${filters ? ` (${filters})` : ''}.`
+    : `No unrated movies match these filters for ${label}.`;
+}
+
+function renderUserRecs(label, rows, movieById) {
+  const box = $('recs-box');
+  box.innerHTML = '';
+  if (!rows.length) return;
+
+  const t = document.createElement('table');
+  t.className = 'eval-table';
+  const cap = document.createElement('caption');
+  cap.textContent = `Recommended for ${label} • predicted = dot + user bias (${rows[0].userBias.toFixed(3)}) + item bias`;
+  t.appendChild(cap);
+
+  const head = t.insertRow();
+  ['#', 'Movie', 'Genres', 'Predicted', 'Dot', 'Item bias'].forEach(h => {
+    const th = document.createElement('th'); th.textContent = h; head.appendChild(th);
+  });
+  rows.forEach((r, k) => {
+    const m = movieById.get(indexToItemId[r.iIdx]);
+    const tr = t.insertRow();
+    tr.insertCell().textContent = String(k + 1);
+    tr.insertCell().textContent = m.title;
+    tr.insertCell().textContent = m.genres.join(', ');
+    tr.insertCell().textContent = `★${clampRating(r.pred).toFixed(2)}`;
+    tr.insertCell().textContent = r.dot.toFixed(3);
+    const bias = tr.insertCell();
+    bias.textContent = (r.itemBias >= 0 ? '+' : '') + r.itemBias.toFixed(3);
+    bias.classList.add(r.itemBias >= 0 ? 'pos' : 'neg');
+  });
+  box.appendChild(t);
+}
+
+/* ---------- Onboarding: fold a new user into the frozen model (see foldin.js) ---------- */
+const NEW_USER_VALUE = 'new';
+const ONBOARD_COUNT = 15;
+const ONBOARD_MIN = 10;
+let onboardItems = []; // itemIds currently shown in the onboarding list
+
+function startOnboarding() {
+  onboardItems = pickOnboardingMovies(ONBOARD_COUNT);
+  renderOnboarding(new Map());
+}
+
+function readOnboardRatings() {
+  const out = new Map();
+  document.querySelectorAll('#onboard-list select').forEach(sel => {
+    const v = parseInt(sel.value, 10);
+    if (!Number.isNaN(v)) out.set(parseInt(sel.dataset.itemId, 10), v);
+  });
+  return out;
+}
+
+function renderOnboarding(given) {
+  const list = $('onboard-list');
+  list.innerHTML = '';
+  const movieById = new Map(movies.map(m => [m.id, m]));
+  for (const id of onboardItems) {
+    const row = document.createElement('label');
+    row.className = 'onboard-row';
+    const title = document.createElement('span');
+    title.textContent = movieById.get(id)?.title || `Movie ${id}`;
+    const sel = document.createElement('select');
+    sel.dataset.itemId = String(id);
+    ['', '1', '2', '3', '4', '5'].forEach(v => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = v ? '★'.repeat(Number(v)) : 'not seen';
+      sel.appendChild(opt);
+    });
+    if (given.has(id)) sel.value = String(given.get(id));
+    sel.addEventListener('change', updateOnboardStatus);
+    row.appendChild(title);
+    row.appendChild(sel);
+    list.appendChild(row);
+  }
+  updateOnboardStatus();
+}
+
+function updateOnboardStatus() {
+  const n = readOnboardRatings().size;
+  $('onboard-status').textContent = `${n} rated • need at least ${ONBOARD_MIN}`;
+  $('onboard-btn').disabled = n < ONBOARD_MIN;
+}
+
+/** Keep the rated rows, replace the unseen ones with fresh picks. */
+function swapUnratedOnboarding() {
+  const given = readOnboardRatings();
+  const fresh = pickOnboardingMovies(ONBOARD_COUNT - given.size, { exclude: new Set(onboardItems) });
+  onboardItems = [...given.keys(), ...fresh];
+  renderOnboarding(given);
+}
+
+/** Re-solves against the current model, so a retrain or import does not leave a stale vector. */
+function currentFoldedUser() {
+  if (!foldedUser) return null;
+  if (foldedUser.model !== model) foldedUser = { ...foldNewUser(foldedUser.rated), rated: foldedUser.rated };
+  return foldedUser;
+}
+
+function foldNewUser(rated) {
+  const rows = [...rated].map(([itemId, rating]) => ({ iIdx: itemIdToIndex.get(itemId), rating }))
+    .filter(r => r.iIdx != null);
+  return { ...foldInUser(model, rows), model };
+}
+
+function buildNewUserProfile() {
+  const res = $('result');
+  if (!model) { res.textContent = 'Model not ready yet. Wait for training to finish.'; return; }
+  const rated = readOnboardRatings();
+  if (rated.size < ONBOARD_MIN) { res.textContent = `Please rate at least ${ONBOARD_MIN} movies.`; return; }
+
+  try {
+    foldedUser = { ...foldNewUser(rated), rated };
+  } catch (e) {
+    console.error(e);
+    res.textContent = `Could not build your profile: ${e.message}`;
+    return;
+  }
+
+  const userSel = $('user-select');
+  if (![...userSel.options].some(o => o.value === NEW_USER_VALUE)) {
+    const opt = document.createElement('option');
+    opt.value = NEW_USER_VALUE;
+    opt.textContent = 'New user (you)';
+    userSel.insertBefore(opt, userSel.options[1] || null);
+  }
+  userSel.value = NEW_USER_VALUE;
+  repopulateMoviesForUser();
+
+  recommendForUser();
+  res.textContent += ` Profile from ${rated.size} ratings (fit RMSE ${foldedUser.fitRMSE.toFixed(3)}, bias ${foldedUser.bias.toFixed(3)}).`;
+}
+
+function predictRatingForNewUser() {
+  const res = $('result');
+  const user = currentFoldedUser();
+  if (!user) { res.textContent = 'Finish the onboarding ratings first.'; return; }
+  const itemIdRaw = parseInt($('movie-select').value, 10);
+  if (Number.isNaN(itemIdRaw)) { res.textContent = 'Please choose a movie.'; return; }
+  const iIdx = itemIdToIndex.get(itemIdRaw);
+  const title = movies.find(m => m.id === itemIdRaw)?.title || `Movie ${itemIdRaw}`;
+  if (iIdx == null) { res.textContent = `“${title}” has no ratings in u.data (no embedding).`; return; }
+
+  const { dot, itemBias } = scoreAllItems(model, user);
+  const predVal = dot[iIdx] + user.bias + itemBias[iIdx];
+  const actual = user.rated.get(itemIdRaw);
+  const actualTxt = (actual != null) ? ` • you rated: ${actual}` : '';
+  res.textContent =
+    `Predicted rating for you on “${title}”: ${clampRating(predVal).toFixed(2)} (raw: ${predVal.toFixed(3)})${actualTxt}`;
+
+  renderNeighbors({ userVec: user.vec, userLabel: 'you', iIdx, title, rated: user.rated });
 }
 
 /* ---------- Init ---------- */
@@ -246,14 +869,29 @@ window.onload = async () => {
     buildRatingsByUser();
     buildIndexMaps();
     populateDropdowns();
+    populateRecFilters();
+    dataHash = computeDataHash(ratings);
 
     // Wire up the filter so you can see ★actual options
     $('user-select').addEventListener('change', repopulateMoviesForUser);
     $('rated-only').addEventListener('change', repopulateMoviesForUser);
 
-    await trainModel();
+    $('recommend-btn').addEventListener('click', recommendForUser);
+    $('onboard-btn').addEventListener('click', buildNewUserProfile);
+    $('onboard-swap-btn').addEventListener('click', swapUnratedOnboarding);
+    startOnboarding();
+    $('retrain-btn').addEventListener('click', () => retrainModel());
+    $('search-btn').addEventListener('click', runHyperparamSearch);
+    writeTrainConfig(DEFAULT_TRAIN_CONFIG);
+    $('download-btn').addEventListener('click', downloadTrainedModel);
+    $('import-input').addEventListener('change', importTrainedModel);
+
+    setModelButtonsDisabled(true);
+    await restoreOrTrain();
+    setModelButtonsDisabled(false);
   } catch (e) {
     console.error(e);
+    setModelButtonsDisabled(false);
     // loadData already sets a friendly error
   }
 };
@@ -0,0 +1,34 @@
+/* search.js — Hyperparameter search space for the MF model.
+   Configs are plain objects { latentDim, learningRate, embeddingL2, biasL2, epochs, batchSize };
+   epochs / batchSize come from the training form so every trial gets the same budget.
+   Exposes:
+     SEARCH_SPACE
+     gridConfigs(base, space) -> [config]
+     randomConfigs(base, count, space) -> [config]
+*/
+
+const SEARCH_SPACE = {
+  latentDim:    [8, 16, 32],
+  learningRate: [0.001, 0.005],
+  embeddingL2:  [0, 1e-4, 1e-3],
+  biasL2:       [0, 1e-4]
+};
+
+/** Cartesian product of the space, each merged over base. */
+function gridConfigs(base, space = SEARCH_SPACE) {
+  let out = [{ ...base }];
+  for (const [key, values] of Object.entries(space)) {
+    out = out.flatMap(cfg => values.map(v => ({ ...cfg, [key]: v })));
+  }
+  return out;
+}
+
+/** count distinct configs drawn uniformly from the grid (all of it if count ≥ grid size). */
+function randomConfigs(base, count, space = SEARCH_SPACE) {
+  const all = gridConfigs(base, space);
+  for (let i = all.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [all[i], all[j]] = [all[j], all[i]];
+  }
+  return all.slice(0, Math.max(1, count));
+}
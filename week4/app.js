@@ -1,8 +1,15 @@
 /* app.js
-   - Loads MovieLens 100K (u.item, u.data) from ./data/
+   - Loads MovieLens 100K (u.item, u.data, and u.user when present) from ./data/
    - Builds user/item indexers and interactions
    - Trains Two-Tower baseline + deep models
-   - Plots loss, draws PCA, and renders comparison table
+   - Plots loss, feeds the embedding explorer (PCA / t-SNE), and renders comparison table
+   - Holds out each user's latest interaction and reports Recall@K per loss
+   - Exports the deep model as TF.js artifacts plus an embedding bundle (JSON / binary
+     Float32, see embedding-bundle.js) and re-imports exported models without training
+   - Logs every run (config, loss curves, Recall@K) to IndexedDB via RunLog; the runs
+     table overlays loss curves and diffs the configs of two ticked runs
+   - With u.user: demographic side features for the user tower, plus a cold-start
+     split (users with no training interactions) scored with and without them
 */
 
 (() => {
@@ -13,6 +20,25 @@
     testBtn:  document.getElementById('testBtn'),
     loss:     document.getElementById('lossCanvas'),
     pca:      document.getElementById('pcaCanvas'),
+    projSel:  document.getElementById('projSel'),
+    colorSel: document.getElementById('colorSel'),
+    embSearch: document.getElementById('embSearch'),
+    embReset: document.getElementById('embReset'),
+    embStatus: document.getElementById('embStatus'),
+    embSelection: document.getElementById('embSelection'),
+    // run log
+    runsCanvas: document.getElementById('runsCanvas'),
+    runsTable: document.getElementById('runsTable'),
+    runsDiff:  document.getElementById('runsDiff'),
+    runsInfo:  document.getElementById('runsInfo'),
+    exportRuns: document.getElementById('exportRuns'),
+    importRuns: document.getElementById('importRuns'),
+    clearRuns: document.getElementById('clearRuns'),
+    // export / import
+    exportModel: document.getElementById('exportModel'),
+    exportJson: document.getElementById('exportJson'),
+    exportBin: document.getElementById('exportBin'),
+    importModel: document.getElementById('importModel'),
     table:    document.getElementById('comparison'),
     // hyperparams
     maxInt:   document.getElementById('maxInt'),
@@ -23,24 +49,40 @@
     lr:       document.getElementById('lr'),
     lossSel:  document.getElementById('lossSel'),
     compare:  document.getElementById('compare'),
+    hardK:    document.getElementById('hardK'),
+    sideFeat: document.getElementById('sideFeat'),
+    metrics:  document.getElementById('metrics'),
   };
 
   function setStatus(msg){ els.status.textContent = `Status: ${msg}`; }
-  function enTrain(on){ els.trainBtn.disabled = !on; }
-  function enTest(on){ els.testBtn.disabled = !on; }
+  function enTrain(on){ els.trainBtn.disabled = !on; els.importModel.disabled = !on; }
+  function enTest(on){
+    els.testBtn.disabled = !on;
+    [els.exportModel, els.exportJson, els.exportBin].forEach(b => { b.disabled = !on; });
+  }
+
+  // u.item genre flag order; some dumps omit the leading "unknown" flag
+  const GENRES = ['unknown','Action','Adventure','Animation',"Children's",'Comedy','Crime','Documentary','Drama',
+    'Fantasy','Film-Noir','Horror','Musical','Mystery','Romance','Sci-Fi','Thriller','War','Western'];
+
+  // MovieLens 1M age groups, reused as 100K age buckets
+  const AGE_BUCKETS = [18, 25, 35, 45, 50, 56]; // upper bounds; last bucket is 56+
+  const COLD_SHARE = 0.1; // share of eligible users held out entirely for cold-start
 
   // ---------- Data loading ----------
   const MovieDataLoader = {
-    async load(itemPath, dataPath){
-      const [itemText, dataText] = await Promise.all([
+    // userPath is optional: a missing u.user just means no side features
+    async load(itemPath, dataPath, userPath){
+      const [itemText, dataText, userText] = await Promise.all([
         fetch(itemPath).then(r=>{ if(!r.ok) throw new Error('u.item fetch'); return r.text(); }),
         fetch(dataPath).then(r=>{ if(!r.ok) throw new Error('u.data fetch'); return r.text(); }),
+        userPath ? fetch(userPath).then(r=> r.ok ? r.text() : null).catch(()=>null) : null,
       ]);
 
       // parse u.item
       // id|title|release_date|...|19 genre flags  OR sometimes 18 flags (without "Unknown")
       const linesI = itemText.split('\n').filter(Boolean);
-      const items = new Map(); // id -> {title, year}
+      const items = new Map(); // id -> {title, year, genres}
       let maxItemId = 0;
       for(const ln of linesI){
         const p = ln.split('|');
@@ -48,7 +90,10 @@
         if (!Number.isFinite(id)) continue;
         const title = p[1] || `Movie ${id}`;
         const year = (title.match(/\((\d{4})\)/)||[])[1] || '';
-        items.set(id, {title, year});
+        const flags = p.slice(5);
+        const names = flags.length === GENRES.length - 1 ? GENRES.slice(1) : GENRES;
+        const genres = names.filter((_, g) => flags[g] === '1');
+        items.set(id, {title, year, genres});
         if (id>maxItemId) maxItemId=id;
       }
 
@@ -84,16 +129,134 @@
       // keep only users with at least 20 ratings (for sampling)
       const heavyUsers = users.filter(u => byUser.get(u)?.length >= 20);
 
+      // demographics (u.user) -> per-user feature rows
+      const demographics = userText ? this.parseUsers(userText) : null;
+      const userFeatures = demographics ? this.buildUserFeatures(users, demographics) : null;
+
+      // cold-start split (only with side features): every 1/COLD_SHARE-th eligible
+      // user loses all training interactions; their latest one is still the target
+      const coldUsers = new Set();
+      if (userFeatures){
+        const step = Math.round(1 / COLD_SHARE);
+        users.filter(u => byUser.get(u).length >= 5 && demographics.has(u))
+          .forEach((u, k)=>{ if (k % step === step - 1) coldUsers.add(u); });
+      }
+
+      // leave-last-out: each user's most recent interaction is held out for Recall@K
+      const testByUser = new Map(); // userId -> itemId (warm users)
+      const coldTestByUser = new Map(); // userId -> itemId (cold-start users)
+      for (const [u, list] of byUser){
+        if (list.length < 5) continue;
+        const last = list.reduce((a,b)=> (b.ts > a.ts || (b.ts === a.ts && b.itemId > a.itemId)) ? b : a);
+        (coldUsers.has(u) ? coldTestByUser : testByUser).set(u, last.itemId);
+      }
+      const trainInteractions = interactions.filter(r =>
+        !coldUsers.has(r.userId) && testByUser.get(r.userId) !== r.itemId);
+
       return {
-        interactions, users, items: itemsSorted, userToIdx, itemToIdx, itemsMeta: items,
+        interactions, trainInteractions, testByUser, coldTestByUser,
+        users, items: itemsSorted, userToIdx, itemToIdx, itemsMeta: items,
         ratingsByUser: byUser, heavyUsers,
+        demographics, userFeatures,
         numUsers: users.length, numItems: itemsSorted.length
       };
     },
 
+    // u.user: id|age|gender|occupation|zip
+    parseUsers(text){
+      const out = new Map(); // userId -> {age, gender, occupation, zip}
+      for (const ln of text.split('\n').filter(Boolean)){
+        const [id, age, gender, occupation, zip] = ln.trim().split('|');
+        const userId = parseInt(id, 10);
+        if (!Number.isFinite(userId)) continue;
+        out.set(userId, { age: parseInt(age, 10) || 0, gender: gender || '', occupation: occupation || '', zip: zip || '' });
+      }
+      return out;
+    },
+
+    // one-hot age bucket + scaled age, gender, occupation, first zip digit
+    // (non-numeric zips, e.g. Canadian, get their own slot). Users missing from
+    // u.user keep an all-zero row.
+    buildUserFeatures(users, demographics){
+      const occupations = Array.from(new Set(Array.from(demographics.values(), d => d.occupation))).sort();
+      const occIdx = new Map(occupations.map((o, k)=>[o, k]));
+      const maxAge = Math.max(1, ...Array.from(demographics.values(), d => d.age));
+
+      const names = [
+        ...AGE_BUCKETS.map((b, k)=> k ? `age ${AGE_BUCKETS[k-1]}-${b-1}` : `age <${b}`), `age ${AGE_BUCKETS[AGE_BUCKETS.length-1]}+`,
+        'age (scaled)', 'gender M', 'gender F',
+        ...occupations.map(o => `occupation ${o}`),
+        ...Array.from({length:10}, (_, d)=> `zip ${d}xxxx`), 'zip other',
+      ];
+      const dim = names.length;
+      const occOff = AGE_BUCKETS.length + 1 + 1 + 2;
+      const zipOff = occOff + occupations.length;
+
+      const matrix = new Float32Array(users.length * dim);
+      users.forEach((u, row)=>{
+        const d = demographics.get(u);
+        if (!d) return;
+        const o = row * dim;
+        let bucket = AGE_BUCKETS.findIndex(b => d.age < b);
+        if (bucket < 0) bucket = AGE_BUCKETS.length;
+        matrix[o + bucket] = 1;
+        matrix[o + AGE_BUCKETS.length + 1] = d.age / maxAge;
+        if (d.gender === 'M') matrix[o + AGE_BUCKETS.length + 2] = 1;
+        else if (d.gender === 'F') matrix[o + AGE_BUCKETS.length + 3] = 1;
+        if (occIdx.has(d.occupation)) matrix[o + occOff + occIdx.get(d.occupation)] = 1;
+        const z = d.zip.charAt(0);
+        matrix[o + zipOff + (/\d/.test(z) ? +z : 10)] = 1;
+      });
+      return { matrix, dim, names };
+    },
+
+    // per-item training counts (for logQ) and uIdx -> Set(iIdx) (for hard negatives)
+    trainingStats(DATA, maxInteractions){
+      const pool = DATA.trainInteractions.slice(0, maxInteractions ?? DATA.trainInteractions.length);
+      const itemFreq = new Float32Array(DATA.numItems);
+      const userPositives = new Map();
+      for (const r of pool){
+        const u = DATA.userToIdx.get(r.userId), i = DATA.itemToIdx.get(r.itemId);
+        itemFreq[i] += 1;
+        if (!userPositives.has(u)) userPositives.set(u, new Set());
+        userPositives.get(u).add(i);
+      }
+      return { itemFreq, userPositives };
+    },
+
+    // Recall@K over held-out last interactions; ranks all items minus the user's training items.
+    // coldStart: score the cold-start users instead (no training items, side features only)
+    evaluateRecall(DATA, model, userPositives, Ks=[10, 50], coldStart=false){
+      const targets = coldStart ? DATA.coldTestByUser : DATA.testByUser;
+      const users = Array.from(targets.keys());
+      const all = tf.tensor2d(model.getAllItemEmbeddings(), [DATA.numItems, model.embDim]);
+      const hits = Ks.map(()=>0);
+      const chunk = 256;
+      for (let s=0; s<users.length; s+=chunk){
+        const part = users.slice(s, s+chunk);
+        const uT = tf.tensor2d(part.map(u=>DATA.userToIdx.get(u)), [part.length,1], 'int32');
+        const S = tf.tidy(()=> tf.matMul(model.userForward(uT, {coldStart}), all, false, true));
+        const scores = S.dataSync();
+        S.dispose(); uT.dispose();
+        part.forEach((u, b)=>{
+          const seen = userPositives.get(DATA.userToIdx.get(u)) || new Set();
+          const target = DATA.itemToIdx.get(targets.get(u));
+          const row = b * DATA.numItems;
+          const t = scores[row + target];
+          let rank = 0;
+          for (let i=0;i<DATA.numItems;i++){
+            if (i !== target && !seen.has(i) && scores[row + i] > t) rank++;
+          }
+          Ks.forEach((K, k)=>{ if (rank < K) hits[k]++; });
+        });
+      }
+      all.dispose();
+      return Object.fromEntries(Ks.map((K, k)=>[K, hits[k] / Math.max(1, users.length)]));
+    },
+
     // build shuffled minibatches (userIdx, posItemIdx)
     *makeBatches(DATA, batchSize, epochs, maxInteractions){
-      const pool = DATA.interactions.slice(0, maxInteractions ?? DATA.interactions.length);
+      const pool = DATA.trainInteractions.slice(0, maxInteractions ?? DATA.trainInteractions.length);
       for(let ep=0; ep<epochs; ep++){
         // shuffle each epoch
         for(let i=pool.length-1;i>0;i--){
@@ -161,6 +324,7 @@
   // ---------- Plotting ----------
   const lossHistoryBase = [];
   const lossHistoryDeep = [];
+  const lossHistoryPlain = []; // deep without side features (compare mode)
 
   function drawLoss(){
     const cvs = els.loss, ctx = cvs.getContext('2d');
@@ -168,7 +332,7 @@
     ctx.clearRect(0,0,W,H);
     ctx.fillStyle='rgba(255,255,255,.04)'; ctx.fillRect(0,0,W,H);
 
-    const all = lossHistoryBase.concat(lossHistoryDeep);
+    const all = lossHistoryBase.concat(lossHistoryDeep, lossHistoryPlain);
     if (!all.length) return;
 
     const maxBatch = Math.max(...all.map(d=>d.batch));
@@ -197,84 +361,68 @@
       lossHistoryDeep.forEach((d,i)=>{ const [x,y]=xy(d); if(i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y); });
       ctx.stroke();
     }
+    // deep without side features blue
+    if(lossHistoryPlain.length){
+      ctx.strokeStyle='#68a9ff'; ctx.lineWidth=2; ctx.beginPath();
+      lossHistoryPlain.forEach((d,i)=>{ const [x,y]=xy(d); if(i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y); });
+      ctx.stroke();
+    }
   }
 
-  // quick PCA (power method for 2 PCs)
-  function drawPCA(matrix, sampleN=1200){
-    const cvs = els.pca, ctx = cvs.getContext('2d');
-    const W=cvs.width, H=cvs.height;
-    ctx.clearRect(0,0,W,H);
-    ctx.fillStyle='rgba(255,255,255,.04)'; ctx.fillRect(0,0,W,H);
-    if(!matrix || !matrix.length) return;
-
-    const D = matrix[0].length, M = matrix.length;
-    const idx = [];
-    const take = Math.min(sampleN, M);
-    for(let i=0;i<take;i++) idx.push((Math.random()*M)|0);
-    const X = idx.map(i=>matrix[i]);
-
-    // center
-    const mean = new Float32Array(D);
-    X.forEach(v=>{ for(let j=0;j<D;j++) mean[j]+=v[j]; });
-    for(let j=0;j<D;j++) mean[j] /= X.length;
-    const C = X.map(v=>{
-      const r = new Float32Array(D);
-      for(let j=0;j<D;j++) r[j]=v[j]-mean[j];
-      return r;
+  // ---------- Embedding explorer ----------
+  // zoom / pan / lasso view of the deep item tower; layouts come from projection-worker.js
+  const explorer = new EmbeddingExplorer(els.pca, {
+    background:'#0f1321', textColor:'#e9eef8', mutedColor:'#9fb0c9',
+    onStatus: msg => { els.embStatus.textContent = msg; },
+    onSelectionChange: renderSelection,
+  });
+
+  function showEmbeddings(model){
+    const pop = new Map();
+    for (const r of DATA.trainInteractions) pop.set(r.itemId, (pop.get(r.itemId)||0) + 1);
+    const points = DATA.items.map(itemId => {
+      const meta = DATA.itemsMeta.get(itemId) || {title:`Movie ${itemId}`, year:'', genres:[]};
+      return { itemId, title: meta.title.replace(/\s*\(\d{4}\)\s*$/, ''), year: meta.year ? +meta.year : null,
+               genres: meta.genres, popularity: pop.get(itemId) || 0 };
     });
+    explorer.setData(model.getAllItemEmbeddings(), DATA.numItems, model.embDim, points);
+    explorer.setColorMode(els.colorSel.value);
+    project();
+  }
 
-    const power = (A,iters=20)=>{
-      let v = new Float32Array(D);
-      for(let j=0;j<D;j++) v[j]=Math.random()-0.5;
-      let n = Math.hypot(...v); for(let j=0;j<D;j++) v[j]/=(n||1);
-      for(let t=0;t<iters;t++){
-        const w = new Float32Array(D);
-        for(const row of A){
-          let dot=0; for(let k=0;k<D;k++) dot += row[k]*v[k];
-          for(let k=0;k<D;k++) w[k]+= row[k]*dot;
-        }
-        n = Math.hypot(...w); for(let j=0;j<D;j++) v[j]=w[j]/(n||1);
-      }
-      return v;
-    };
-    const pc1 = power(C,20);
-    const C2 = C.map(r=>{
-      let dot=0; for(let k=0;k<D;k++) dot+= r[k]*pc1[k];
-      const rr = new Float32Array(D);
-      for(let k=0;k<D;k++) rr[k]= r[k]-dot*pc1[k];
-      return rr;
-    });
-    const pc2 = power(C2,20);
+  function project(){
+    if (!explorer.vectors) return;
+    explorer.project(els.projSel.value)
+      .then(()=>{ if (els.embSearch.value.trim()) explorer.search(els.embSearch.value); })
+      .catch(e => { console.error(e); els.embStatus.textContent = `projection failed: ${e.message}`; });
+  }
 
-    const pts = C.map(r=>{
-      let x=0,y=0; for(let k=0;k<D;k++){ x+= r[k]*pc1[k]; y+= r[k]*pc2[k]; }
-      return [x,y];
-    });
-    const xs=pts.map(p=>p[0]), ys=pts.map(p=>p[1]);
-    const xMin=Math.min(...xs), xMax=Math.max(...xs);
-    const yMin=Math.min(...ys), yMax=Math.max(...ys);
-
-    ctx.fillStyle = '#68a9ff';
-    const pad=16;
-    pts.forEach(([x,y])=>{
-      const px = (x-xMin)/Math.max(1e-6,(xMax-xMin));
-      const py = (y-yMin)/Math.max(1e-6,(yMax-yMin));
-      const cx = pad + px*(W-pad*2);
-      const cy = pad + (1-py)*(H-pad*2);
-      ctx.fillRect(cx,cy,2,2);
-    });
+  function renderSelection(points){
+    if (!points.length){ els.embSelection.innerHTML = ''; return; }
+    const rows = points.slice().sort((a,b)=>b.popularity-a.popularity).slice(0, 100)
+      .map((p,i)=>`<tr><td>${i+1}</td><td>${p.title}${p.year ? ` (${p.year})` : ''}</td><td>${p.genres.join(', ')}</td><td>${p.popularity}</td></tr>`).join('');
+    els.embSelection.innerHTML = `
+      <h4>Lasso selection: ${points.length} movies${points.length > 100 ? ' (100 most-rated shown)' : ''}</h4>
+      <table class="t"><thead><tr><th>#</th><th>Movie</th><th>Genres</th><th>Ratings (train)</th></tr></thead><tbody>${rows}</tbody></table>`;
   }
 
   // ---------- Training/Test orchestration ----------
-  let DATA = null, baseline = null, deepModel = null, trained=false;
+  let DATA = null, baseline = null, deepModel = null, deepPlain = null, trained=false;
+  let lastRun = null; // { config, metrics } of the model currently in deepModel
 
   async function onLoad(){
     try{
       setStatus('loading data…');
-      DATA = await MovieDataLoader.load('./data/u.item','./data/u.data');
-      setStatus(`data loaded — users: ${DATA.numUsers}, items: ${DATA.numItems}, interactions: ${DATA.interactions.length}`);
+      DATA = await MovieDataLoader.load('./data/u.item','./data/u.data','./data/u.user');
+      const side = DATA.userFeatures
+        ? `; u.user: ${DATA.userFeatures.dim} features, ${DATA.coldTestByUser.size} cold-start users`
+        : '; no u.user (side features off)';
+      setStatus(`data loaded — users: ${DATA.numUsers}, items: ${DATA.numItems}, interactions: ${DATA.interactions.length} (${DATA.testByUser.size} held out${side})`);
+      els.metrics.innerHTML = '';
+      els.sideFeat.disabled = !DATA.userFeatures;
       enTrain(true); enTest(false); trained=false;
-      lossHistoryBase.length=0; lossHistoryDeep.length=0; drawLoss(); drawPCA([]);
+      lossHistoryBase.length=0; lossHistoryDeep.length=0; lossHistoryPlain.length=0; drawLoss();
+      explorer.setData(null, 0, 0, []);
     }catch(e){
       console.error(e);
       setStatus('fetch failed. Ensure ./data/u.item and ./data/u.data exist (case-sensitive).');
@@ -289,33 +437,48 @@
     const lr     = +els.lr.value     || 0.003;
     const batch  = +els.batch.value  || 256;
     const epochs = +els.epochs.value || 5;
-    const maxInt = +els.maxInt.value || DATA.interactions.length;
-    const lossType = (els.lossSel.value.startsWith('In-batch')) ? 'softmax' : 'bpr';
+    const maxInt = +els.maxInt.value || DATA.trainInteractions.length;
+    const lossType = els.lossSel.value;
+    const hardNegK = +els.hardK.value || 50;
     const compare = els.compare.value.startsWith('Yes');
+    const { itemFreq, userPositives } = MovieDataLoader.trainingStats(DATA, maxInt);
+    const lossOpts = { lossType, learningRate:lr, itemFreq, userPositives, hardNegK };
+    // side features: 'compare' also trains a deep model without them for the cold-start table
+    const sideMode = DATA.userFeatures ? els.sideFeat.value : 'off';
+    const featOpts = sideMode === 'off' ? {} : {
+      userFeatures: DATA.userFeatures.matrix, userFeatureDim: DATA.userFeatures.dim
+    };
 
     // dispose any prior models
     if(baseline && baseline.dispose) baseline.dispose();
     if(deepModel && deepModel.dispose) deepModel.dispose();
-    baseline=null; deepModel=null; trained=false;
+    if(deepPlain && deepPlain.dispose) deepPlain.dispose();
+    baseline=null; deepModel=null; deepPlain=null; trained=false;
 
     setStatus('building models…');
     if(compare){
       baseline = new TwoTowerModel(DATA.numUsers, DATA.numItems, embDim, {
-        deep:false, hiddenDim:0, lossType, learningRate:lr
+        deep:false, hiddenDim:0, ...lossOpts, ...featOpts
       });
     }
     deepModel = new TwoTowerModel(DATA.numUsers, DATA.numItems, embDim, {
-      deep:true, hiddenDim:hidden, lossType, learningRate:lr
+      deep:true, hiddenDim:hidden, ...lossOpts, ...featOpts
     });
+    if(sideMode === 'compare'){
+      deepPlain = new TwoTowerModel(DATA.numUsers, DATA.numItems, embDim, {
+        deep:true, hiddenDim:hidden, ...lossOpts
+      });
+    }
 
     // train
     setStatus('training…');
     enTrain(false); enTest(false);
-    lossHistoryBase.length=0; lossHistoryDeep.length=0;
+    lossHistoryBase.length=0; lossHistoryDeep.length=0; lossHistoryPlain.length=0;
 
     const drawEvery = 10;
-    let batchId = 0, stepSeen = 0;
+    let batchId = 0, stepSeen = 0, runStepsPerEpoch = 1;
     for (const {uIdx, iIdx, step, epoch, stepsPerEpoch, totalSteps} of MovieDataLoader.makeBatches(DATA, batch, epochs, maxInt)){
+      runStepsPerEpoch = stepsPerEpoch;
       if (baseline) {
         const l = await baseline.trainStep(uIdx, iIdx);
         if(Number.isFinite(l)) lossHistoryBase.push({batch:batchId, loss:l});
@@ -324,6 +487,10 @@
         const l = await deepModel.trainStep(uIdx, iIdx);
         if(Number.isFinite(l)) lossHistoryDeep.push({batch:batchId, loss:l});
       }
+      if (deepPlain) {
+        const l = await deepPlain.trainStep(uIdx, iIdx);
+        if(Number.isFinite(l)) lossHistoryPlain.push({batch:batchId, loss:l});
+      }
       batchId++; stepSeen++;
       if (batchId % drawEvery === 0){ drawLoss(); await tf.nextFrame(); }
       setStatus(`training… step ${stepSeen}/${stepsPerEpoch*epochs} (epoch ${epoch}/${epochs})`);
@@ -331,16 +498,34 @@
 
     drawLoss();
 
-    // PCA from deep item embeddings
-    const flat = deepModel.getAllItemEmbeddings(); // Float32Array
-    const embMat = [];
-    for (let i=0;i<DATA.numItems;i++){
-      embMat.push(Array.from(flat.slice(i*embDim, (i+1)*embDim)));
-    }
-    drawPCA(embMat);
+    // explorer over the deep item embeddings (projection runs in a worker)
+    showEmbeddings(deepModel);
+
+    // Recall@K on the held-out last interactions
+    setStatus('evaluating Recall@K…');
+    await tf.nextFrame();
+    const featTag = sideMode === 'off' ? '' : ' + side features';
+    const rows = [];
+    if (baseline) rows.push([`Baseline${featTag}`, baseline]);
+    rows.push([`Deep${featTag}`, deepModel]);
+    if (deepPlain) rows.push(['Deep (no side features)', deepPlain]);
+    const results = rows.map(([name, model])=>({
+      name,
+      warm: MovieDataLoader.evaluateRecall(DATA, model, userPositives),
+      cold: DATA.coldTestByUser.size ? MovieDataLoader.evaluateRecall(DATA, model, userPositives, [10, 50], true) : null,
+    }));
+    const lossName = els.lossSel.options[els.lossSel.selectedIndex].text;
+    renderMetrics(results, lossName);
+
+    const runConfig = {
+      maxInteractions:maxInt, embDim, hiddenDim:hidden, batchSize:batch, epochs, learningRate:lr,
+      lossType, hardNegK, baseline:compare, sideFeatures:sideMode,
+    };
+    lastRun = { config: runConfig, metrics: results };
+    await recordRun(runConfig, runStepsPerEpoch, results);
 
     setStatus('training finished.');
-    trained=true; enTest(true);
+    trained=true; enTest(true); els.importModel.disabled = false;
   }
 
   async function onTest(){
@@ -353,6 +538,20 @@
     setStatus('recommendations generated successfully!');
   }
 
+  // Recall@K table: warm leave-last-out users and (with u.user) cold-start users
+  function renderMetrics(results, lossName){
+    const cold = DATA.coldTestByUser.size > 0;
+    const cell = r => r ? `<td>${r[10].toFixed(3)}</td><td>${r[50].toFixed(3)}</td>` : '<td>–</td><td>–</td>';
+    const body = results.map(r => `<tr><td>${r.name}</td>${cell(r.warm)}${cold ? cell(r.cold) : ''}</tr>`).join('');
+    els.metrics.innerHTML = `
+      <p>Leave-last-out, loss: ${lossName}. Warm: ${DATA.testByUser.size} users${cold
+        ? `; cold-start: ${DATA.coldTestByUser.size} users with no training interactions (side features only)` : ''}.</p>
+      <table class="t">
+        <thead><tr><th>Model</th><th>Warm R@10</th><th>Warm R@50</th>${cold ? '<th>Cold R@10</th><th>Cold R@50</th>' : ''}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+  }
+
   function renderTable(topRated, recBase, recDeep){
     const tr = a => a.map((t,i)=>`<tr><td>${i+1}</td><td>${t}</td></tr>`).join('');
     els.table.innerHTML = `
@@ -372,11 +571,272 @@
       </div>`;
   }
 
+  // ---------- Export / import ----------
+  // exported artifacts describe the deep model; IDs fix the row order of every matrix
+  function exportTopology(){
+    const o = deepModel.opts;
+    return { source:'week4', numUsers:deepModel.numUsers, numItems:deepModel.numItems, embDim:deepModel.embDim,
+             deep:o.deep, hiddenDim:o.hiddenDim, userFeatureDim:deepModel.hasUserFeatures ? o.userFeatureDim : 0,
+             featHiddenDim:o.featHiddenDim, lossType:o.lossType, learningRate:o.learningRate };
+  }
+
+  async function exportModel(){
+    try {
+      await saveTowerArtifacts(deepModel.getNamedWeights(), exportTopology(),
+        { userIds:DATA.users, itemIds:DATA.items, config:lastRun?.config, metrics:lastRun?.metrics },
+        'two-tower-week4');
+      setStatus('model exported as two-tower-week4.json + two-tower-week4.weights.bin');
+    } catch(e) { console.error(e); setStatus(`model export failed: ${e.message}`); }
+  }
+
+  function exportEmbeddings(kind){
+    try {
+      const bundle = createEmbeddingBundle({
+        source:'week4', config:lastRun?.config || exportTopology(), metrics:lastRun?.metrics || null,
+        dim:deepModel.embDim,
+        items: DATA.items.map(id => {
+          const m = DATA.itemsMeta.get(id) || {title:`Movie ${id}`, year:'', genres:[]};
+          return { id, title:m.title.replace(/\s*\(\d{4}\)\s*$/, ''), year:m.year ? +m.year : null, genres:m.genres };
+        }),
+        itemVectors: deepModel.getAllItemEmbeddings(),
+        users: DATA.users, userVectors: deepModel.getAllUserEmbeddings(),
+      });
+      if (kind === 'binary') downloadBlob(embeddingBundleToBinary(bundle), 'two-tower-week4-embeddings.bin');
+      else downloadBlob(embeddingBundleToJSON(bundle), 'two-tower-week4-embeddings.json', 'application/json');
+      setStatus(`exported ${bundle.items.length} item / ${bundle.users.length} user vectors (${kind === 'binary' ? 'binary Float32' : 'JSON'}, bundle v${bundle.version})`);
+    } catch(e) { console.error(e); setStatus(`embedding export failed: ${e.message}`); }
+  }
+
+  // rebuild the deep model from exported artifacts; the loaded data must use the same IDs
+  async function importModel(){
+    const files = els.importModel.files;
+    if (!DATA || !files.length) return;
+    try {
+      const { topology:t, metadata, tensors } = await loadTowerArtifacts(files);
+      try {
+        const same = (a, b) => Array.isArray(a) && a.length === b.length && a.every((v, i) => v === b[i]);
+        if (!same(metadata.userIds, DATA.users) || !same(metadata.itemIds, DATA.items)){
+          throw new Error(`user/item IDs differ from the loaded data (model: ${t.numUsers} users, ${t.numItems} items)`);
+        }
+        const featOpts = t.userFeatureDim ? {
+          userFeatures: tensors.user_features.dataSync(), userFeatureDim: t.userFeatureDim, featHiddenDim: t.featHiddenDim
+        } : {};
+        // swap only once the weights loaded, so a bad file keeps the current models
+        const model = new TwoTowerModel(t.numUsers, t.numItems, t.embDim, {
+          deep:t.deep, hiddenDim:t.hiddenDim, lossType:t.lossType, learningRate:t.learningRate, ...featOpts
+        });
+        try { model.setNamedWeights(tensors); }
+        catch (e) { model.dispose(); throw e; }
+        [baseline, deepModel, deepPlain].forEach(m => m && m.dispose());
+        baseline = null; deepPlain = null;
+        deepModel = model;
+      } finally {
+        Object.values(tensors).forEach(x => x.dispose());
+      }
+      lastRun = { config: metadata.config || null, metrics: metadata.metrics || [] };
+      if (lastRun.metrics.length) renderMetrics(lastRun.metrics, `${t.lossType} (imported)`);
+      showEmbeddings(deepModel);
+      trained = true; enTest(true);
+      setStatus(`imported ${t.source} model (${t.embDim}-d${t.userFeatureDim ? ', side features' : ''}) — click Test, no training needed`);
+    } catch(e) {
+      console.error(e);
+      setStatus(`model import failed: ${e.message}`);
+    }
+    els.importModel.value = '';
+  }
+
+  // ---------- Run log ----------
+  const runLog = new RunLog();
+  const RUN_COLORS = ['#68a9ff','#ff4d4f','#20c997','#f59f00','#b197fc','#ff8cc6','#63e6be','#ffd43b'];
+  let runs = [];
+  const checkedRuns = new Set(); // ids ticked in the runs table
+
+  async function recordRun(config, stepsPerEpoch, results){
+    const curve = h => h.map(d => +d.loss.toFixed(5));
+    const run = {
+      timestamp: Date.now(), config, stepsPerEpoch,
+      loss: { baseline: curve(lossHistoryBase), deep: curve(lossHistoryDeep), plain: curve(lossHistoryPlain) },
+      metrics: results.map(r => ({ name:r.name, warm:r.warm, cold:r.cold })),
+      data: { users:DATA.numUsers, items:DATA.numItems, interactions:DATA.interactions.length },
+    };
+    try {
+      const id = await runLog.add(run);
+      checkedRuns.add(id);
+      await refreshRuns();
+    } catch(e) {
+      console.error(e);
+      els.runsInfo.textContent = `could not save run: ${e.message}`;
+    }
+  }
+
+  async function refreshRuns(){
+    runs = await runLog.all();
+    const ids = new Set(runs.map(r => r.id));
+    for (const id of checkedRuns) if (!ids.has(id)) checkedRuns.delete(id);
+    els.runsInfo.textContent = `${runs.length} run(s) ${runLog.persistent ? 'saved in IndexedDB' : 'kept in memory (IndexedDB unavailable)'}.`;
+    renderRuns(); drawRunCurves(); renderRunDiff();
+  }
+
+  // metrics of the deep model (first "Deep…" row) for the summary columns
+  const deepMetrics = run => run.metrics.find(m => m.name.startsWith('Deep')) || run.metrics[0] || {};
+  const fmtR = (r, K) => r ? r[K].toFixed(3) : '–';
+  // config values and metric names may come from an imported file
+  const esc = v => String(v).replace(/[&<>"']/g, ch => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#039;' }[ch]));
+
+  function renderRuns(){
+    if (!runs.length){ els.runsTable.innerHTML = '<p class="muted">No runs yet — click Train.</p>'; return; }
+    const rows = runs.slice().reverse().map(run => {
+      const c = run.config, m = deepMetrics(run), deep = run.loss.deep || [];
+      return `<tr>
+        <td><input type="checkbox" data-run="${run.id}" ${checkedRuns.has(run.id) ? 'checked' : ''}></td>
+        <td>#${run.id}</td><td>${new Date(run.timestamp).toLocaleString()}</td>
+        <td>${esc(c.lossType)}</td><td>${esc(c.embDim)}/${esc(c.hiddenDim)}</td><td>${esc(c.learningRate)}</td><td>${esc(c.batchSize)}</td><td>${esc(c.epochs)}</td>
+        <td>${esc(c.sideFeatures ?? 'off')}</td>
+        <td>${deep.length ? deep[deep.length-1].toFixed(4) : '–'}</td>
+        <td>${fmtR(m.warm, 10)}</td><td>${fmtR(m.warm, 50)}</td><td>${fmtR(m.cold, 10)}</td>
+        <td><button class="btn" data-del="${run.id}">Delete</button></td>
+      </tr>`;
+    }).join('');
+    els.runsTable.innerHTML = `
+      <table class="t">
+        <thead><tr><th></th><th>Run</th><th>When</th><th>Loss</th><th>Emb/Hidden</th><th>LR</th><th>Batch</th><th>Epochs</th>
+          <th>Side feat.</th><th>Final deep loss</th><th>Deep R@10</th><th>Deep R@50</th><th>Cold R@10</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  // deep-model loss of every ticked run, EMA-smoothed, x in epochs so batch sizes line up
+  function drawRunCurves(){
+    const cvs = els.runsCanvas, ctx = cvs.getContext('2d');
+    const W=cvs.width, H=cvs.height;
+    ctx.clearRect(0,0,W,H);
+    ctx.fillStyle='rgba(255,255,255,.04)'; ctx.fillRect(0,0,W,H);
+    const shown = runs.filter(r => checkedRuns.has(r.id) && (r.loss.deep || []).length);
+    if (!shown.length) return;
+
+    const curves = shown.map(run => {
+      let ema = null;
+      return run.loss.deep.map((l, i) => {
+        ema = ema === null ? l : 0.9*ema + 0.1*l;
+        return { x:(i+1) / Math.max(1, run.stepsPerEpoch), y:ema };
+      });
+    });
+    const pts = curves.flat();
+    const maxX = Math.max(...pts.map(p=>p.x));
+    const minY = Math.min(...pts.map(p=>p.y)), maxY = Math.max(...pts.map(p=>p.y));
+    const margin = 28, plotW=W-margin*2, plotH=H-margin*2;
+    const xy = p => [margin + (p.x/maxX)*plotW, margin + (1 - (p.y-minY)/Math.max(1e-8, maxY-minY))*plotH];
+
+    ctx.strokeStyle='rgba(255,255,255,.15)'; ctx.lineWidth=1;
+    ctx.beginPath(); ctx.moveTo(margin, margin); ctx.lineTo(margin, H-margin); ctx.lineTo(W-margin, H-margin); ctx.stroke();
+    ctx.fillStyle='#9fb0c9'; ctx.font='12px system-ui';
+    ctx.fillText(`epochs (0–${maxX.toFixed(1)})`, W/2 - 40, H-8);
+    ctx.fillText(maxY.toFixed(3), 4, margin-6); ctx.fillText(minY.toFixed(3), 4, H-margin+14);
+
+    curves.forEach((curve, k)=>{
+      const color = RUN_COLORS[k % RUN_COLORS.length];
+      ctx.strokeStyle=color; ctx.lineWidth=2; ctx.beginPath();
+      curve.forEach((p,i)=>{ const [x,y]=xy(p); if(i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y); });
+      ctx.stroke();
+      ctx.fillStyle=color;
+      ctx.fillText(`#${shown[k].id} ${shown[k].config.lossType}`, W-margin-150, margin + 14*k);
+    });
+  }
+
+  function renderRunDiff(){
+    const picked = runs.filter(r => checkedRuns.has(r.id));
+    if (picked.length !== 2){
+      els.runsDiff.innerHTML = '<p class="muted">Tick exactly two runs to diff their configs and metrics.</p>';
+      return;
+    }
+    const [a, b] = picked;
+    const cfg = RunLog.diffConfigs(a, b).map(d =>
+      `<tr${d.same ? '' : ' style="color:#ffd43b"'}><td>${esc(d.key)}</td><td>${esc(d.a ?? '–')}</td><td>${esc(d.b ?? '–')}</td></tr>`).join('');
+    const names = Array.from(new Set(a.metrics.concat(b.metrics).map(m=>m.name)));
+    const met = names.map(name => {
+      const ma = a.metrics.find(m=>m.name===name) || {}, mb = b.metrics.find(m=>m.name===name) || {};
+      return ['warm', 'cold'].flatMap(split => [10, 50].map(K => {
+        if (!ma[split] && !mb[split]) return '';
+        const va = ma[split]?.[K], vb = mb[split]?.[K];
+        const delta = va != null && vb != null ? (vb - va >= 0 ? '+' : '') + (vb - va).toFixed(3) : '–';
+        return `<tr><td>${esc(name)} ${split} R@${K}</td><td>${va != null ? va.toFixed(3) : '–'}</td><td>${vb != null ? vb.toFixed(3) : '–'}</td><td>${delta}</td></tr>`;
+      })).join('');
+    }).join('');
+    els.runsDiff.innerHTML = `
+      <div class="grid-3">
+        <div>
+          <h4>Config: #${a.id} vs #${b.id}</h4>
+          <table class="t"><thead><tr><th>Key</th><th>#${a.id}</th><th>#${b.id}</th></tr></thead><tbody>${cfg}</tbody></table>
+        </div>
+        <div>
+          <h4>Metrics</h4>
+          <table class="t"><thead><tr><th>Metric</th><th>#${a.id}</th><th>#${b.id}</th><th>Δ</th></tr></thead><tbody>${met}</tbody></table>
+        </div>
+      </div>`;
+  }
+
+  function exportRuns(){
+    const blob = new Blob([RunLog.exportJSON(runs)], { type:'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `two-tower-runs-${new Date().toISOString().slice(0,10)}.json`;
+    a.click();
+    setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  }
+
+  async function importRuns(){
+    const file = els.importRuns.files[0];
+    if (!file) return;
+    try {
+      const n = await runLog.importRuns(RunLog.parseImport(await file.text()));
+      await refreshRuns();
+      els.runsInfo.textContent += ` Imported ${n} run(s) from ${file.name}.`;
+    } catch(e) {
+      console.error(e);
+      els.runsInfo.textContent = `import failed: ${e.message}`;
+    }
+    els.importRuns.value = '';
+  }
+
+  els.runsTable.addEventListener('change', e => {
+    const id = +e.target.dataset.run;
+    if (!id) return;
+    if (e.target.checked) checkedRuns.add(id); else checkedRuns.delete(id);
+    drawRunCurves(); renderRunDiff();
+  });
+  els.runsTable.addEventListener('click', async e => {
+    const id = +e.target.dataset.del;
+    if (!id) return;
+    await runLog.remove(id);
+    await refreshRuns();
+  });
+  els.exportRuns.addEventListener('click', exportRuns);
+  els.importRuns.addEventListener('change', importRuns);
+  els.clearRuns.addEventListener('click', async ()=>{
+    if (!confirm('Delete all logged runs?')) return;
+    await runLog.clear();
+    await refreshRuns();
+  });
+  refreshRuns().catch(e => { console.error(e); els.runsInfo.textContent = `run log unavailable: ${e.message}`; });
+
   // wire buttons once
   els.loadBtn.addEventListener('click', onLoad);
   els.trainBtn.addEventListener('click', onTrain);
   els.testBtn.addEventListener('click', onTest);
+  els.projSel.addEventListener('change', project);
+  els.colorSel.addEventListener('change', ()=> explorer.setColorMode(els.colorSel.value));
+  els.embSearch.addEventListener('input', ()=>{
+    if (!explorer.coords) return;
+    const q = els.embSearch.value.trim();
+    const n = explorer.search(q);
+    if (q) els.embStatus.textContent = n ? `${n} title(s) matching "${q}"` : `no titles match "${q}"`;
+  });
+  els.embReset.addEventListener('click', ()=> explorer.resetView());
+  els.exportModel.addEventListener('click', exportModel);
+  els.exportJson.addEventListener('click', ()=> exportEmbeddings('json'));
+  els.exportBin.addEventListener('click', ()=> exportEmbeddings('binary'));
+  els.importModel.addEventListener('change', importModel);
 
   // expose for dev
-  window.__state = () => ({DATA, baseline, deepModel, lossHistoryBase, lossHistoryDeep});
+  window.__state = () => ({DATA, baseline, deepModel, deepPlain, lossHistoryBase, lossHistoryDeep, lossHistoryPlain, runs});
 })();
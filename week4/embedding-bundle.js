@@ -0,0 +1,308 @@
+// embedding-bundle.js
+// Portable artifacts for a trained two-tower model.
+//
+// 1) Embedding bundle – everything needed to serve recommendations without
+//    TensorFlow.js or training: item IDs + titles, item vectors, user IDs +
+//    user vectors, the training config and evaluation metrics.
+//      - JSON:   { format: 'two-tower-embeddings', version, ..., itemVectors: [[...]], userVectors: [[...]] }
+//      - binary: 'TTEB' magic | uint32 version | uint32 header bytes | UTF-8 JSON
+//                header (padded to 4 bytes) | Float32 item vectors | Float32 user vectors
+//    parseEmbeddingBundle() reads either form; EmbeddingRecommender serves it.
+//
+// 2) Tower artifacts – the TF.js weights (model.json + weights.bin through
+//    tf.io), with the tower config as modelTopology so the owning app can
+//    rebuild the model and assign the weights.
+
+const EMBEDDING_BUNDLE_FORMAT = 'two-tower-embeddings';
+const EMBEDDING_BUNDLE_VERSION = 1;
+const EMBEDDING_BUNDLE_MAGIC = 'TTEB';
+const TOWER_ARTIFACT_FORMAT = 'two-tower-tfjs';
+
+// ---------------------------------------------------------------------
+// Embedding bundle
+// ---------------------------------------------------------------------
+
+/**
+ * @param {Object} parts
+ *   source        app that produced the bundle ('week4', 'week4updated')
+ *   config        training config (plain JSON)
+ *   metrics       evaluation results (plain JSON)
+ *   dim           vector size
+ *   items         [{ id, title, year?, genres? }] in vector row order
+ *   itemVectors   Float32Array [items.length * dim]
+ *   users         user IDs in vector row order (optional)
+ *   userVectors   Float32Array [users.length * dim] (optional)
+ */
+function createEmbeddingBundle(parts) {
+  const { source, config = {}, metrics = null, dim, items, itemVectors, users = [], userVectors = null } = parts;
+  if (itemVectors.length !== items.length * dim) {
+    throw new Error(`itemVectors has ${itemVectors.length} values, expected ${items.length} × ${dim}`);
+  }
+  if (userVectors && userVectors.length !== users.length * dim) {
+    throw new Error(`userVectors has ${userVectors.length} values, expected ${users.length} × ${dim}`);
+  }
+  return {
+    format: EMBEDDING_BUNDLE_FORMAT,
+    version: EMBEDDING_BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    source,
+    config,
+    metrics,
+    dim,
+    items,
+    users: userVectors ? users : [],
+    itemVectors: Float32Array.from(itemVectors),
+    userVectors: userVectors ? Float32Array.from(userVectors) : null
+  };
+}
+
+function bundleHeader(bundle) {
+  const { itemVectors, userVectors, ...header } = bundle;
+  return header;
+}
+
+function vectorRows(flat, dim) {
+  const rows = [];
+  for (let r = 0; r < flat.length / dim; r++) rows.push(Array.from(flat.subarray(r * dim, (r + 1) * dim)));
+  return rows;
+}
+
+function embeddingBundleToJSON(bundle) {
+  return JSON.stringify({
+    ...bundleHeader(bundle),
+    itemVectors: vectorRows(bundle.itemVectors, bundle.dim),
+    userVectors: bundle.userVectors ? vectorRows(bundle.userVectors, bundle.dim) : null
+  });
+}
+
+function embeddingBundleToBinary(bundle) {
+  const headerBytes = new TextEncoder().encode(JSON.stringify(bundleHeader(bundle)));
+  const padded = Math.ceil(headerBytes.length / 4) * 4;
+  const userCount = bundle.userVectors ? bundle.userVectors.length : 0;
+  const buffer = new ArrayBuffer(12 + padded + (bundle.itemVectors.length + userCount) * 4);
+
+  const bytes = new Uint8Array(buffer);
+  for (let i = 0; i < 4; i++) bytes[i] = EMBEDDING_BUNDLE_MAGIC.charCodeAt(i);
+  const view = new DataView(buffer);
+  view.setUint32(4, bundle.version, true);
+  view.setUint32(8, headerBytes.length, true);
+  bytes.set(headerBytes, 12);
+  bytes.fill(0x20, 12 + headerBytes.length, 12 + padded); // pad with spaces (still valid JSON)
+
+  const floats = new Float32Array(buffer, 12 + padded);
+  floats.set(bundle.itemVectors, 0);
+  if (bundle.userVectors) floats.set(bundle.userVectors, bundle.itemVectors.length);
+  return buffer;
+}
+
+function checkBundleHeader(header) {
+  if (!header || header.format !== EMBEDDING_BUNDLE_FORMAT) {
+    throw new Error(`Not a ${EMBEDDING_BUNDLE_FORMAT} bundle`);
+  }
+  if (!(header.version >= 1 && header.version <= EMBEDDING_BUNDLE_VERSION)) {
+    throw new Error(`Unsupported bundle version ${header.version} (this page reads up to ${EMBEDDING_BUNDLE_VERSION})`);
+  }
+  if (!Number.isInteger(header.dim) || header.dim <= 0 || !Array.isArray(header.items)) {
+    throw new Error('Bundle header is missing dim or items');
+  }
+}
+
+/**
+ * Read a bundle from its JSON text or binary ArrayBuffer.
+ * @param {string|ArrayBuffer} data
+ */
+function parseEmbeddingBundle(data) {
+  if (typeof data !== 'string') {
+    const bytes = new Uint8Array(data);
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== EMBEDDING_BUNDLE_MAGIC) {
+      // a JSON bundle read as ArrayBuffer
+      return parseEmbeddingBundle(new TextDecoder().decode(bytes));
+    }
+    const view = new DataView(data);
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+    checkBundleHeader(header);
+
+    const offset = 12 + Math.ceil(headerLength / 4) * 4;
+    const itemCount = header.items.length * header.dim;
+    const userCount = (header.users || []).length * header.dim;
+    if (data.byteLength - offset !== (itemCount + userCount) * 4) {
+      throw new Error('Bundle vector block does not match the header sizes');
+    }
+    const floats = new Float32Array(data.slice(offset));
+    return {
+      ...header,
+      itemVectors: floats.subarray(0, itemCount),
+      userVectors: userCount ? floats.subarray(itemCount) : null
+    };
+  }
+
+  const parsed = JSON.parse(data);
+  checkBundleHeader(parsed);
+  const flatten = (rows, count) => {
+    const out = new Float32Array(count * parsed.dim);
+    rows.forEach((row, r) => {
+      if (row.length !== parsed.dim) throw new Error(`Vector row ${r} has ${row.length} values, expected ${parsed.dim}`);
+      out.set(row, r * parsed.dim);
+    });
+    return out;
+  };
+  if (!Array.isArray(parsed.itemVectors) || parsed.itemVectors.length !== parsed.items.length) {
+    throw new Error('itemVectors must have one row per item');
+  }
+  const users = parsed.users || [];
+  if (users.length && (!Array.isArray(parsed.userVectors) || parsed.userVectors.length !== users.length)) {
+    throw new Error('userVectors must have one row per user');
+  }
+  return {
+    ...parsed,
+    users,
+    itemVectors: flatten(parsed.itemVectors, parsed.items.length),
+    userVectors: users.length ? flatten(parsed.userVectors, users.length) : null
+  };
+}
+
+// ---------------------------------------------------------------------
+// Serving from a bundle (no TF.js needed)
+// ---------------------------------------------------------------------
+
+class EmbeddingRecommender {
+  constructor(bundle) {
+    this.bundle = bundle;
+    this.dim = bundle.dim;
+    this.items = bundle.items;
+    this.itemRow = new Map(bundle.items.map((it, r) => [it.id, r]));
+    this.userRow = new Map((bundle.users || []).map((u, r) => [u, r]));
+  }
+
+  get numItems() {
+    return this.items.length;
+  }
+
+  hasUser(userId) {
+    return this.userRow.has(userId);
+  }
+
+  // Dot-product top-K of `query` over all items, skipping excluded item IDs.
+  topK(query, k, excludeIds = null) {
+    const { dim } = this;
+    const vectors = this.bundle.itemVectors;
+    const best = []; // [{ row, score }] sorted descending, length <= k
+    for (let r = 0; r < this.items.length; r++) {
+      if (excludeIds && excludeIds.has(this.items[r].id)) continue;
+      let s = 0;
+      for (let d = 0; d < dim; d++) s += query[d] * vectors[r * dim + d];
+      if (best.length === k && s <= best[k - 1].score) continue;
+      let pos = best.length === k ? k - 1 : best.length;
+      while (pos > 0 && best[pos - 1].score < s) {
+        best[pos] = best[pos - 1];
+        pos -= 1;
+      }
+      best[pos] = { row: r, score: s };
+    }
+    return best.map(({ row, score }) => ({ item: this.items[row], score }));
+  }
+
+  recommendForUser(userId, k = 10, excludeIds = null) {
+    const row = this.userRow.get(userId);
+    if (row == null) throw new Error(`User ${userId} is not in this bundle`);
+    const query = this.bundle.userVectors.subarray(row * this.dim, (row + 1) * this.dim);
+    return this.topK(query, k, excludeIds);
+  }
+
+  // Cosine neighbours of one item.
+  similarItems(itemId, k = 10) {
+    const row = this.itemRow.get(itemId);
+    if (row == null) throw new Error(`Item ${itemId} is not in this bundle`);
+    const { dim } = this;
+    const vectors = this.bundle.itemVectors;
+    const norm = (r) => {
+      let s = 0;
+      for (let d = 0; d < dim; d++) s += vectors[r * dim + d] * vectors[r * dim + d];
+      return Math.sqrt(s) || 1;
+    };
+    const q = vectors.subarray(row * dim, (row + 1) * dim);
+    const qn = norm(row);
+    const out = [];
+    for (let r = 0; r < this.items.length; r++) {
+      if (r === row) continue;
+      let s = 0;
+      for (let d = 0; d < dim; d++) s += q[d] * vectors[r * dim + d];
+      out.push({ item: this.items[r], score: s / (qn * norm(r)) });
+    }
+    return out.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  findItems(text, limit = 20) {
+    const q = String(text || '').trim().toLowerCase();
+    if (!q) return [];
+    return this.items.filter((it) => String(it.title).toLowerCase().includes(q)).slice(0, limit);
+  }
+}
+
+// ---------------------------------------------------------------------
+// TF.js tower artifacts
+// ---------------------------------------------------------------------
+
+/**
+ * Build tf.io ModelArtifacts for a custom two-tower model.
+ * @param {Object} namedTensors  { weightName: tf.Tensor }
+ * @param {Object} topology      tower config needed to rebuild the model
+ * @param {Object} metadata      extra JSON (ID mappings, metrics, ...)
+ */
+async function buildTowerArtifacts(namedTensors, topology, metadata = {}) {
+  const { data, specs } = await tf.io.encodeWeights(namedTensors);
+  return {
+    modelTopology: { format: TOWER_ARTIFACT_FORMAT, version: 1, ...topology },
+    format: TOWER_ARTIFACT_FORMAT,
+    generatedBy: `TensorFlow.js v${tf.version.tfjs}`,
+    weightSpecs: specs,
+    weightData: data,
+    userDefinedMetadata: metadata
+  };
+}
+
+// Save through tf.io; a string target downloads <name>.json + <name>.weights.bin.
+async function saveTowerArtifacts(namedTensors, topology, metadata, target) {
+  const artifacts = await buildTowerArtifacts(namedTensors, topology, metadata);
+  const handler = typeof target === 'string' ? tf.io.browserDownloads(target) : target;
+  return handler.save(artifacts);
+}
+
+/**
+ * Load artifacts saved above. `source` is a FileList / File[] (model.json +
+ * weights.bin picked together) or any tf.io IOHandler (e.g. tf.io.http(url)).
+ * @returns {{ topology, metadata, tensors }}  tensors: { weightName: tf.Tensor }
+ */
+async function loadTowerArtifacts(source) {
+  let handler = source;
+  if (!source.load) {
+    const files = Array.from(source);
+    const json = files.find((f) => f.name.endsWith('.json'));
+    const weights = files.filter((f) => f !== json);
+    if (!json || !weights.length) throw new Error('Pick the model .json file together with its .weights.bin');
+    handler = tf.io.browserFiles([json, ...weights]);
+  }
+  const artifacts = await handler.load();
+  const topology = artifacts.modelTopology;
+  if (!topology || topology.format !== TOWER_ARTIFACT_FORMAT) {
+    throw new Error(`Not a ${TOWER_ARTIFACT_FORMAT} model (modelTopology.format mismatch)`);
+  }
+  return {
+    topology,
+    metadata: artifacts.userDefinedMetadata || {},
+    tensors: tf.io.decodeWeights(artifacts.weightData, artifacts.weightSpecs)
+  };
+}
+
+function downloadBlob(data, fileName, type = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
@@ -0,0 +1,578 @@
+// embedding-explorer.js
+// Interactive 2-D view of the item tower's embeddings on a <canvas>.
+//
+// - PCA / t-SNE layouts computed in projection-worker.js (main-thread fallback
+//   via projection.js when workers are unavailable, e.g. file://)
+// - wheel to zoom around the cursor, drag to pan, double-click to reset
+// - shift + drag draws a lasso; the enclosed titles go to onSelectionChange
+// - color by primary genre, release year or popularity
+// - search() highlights matching titles and centres the view on the first one
+//
+// Points are { title, year, genres, popularity } in the same order as the
+// vectors passed to setData().
+
+const EXPLORER_GENRE_COLORS = [
+  '#2563eb', '#dc2626', '#16a34a', '#f59e0b', '#9333ea', '#0891b2', '#db2777', '#65a30d',
+  '#ea580c', '#4f46e5', '#0d9488', '#b91c1c', '#7c3aed', '#ca8a04', '#059669', '#c026d3',
+  '#475569', '#a16207'
+];
+
+// viridis-like stops for the continuous color modes
+const EXPLORER_RAMP = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37]
+];
+
+class EmbeddingExplorer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   *   workerUrl          projection worker script (default 'projection-worker.js')
+   *   background         canvas background color
+   *   textColor / mutedColor
+   *   onSelectionChange  (points[]) => void, after a lasso
+   *   onStatus           (message) => void, projection progress
+   */
+  constructor(canvas, options = {}) {
+    const {
+      workerUrl = 'projection-worker.js',
+      background = '#ffffff',
+      textColor = '#111827',
+      mutedColor = '#6b7280',
+      onSelectionChange = null,
+      onStatus = null
+    } = options;
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.workerUrl = workerUrl;
+    this.colors = { background, text: textColor, muted: mutedColor };
+    this.onSelectionChange = onSelectionChange;
+    this.onStatus = onStatus;
+
+    this.vectors = null;
+    this.n = 0;
+    this.dim = 0;
+    this.points = [];
+    this.coords = null; // Float32Array [n * 2], projection space
+    this.method = 'pca';
+    this.colorMode = 'genre';
+    this.genreOrder = [];
+    this.yearRange = null;
+    this.maxPopularity = 0;
+
+    this.view = { scale: 1, tx: 0, ty: 0 };
+    this.highlighted = new Set();
+    this.selected = new Set();
+    this.hover = -1;
+    this.drag = null; // { mode: 'pan'|'lasso', x, y, path }
+
+    this.worker = null;
+    this.jobId = 0;
+    this.projectOptions = {};
+    this.pending = null; // { jobId, resolve, reject }
+
+    this.bindEvents();
+    this.render();
+  }
+
+  // ---------------------------------------------------------------------
+  // Data + projection
+  // ---------------------------------------------------------------------
+
+  setData(vectors, n, dim, points) {
+    this.vectors = vectors;
+    this.n = n;
+    this.dim = dim;
+    this.points = points;
+    this.coords = null;
+    this.highlighted.clear();
+    this.selected.clear();
+    this.hover = -1;
+    this.view = { scale: 1, tx: 0, ty: 0 };
+
+    // Genres ordered by frequency so the common ones get the distinct colors
+    const counts = new Map();
+    points.forEach((p) => {
+      const g = EmbeddingExplorer.primaryGenre(p);
+      counts.set(g, (counts.get(g) || 0) + 1);
+    });
+    this.genreOrder = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+
+    const years = points.map((p) => p.year).filter((y) => Number.isFinite(y));
+    this.yearRange = years.length ? { min: Math.min(...years), max: Math.max(...years) } : null;
+    this.maxPopularity = points.reduce((m, p) => Math.max(m, p.popularity || 0), 0);
+
+    if (this.onSelectionChange) this.onSelectionChange([]);
+    this.render();
+  }
+
+  /**
+   * Compute a layout and show it. Resolves once the final layout is drawn;
+   * resolves with false if a newer project() call superseded this one.
+   */
+  project(method = 'pca', options = {}) {
+    if (!this.vectors) return Promise.resolve(false);
+    this.method = method;
+    this.projectOptions = options;
+    this.jobId += 1;
+    const jobId = this.jobId;
+    if (this.pending) this.pending.resolve(false);
+
+    const label = method === 'tsne' ? 't-SNE' : 'PCA';
+    this.status(`Computing ${label} for ${this.n} items...`);
+
+    const worker = this.getWorker();
+    if (!worker) return this.projectOnMainThread(jobId, method, options);
+
+    return new Promise((resolve, reject) => {
+      this.pending = { jobId, resolve, reject };
+      const vectors = this.vectors.slice();
+      worker.postMessage(
+        { type: 'project', jobId, method, vectors, n: this.n, dim: this.dim, options },
+        [vectors.buffer]
+      );
+    });
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+    if (!this.workerUrl || typeof Worker === 'undefined') return null;
+    try {
+      this.worker = new Worker(this.workerUrl);
+    } catch (err) {
+      console.warn('Projection worker unavailable, using main thread:', err);
+      return null;
+    }
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      // e.g. importScripts blocked: fall back for this and later jobs
+      event.preventDefault();
+      this.worker.terminate();
+      this.worker = null;
+      this.workerUrl = null;
+      const pending = this.pending;
+      this.pending = null;
+      if (pending && pending.jobId === this.jobId) {
+        this.projectOnMainThread(pending.jobId, this.method, this.projectOptions).then(
+          pending.resolve,
+          pending.reject
+        );
+      }
+    };
+    return this.worker;
+  }
+
+  handleWorkerMessage(msg) {
+    if (msg.jobId !== this.jobId) return;
+    if (msg.type === 'progress') {
+      this.setCoords(msg.coords, false);
+      this.status(`t-SNE iteration ${msg.iteration}/${msg.total}...`);
+    } else if (msg.type === 'result') {
+      this.finishProjection(msg.method, msg.coords, msg.info);
+      if (this.pending) this.pending.resolve(true);
+      this.pending = null;
+    } else if (msg.type === 'error') {
+      this.status(`Projection failed: ${msg.message}`);
+      if (this.pending) this.pending.reject(new Error(msg.message));
+      this.pending = null;
+    }
+  }
+
+  async projectOnMainThread(jobId, method, options) {
+    const result =
+      method === 'tsne'
+        ? await tsneProject(this.vectors, this.n, this.dim, {
+            ...options,
+            shouldStop: () => jobId !== this.jobId,
+            onProgress: ({ iteration, total, coords }) => {
+              this.setCoords(coords, false);
+              this.status(`t-SNE iteration ${iteration}/${total} (main thread)...`);
+            }
+          })
+        : await pcaProject(this.vectors, this.n, this.dim);
+    if (!result || jobId !== this.jobId) return false;
+    this.finishProjection(method, result.coords, result.info);
+    return true;
+  }
+
+  finishProjection(method, coords, info) {
+    this.setCoords(coords, true);
+    if (method === 'pca' && info && info.explainedVariance) {
+      const [a, b] = info.explainedVariance.map((v) => (v * 100).toFixed(1));
+      this.status(`PCA: PC1 ${a}%, PC2 ${b}% of variance.`);
+    } else {
+      this.status(`t-SNE done (perplexity ${info.perplexity}, ${info.iterations} iterations).`);
+    }
+  }
+
+  setCoords(coords, fit) {
+    this.coords = coords;
+    if (fit) this.view = { scale: 1, tx: 0, ty: 0 };
+    this.computeBounds();
+    this.render();
+  }
+
+  computeBounds() {
+    let xMin = Infinity;
+    let xMax = -Infinity;
+    let yMin = Infinity;
+    let yMax = -Infinity;
+    for (let i = 0; i < this.n; i++) {
+      const x = this.coords[i * 2];
+      const y = this.coords[i * 2 + 1];
+      if (x < xMin) xMin = x;
+      if (x > xMax) xMax = x;
+      if (y < yMin) yMin = y;
+      if (y > yMax) yMax = y;
+    }
+    const margin = 30;
+    const w = this.canvas.width - margin * 2;
+    const h = this.canvas.height - margin * 2;
+    const scale = Math.min(w / (xMax - xMin || 1), h / (yMax - yMin || 1));
+    this.base = {
+      scale,
+      ox: margin + (w - (xMax - xMin) * scale) / 2 - xMin * scale,
+      oy: margin + (h - (yMax - yMin) * scale) / 2 + yMax * scale
+    };
+  }
+
+  status(message) {
+    if (this.onStatus) this.onStatus(message);
+  }
+
+  // ---------------------------------------------------------------------
+  // View controls
+  // ---------------------------------------------------------------------
+
+  setColorMode(mode) {
+    this.colorMode = mode;
+    this.render();
+  }
+
+  resetView() {
+    this.view = { scale: 1, tx: 0, ty: 0 };
+    this.render();
+  }
+
+  /**
+   * Highlight items whose title contains `text` (case-insensitive) and
+   * centre the view on the first match. Returns the number of matches.
+   */
+  search(text) {
+    this.highlighted.clear();
+    const q = String(text || '').trim().toLowerCase();
+    if (q) {
+      this.points.forEach((p, i) => {
+        if (p.title.toLowerCase().includes(q)) this.highlighted.add(i);
+      });
+    }
+    const first = this.highlighted.values().next();
+    if (!first.done && this.coords) {
+      const scale = Math.max(this.view.scale, 3);
+      const [bx, by] = this.baseXY(first.value);
+      this.view = {
+        scale,
+        tx: this.canvas.width / 2 - bx * scale,
+        ty: this.canvas.height / 2 - by * scale
+      };
+    }
+    this.render();
+    return this.highlighted.size;
+  }
+
+  clearSelection() {
+    this.selected.clear();
+    if (this.onSelectionChange) this.onSelectionChange([]);
+    this.render();
+  }
+
+  dispose() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Geometry
+  // ---------------------------------------------------------------------
+
+  baseXY(i) {
+    return [
+      this.base.ox + this.coords[i * 2] * this.base.scale,
+      this.base.oy - this.coords[i * 2 + 1] * this.base.scale
+    ];
+  }
+
+  screenXY(i) {
+    const [bx, by] = this.baseXY(i);
+    return [bx * this.view.scale + this.view.tx, by * this.view.scale + this.view.ty];
+  }
+
+  // Mouse position in canvas pixels (the canvas may be CSS-scaled)
+  eventXY(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return [
+      ((event.clientX - rect.left) * this.canvas.width) / (rect.width || this.canvas.width),
+      ((event.clientY - rect.top) * this.canvas.height) / (rect.height || this.canvas.height)
+    ];
+  }
+
+  nearestPoint(x, y, radius = 8) {
+    if (!this.coords) return -1;
+    let best = -1;
+    let bestDist2 = radius * radius;
+    for (let i = 0; i < this.n; i++) {
+      const [px, py] = this.screenXY(i);
+      const d2 = (px - x) * (px - x) + (py - y) * (py - y);
+      if (d2 <= bestDist2) {
+        bestDist2 = d2;
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  static pointInPolygon(x, y, path) {
+    let inside = false;
+    for (let i = 0, j = path.length - 1; i < path.length; j = i, i += 1) {
+      const [xi, yi] = path[i];
+      const [xj, yj] = path[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // ---------------------------------------------------------------------
+  // Mouse interaction
+  // ---------------------------------------------------------------------
+
+  bindEvents() {
+    const c = this.canvas;
+    c.addEventListener(
+      'wheel',
+      (e) => {
+        if (!this.coords) return;
+        e.preventDefault();
+        const [x, y] = this.eventXY(e);
+        const factor = Math.exp(-e.deltaY * 0.0015);
+        const scale = Math.min(50, Math.max(0.5, this.view.scale * factor));
+        const k = scale / this.view.scale;
+        this.view = { scale, tx: x - (x - this.view.tx) * k, ty: y - (y - this.view.ty) * k };
+        this.render();
+      },
+      { passive: false }
+    );
+
+    c.addEventListener('mousedown', (e) => {
+      if (!this.coords) return;
+      const [x, y] = this.eventXY(e);
+      this.drag = e.shiftKey
+        ? { mode: 'lasso', path: [[x, y]] }
+        : { mode: 'pan', x, y, tx: this.view.tx, ty: this.view.ty };
+    });
+
+    c.addEventListener('mousemove', (e) => {
+      const [x, y] = this.eventXY(e);
+      if (this.drag && this.drag.mode === 'pan') {
+        this.view.tx = this.drag.tx + (x - this.drag.x);
+        this.view.ty = this.drag.ty + (y - this.drag.y);
+      } else if (this.drag && this.drag.mode === 'lasso') {
+        this.drag.path.push([x, y]);
+      } else {
+        const hover = this.nearestPoint(x, y);
+        if (hover === this.hover) return;
+        this.hover = hover;
+      }
+      this.render();
+    });
+
+    const endDrag = () => {
+      if (this.drag && this.drag.mode === 'lasso') this.finishLasso(this.drag.path);
+      this.drag = null;
+      this.render();
+    };
+    c.addEventListener('mouseup', endDrag);
+    c.addEventListener('mouseleave', () => {
+      this.hover = -1;
+      endDrag();
+    });
+    c.addEventListener('dblclick', () => this.resetView());
+  }
+
+  finishLasso(path) {
+    if (path.length < 3) return;
+    this.selected.clear();
+    for (let i = 0; i < this.n; i++) {
+      const [x, y] = this.screenXY(i);
+      if (EmbeddingExplorer.pointInPolygon(x, y, path)) this.selected.add(i);
+    }
+    if (this.onSelectionChange) {
+      this.onSelectionChange(Array.from(this.selected, (i) => this.points[i]));
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Coloring
+  // ---------------------------------------------------------------------
+
+  static primaryGenre(point) {
+    const genres = (point.genres || []).filter((g) => g !== 'unknown');
+    return genres.length ? genres[0] : 'unknown';
+  }
+
+  static ramp(t) {
+    const x = Math.min(1, Math.max(0, t)) * (EXPLORER_RAMP.length - 1);
+    const i = Math.min(EXPLORER_RAMP.length - 2, Math.floor(x));
+    const f = x - i;
+    const c = EXPLORER_RAMP[i].map((v, k) => Math.round(v + (EXPLORER_RAMP[i + 1][k] - v) * f));
+    return `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+  }
+
+  pointColor(i) {
+    const p = this.points[i];
+    if (this.colorMode === 'year') {
+      if (!this.yearRange || !Number.isFinite(p.year)) return '#9ca3af';
+      const span = this.yearRange.max - this.yearRange.min || 1;
+      return EmbeddingExplorer.ramp((p.year - this.yearRange.min) / span);
+    }
+    if (this.colorMode === 'popularity') {
+      return EmbeddingExplorer.ramp(Math.log1p(p.popularity || 0) / Math.log1p(this.maxPopularity || 1));
+    }
+    const g = this.genreOrder.indexOf(EmbeddingExplorer.primaryGenre(p));
+    return g < 0 || this.genreOrder[g] === 'unknown'
+      ? '#9ca3af'
+      : EXPLORER_GENRE_COLORS[g % EXPLORER_GENRE_COLORS.length];
+  }
+
+  // ---------------------------------------------------------------------
+  // Drawing
+  // ---------------------------------------------------------------------
+
+  render() {
+    const { ctx, canvas } = this;
+    if (!ctx) return;
+    ctx.save();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (!this.coords) {
+      ctx.fillStyle = this.colors.muted;
+      ctx.font = '13px Arial';
+      ctx.fillText(this.vectors ? 'Computing projection...' : 'Train a model to explore its item embeddings.', 16, 26);
+      ctx.restore();
+      return;
+    }
+
+    const dimOthers = this.highlighted.size > 0 || this.selected.size > 0;
+    for (let i = 0; i < this.n; i++) {
+      const [x, y] = this.screenXY(i);
+      if (x < -5 || y < -5 || x > canvas.width + 5 || y > canvas.height + 5) continue;
+      const focus = this.highlighted.has(i) || this.selected.has(i);
+      ctx.globalAlpha = dimOthers && !focus ? 0.2 : 0.85;
+      ctx.fillStyle = this.pointColor(i);
+      ctx.beginPath();
+      ctx.arc(x, y, focus ? 4.5 : 3, 0, Math.PI * 2);
+      ctx.fill();
+      if (this.selected.has(i)) {
+        ctx.strokeStyle = this.colors.text;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    // Highlighted titles get a ring + label (capped so a broad search stays readable)
+    let labelled = 0;
+    this.highlighted.forEach((i) => {
+      const [x, y] = this.screenXY(i);
+      ctx.strokeStyle = '#f97316';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, 8, 0, Math.PI * 2);
+      ctx.stroke();
+      if (labelled < 15) this.drawLabel(this.pointLabel(i), x + 10, y - 8);
+      labelled += 1;
+    });
+
+    if (this.hover >= 0) {
+      const [x, y] = this.screenXY(this.hover);
+      this.drawLabel(this.pointLabel(this.hover), x + 10, y - 8);
+    }
+
+    if (this.drag && this.drag.mode === 'lasso' && this.drag.path.length > 1) {
+      ctx.strokeStyle = this.colors.text;
+      ctx.setLineDash([4, 3]);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      this.drag.path.forEach(([x, y], k) => (k ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    this.drawLegend();
+
+    ctx.fillStyle = this.colors.muted;
+    ctx.font = '11px Arial';
+    ctx.fillText(
+      `${this.method === 'tsne' ? 't-SNE' : 'PCA'} · ${this.n} items · zoom ${this.view.scale.toFixed(1)}× · ` +
+        'scroll to zoom, drag to pan, shift+drag to lasso, double-click to reset',
+      10,
+      canvas.height - 10
+    );
+    ctx.restore();
+  }
+
+  pointLabel(i) {
+    const p = this.points[i];
+    return p.year ? `${p.title} (${p.year})` : p.title;
+  }
+
+  drawLabel(text, x, y) {
+    const { ctx } = this;
+    ctx.font = '12px Arial';
+    const w = ctx.measureText(text).width + 8;
+    const lx = Math.min(x, this.canvas.width - w - 4);
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.85)';
+    ctx.fillRect(lx, y - 14, w, 18);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, lx + 4, y);
+  }
+
+  drawLegend() {
+    const { ctx, canvas } = this;
+    ctx.font = '11px Arial';
+    const x = canvas.width - 150;
+    let y = 18;
+
+    if (this.colorMode === 'genre') {
+      this.genreOrder.slice(0, 12).forEach((g) => {
+        const k = this.genreOrder.indexOf(g);
+        ctx.fillStyle =
+          g === 'unknown' ? '#9ca3af' : EXPLORER_GENRE_COLORS[k % EXPLORER_GENRE_COLORS.length];
+        ctx.fillRect(x, y - 8, 10, 10);
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(g, x + 16, y + 1);
+        y += 15;
+      });
+      return;
+    }
+
+    const [lo, hi, title] =
+      this.colorMode === 'year'
+        ? [this.yearRange ? this.yearRange.min : '–', this.yearRange ? this.yearRange.max : '–', 'Release year']
+        : [0, this.maxPopularity, 'Ratings (log scale)'];
+    ctx.fillStyle = this.colors.text;
+    ctx.fillText(title, x, y);
+    for (let k = 0; k < 120; k++) {
+      ctx.fillStyle = EmbeddingExplorer.ramp(k / 119);
+      ctx.fillRect(x + k, y + 6, 1, 10);
+    }
+    ctx.fillStyle = this.colors.muted;
+    ctx.fillText(String(lo), x, y + 30);
+    ctx.fillText(String(hi), x + 120 - ctx.measureText(String(hi)).width, y + 30);
+  }
+}
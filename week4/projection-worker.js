@@ -0,0 +1,44 @@
+// projection-worker.js
+// Web Worker that computes PCA / t-SNE layouts for the embedding explorer.
+//
+// Messages in (from embedding-explorer.js):
+//   { type: 'project', jobId, method: 'pca'|'tsne', vectors, n, dim, options }
+//
+// Messages out:
+//   { type: 'progress', jobId, iteration, total, coords }   (t-SNE only)
+//   { type: 'result', jobId, method, coords, info }
+//   { type: 'error', jobId, message }
+//
+// A newer 'project' message supersedes the running one; the old t-SNE stops at
+// its next progress tick.
+
+importScripts('projection.js');
+
+let currentJob = 0;
+
+async function project(msg) {
+  const { jobId, method, vectors, n, dim, options = {} } = msg;
+  currentJob = jobId;
+
+  const result =
+    method === 'tsne'
+      ? await tsneProject(vectors, n, dim, {
+          ...options,
+          shouldStop: () => currentJob !== jobId,
+          onProgress: ({ iteration, total, coords }) =>
+            self.postMessage({ type: 'progress', jobId, iteration, total, coords }, [coords.buffer])
+        })
+      : await pcaProject(vectors, n, dim);
+
+  if (!result || currentJob !== jobId) return;
+  self.postMessage({ type: 'result', jobId, method, coords: result.coords, info: result.info }, [
+    result.coords.buffer
+  ]);
+}
+
+self.onmessage = (event) => {
+  const msg = event.data;
+  if (msg.type === 'project') {
+    project(msg).catch((err) => self.postMessage({ type: 'error', jobId: msg.jobId, message: err.message }));
+  }
+};
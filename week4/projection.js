@@ -0,0 +1,226 @@
+// projection.js
+// 2-D projections of item embeddings for the embedding explorer, shared by
+// projection-worker.js and the main-thread fallback in embedding-explorer.js.
+//
+// - pcaProject:  top-2 principal components (power iteration + deflation)
+// - tsneProject: exact t-SNE (perplexity-calibrated P, Student-t Q, early
+//                exaggeration, momentum + gains). O(n²) per iteration, which is
+//                fine for the ~1.7k MovieLens 100K items.
+//
+// Both take a row-major Float32Array [n * dim] and resolve to { coords, info }
+// where coords is a Float32Array [n * 2].
+
+function projectionRandom(seed) {
+  // mulberry32; week4 loads no other seeded generator (week4updated uses
+  // RankingEvaluator.seededRandom here instead)
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+async function pcaProject(vectors, n, dim) {
+  const mean = new Float64Array(dim);
+  for (let i = 0; i < n; i++) {
+    for (let d = 0; d < dim; d++) mean[d] += vectors[i * dim + d];
+  }
+  for (let d = 0; d < dim; d++) mean[d] /= Math.max(1, n);
+
+  const cov = Array.from({ length: dim }, () => new Float64Array(dim));
+  const row = new Float64Array(dim);
+  let totalVar = 0;
+  for (let i = 0; i < n; i++) {
+    for (let d = 0; d < dim; d++) row[d] = vectors[i * dim + d] - mean[d];
+    for (let a = 0; a < dim; a++) {
+      const va = row[a];
+      totalVar += va * va;
+      for (let b = 0; b < dim; b++) cov[a][b] += va * row[b];
+    }
+  }
+
+  const components = [];
+  const explained = [];
+  for (let c = 0; c < 2; c++) {
+    let v = new Float64Array(dim).fill(1 / Math.sqrt(dim));
+    let lambda = 0;
+    for (let iter = 0; iter < 100; iter++) {
+      const next = new Float64Array(dim);
+      for (let a = 0; a < dim; a++) {
+        let s = 0;
+        for (let b = 0; b < dim; b++) s += cov[a][b] * v[b];
+        next[a] = s;
+      }
+      let norm = 0;
+      for (let a = 0; a < dim; a++) norm += next[a] * next[a];
+      norm = Math.sqrt(norm);
+      if (!norm) break;
+      for (let a = 0; a < dim; a++) next[a] /= norm;
+      const delta = Math.abs(norm - lambda);
+      v = next;
+      lambda = norm;
+      if (delta < 1e-9 * lambda) break;
+    }
+    components.push(v);
+    explained.push(totalVar > 0 ? lambda / totalVar : 0);
+    for (let a = 0; a < dim; a++) {
+      for (let b = 0; b < dim; b++) cov[a][b] -= lambda * v[a] * v[b];
+    }
+  }
+
+  const coords = new Float32Array(n * 2);
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < 2; c++) {
+      let s = 0;
+      for (let d = 0; d < dim; d++) s += (vectors[i * dim + d] - mean[d]) * components[c][d];
+      coords[i * 2 + c] = s;
+    }
+  }
+  return { coords, info: { explainedVariance: explained } };
+}
+
+/**
+ * @param {Object} options
+ *   perplexity    effective number of neighbours (default 30)
+ *   iterations    gradient steps (default 500)
+ *   learningRate  default max(n / 12, 50)
+ *   seed          initial layout seed
+ *   onProgress    ({ iteration, total, coords }) every `progressEvery` steps
+ *   shouldStop    () => boolean, checked with onProgress (superseded jobs)
+ */
+async function tsneProject(vectors, n, dim, options = {}) {
+  const {
+    perplexity = 30,
+    iterations = 500,
+    learningRate = Math.max(n / 12, 50),
+    seed = 42,
+    exaggeration = 12,
+    exaggerationIters = 100,
+    progressEvery = 25,
+    onProgress = null,
+    shouldStop = () => false
+  } = options;
+
+  // Squared euclidean distances
+  const dist = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let s = 0;
+      for (let d = 0; d < dim; d++) {
+        const diff = vectors[i * dim + d] - vectors[j * dim + d];
+        s += diff * diff;
+      }
+      dist[i * n + j] = s;
+      dist[j * n + i] = s;
+    }
+  }
+
+  // Conditional P(j|i) with a per-row binary search on the Gaussian precision
+  const P = new Float32Array(n * n);
+  const targetEntropy = Math.log(Math.min(perplexity, Math.max(1, (n - 1) / 3)));
+  for (let i = 0; i < n; i++) {
+    let beta = 1;
+    let lo = -Infinity;
+    let hi = Infinity;
+    for (let tries = 0; tries < 50; tries++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const p = Math.exp(-dist[i * n + j] * beta);
+        P[i * n + j] = p;
+        sum += p;
+        weighted += dist[i * n + j] * p;
+      }
+      const entropy = sum > 0 ? Math.log(sum) + (beta * weighted) / sum : 0;
+      for (let j = 0; j < n; j++) P[i * n + j] = sum > 0 ? P[i * n + j] / sum : 0;
+      const diff = entropy - targetEntropy;
+      if (Math.abs(diff) < 1e-5) break;
+      if (diff > 0) {
+        lo = beta;
+        beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+      } else {
+        hi = beta;
+        beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2;
+      }
+    }
+  }
+
+  // Symmetrise: p_ij = (p_j|i + p_i|j) / 2n
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+      P[i * n + j] = p;
+      P[j * n + i] = p;
+    }
+    P[i * n + i] = 0;
+  }
+
+  const rand = projectionRandom(seed);
+  const Y = new Float32Array(n * 2);
+  for (let k = 0; k < Y.length; k++) Y[k] = (rand() - 0.5) * 1e-3;
+  const step = new Float32Array(n * 2);
+  const gains = new Float32Array(n * 2).fill(1);
+  const grad = new Float32Array(n * 2);
+  const num = new Float32Array(n * n);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const exag = iter < exaggerationIters ? exaggeration : 1;
+    const momentum = iter < 250 ? 0.5 : 0.8;
+
+    // Student-t affinities
+    let Z = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = Y[i * 2] - Y[j * 2];
+        const dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+        const q = 1 / (1 + dx * dx + dy * dy);
+        num[i * n + j] = q;
+        num[j * n + i] = q;
+        Z += 2 * q;
+      }
+    }
+
+    grad.fill(0);
+    for (let i = 0; i < n; i++) {
+      let gx = 0;
+      let gy = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const q = num[i * n + j];
+        const mult = (exag * P[i * n + j] - q / Z) * q;
+        gx += mult * (Y[i * 2] - Y[j * 2]);
+        gy += mult * (Y[i * 2 + 1] - Y[j * 2 + 1]);
+      }
+      grad[i * 2] = 4 * gx;
+      grad[i * 2 + 1] = 4 * gy;
+    }
+
+    let mx = 0;
+    let my = 0;
+    for (let k = 0; k < Y.length; k++) {
+      const sameSign = Math.sign(grad[k]) === Math.sign(step[k]);
+      gains[k] = Math.max(sameSign ? gains[k] * 0.8 : gains[k] + 0.2, 0.01);
+      step[k] = momentum * step[k] - learningRate * gains[k] * grad[k];
+      Y[k] += step[k];
+      if (k % 2) my += Y[k];
+      else mx += Y[k];
+    }
+    for (let i = 0; i < n; i++) {
+      Y[i * 2] -= mx / n;
+      Y[i * 2 + 1] -= my / n;
+    }
+
+    if ((iter + 1) % progressEvery === 0 || iter === iterations - 1) {
+      if (onProgress) onProgress({ iteration: iter + 1, total: iterations, coords: Y.slice() });
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (shouldStop()) return null;
+    }
+  }
+
+  return { coords: Y, info: { perplexity, iterations } };
+}
@@ -0,0 +1,136 @@
+/* run-log.js
+   Experiment log for two-tower training runs.
+   - one record per Train click: config, loss curves, Recall@K metrics, timestamp
+   - persisted in IndexedDB ("two-tower-runs" / "runs"); falls back to memory
+     when IndexedDB is unavailable (private windows, some file:// setups)
+   - JSON export / import so runs can be shared or moved between browsers
+   - diffConfigs(a, b) for the side-by-side comparison in the runs table
+
+   Record shape:
+     { id, timestamp, config:{...}, stepsPerEpoch,
+       loss:{ baseline:number[], deep:number[], plain:number[] },
+       metrics:[{ name, warm:{10,50}, cold:{10,50}|null }], data:{ users, items, interactions } }
+*/
+
+class RunLog {
+  constructor(dbName='two-tower-runs'){
+    this.dbName = dbName;
+    this.db = null;
+    this.memory = null; // Map id -> run when IndexedDB is unavailable
+    this.nextId = 1;
+  }
+
+  async open(){
+    if (this.db || this.memory) return;
+    if (typeof indexedDB === 'undefined'){ this.memory = new Map(); return; }
+    try {
+      this.db = await new Promise((resolve, reject)=>{
+        const req = indexedDB.open(this.dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('runs', { keyPath:'id', autoIncrement:true });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    } catch (e) {
+      console.warn('IndexedDB unavailable, run log kept in memory only', e);
+      this.memory = new Map();
+    }
+  }
+
+  get persistent(){ return !!this.db; }
+
+  // run one request against the "runs" store
+  _request(mode, fn){
+    return new Promise((resolve, reject)=>{
+      const tx = this.db.transaction('runs', mode);
+      const req = fn(tx.objectStore('runs'));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // stores a copy without `id` and resolves to the new id
+  async add(run){
+    await this.open();
+    const { id, ...record } = run;
+    if (this.memory){
+      const key = this.nextId++;
+      this.memory.set(key, { ...record, id:key });
+      return key;
+    }
+    return this._request('readwrite', s => s.add(record));
+  }
+
+  // all runs, oldest first
+  async all(){
+    await this.open();
+    const runs = this.memory ? Array.from(this.memory.values()) : await this._request('readonly', s => s.getAll());
+    return runs.sort((a,b)=> a.timestamp - b.timestamp || a.id - b.id);
+  }
+
+  async remove(id){
+    await this.open();
+    if (this.memory){ this.memory.delete(id); return; }
+    await this._request('readwrite', s => s.delete(id));
+  }
+
+  async clear(){
+    await this.open();
+    if (this.memory){ this.memory.clear(); return; }
+    await this._request('readwrite', s => s.clear());
+  }
+
+  // ---------- JSON import / export ----------
+  static exportJSON(runs){
+    return JSON.stringify({ format:'two-tower-runs', version:1, exportedAt:new Date().toISOString(), runs }, null, 1);
+  }
+
+  // accepts an export file or a bare array of runs; throws on anything else.
+  // Missing or null metrics become [] so the runs table can always read them.
+  static parseImport(text){
+    const parsed = JSON.parse(text);
+    const runs = Array.isArray(parsed) ? parsed : parsed?.runs;
+    if (!Array.isArray(runs)) throw new Error('expected a run-log export (object with "runs") or an array of runs');
+    const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+    // warm / cold: null, or Recall@10 and @50 as numbers
+    const isRecall = v => v == null || (isObject(v) && Number.isFinite(v[10]) && Number.isFinite(v[50]));
+    return runs.map((r, i)=>{
+      if (!isObject(r) || !isObject(r.config) || !isObject(r.loss) || !Number.isFinite(r.timestamp)){
+        throw new Error(`run #${i+1} is missing config, loss or timestamp`);
+      }
+      if (!Number.isFinite(r.stepsPerEpoch) || r.stepsPerEpoch <= 0){
+        throw new Error(`run #${i+1}: stepsPerEpoch must be a positive number`);
+      }
+      for (const curve of ['baseline', 'deep', 'plain']){
+        const c = r.loss[curve];
+        if (!Array.isArray(c) || !c.every(Number.isFinite)){
+          throw new Error(`run #${i+1}: loss.${curve} must be an array of numbers`);
+        }
+      }
+      const metrics = r.metrics ?? [];
+      if (!Array.isArray(metrics)) throw new Error(`run #${i+1}: metrics must be an array or null`);
+      metrics.forEach((m, j)=>{
+        if (!isObject(m) || typeof m.name !== 'string' || !isRecall(m.warm) || !isRecall(m.cold)){
+          throw new Error(`run #${i+1}, metrics #${j+1}: expected { name, warm:{10,50}|null, cold:{10,50}|null }`);
+        }
+      });
+      return { ...r, metrics };
+    });
+  }
+
+  async importRuns(runs){
+    for (const r of runs) await this.add(r);
+    return runs.length;
+  }
+
+  // ---------- comparison ----------
+  // [{key, a, b, same}] over the union of both configs, differing keys first
+  static diffConfigs(a, b){
+    const keys = Array.from(new Set(Object.keys(a.config).concat(Object.keys(b.config))));
+    return keys.map(key => {
+      const va = a.config[key], vb = b.config[key];
+      return { key, a:va, b:vb, same: JSON.stringify(va) === JSON.stringify(vb) };
+    }).sort((x,y)=> x.same - y.same);
+  }
+}
+
+window.RunLog = RunLog;
@@ -3,7 +3,16 @@
    - userEmbedding / itemEmbedding tables (tf.Variable)
    - optional single-hidden-layer MLP per tower (deep: true)
    - scoring by dot product
-   - losses: in-batch softmax (default) or BPR pairwise
+   - losses:
+       'softmax'       in-batch softmax (default)
+       'softmax-logq'  in-batch softmax with logQ correction (popular items are
+                       sampled more often as in-batch negatives, so subtract log q_j)
+       'mixed'         in-batch + uniform negatives, each corrected by its own log q
+       'bpr'           BPR pairwise, uniform random negative
+       'bpr-hard'      BPR with negatives mined from the model's current top-K
+   - optional user side features (e.g. u.user demographics): a small feature MLP
+     whose output is added to the user's ID embedding, so users without any
+     training interactions still get an informed vector (coldStart forward)
 */
 
 class TwoTowerModel {
@@ -11,7 +20,22 @@ class TwoTowerModel {
    * @param {number} numUsers
    * @param {number} numItems
    * @param {number} embDim
-   * @param {{deep:boolean, hiddenDim:number, lossType:'softmax'|'bpr', learningRate:number}} opts
+   * @param {{deep:boolean, hiddenDim:number,
+   *          lossType:'softmax'|'softmax-logq'|'mixed'|'bpr'|'bpr-hard', learningRate:number,
+   *          itemFreq?:ArrayLike<number>, numUniformNeg?:number,
+   *          hardNegK?:number, hardNegRatio?:number, userPositives?:Map<number,Set<number>>,
+   *          userFeatures?:Float32Array, userFeatureDim?:number, featHiddenDim?:number,
+   *          idDropout?:number}} opts
+   *   itemFreq       training interaction count per item index (needed for logQ / mixed)
+   *   numUniformNeg  extra uniform negatives per batch for 'mixed'
+   *   hardNegK       mine hard negatives from the top-K scored items
+   *   hardNegRatio   share of BPR negatives that are hard (rest uniform)
+   *   userPositives  uIdx -> Set(iIdx) seen in training; hard negatives skip these and
+   *                  'softmax-logq' / 'mixed' mask them out of the negative columns
+   *   userFeatures   row-major [numUsers, userFeatureDim] side features per user index
+   *   featHiddenDim  hidden width of the feature MLP (features -> hidden -> embDim)
+   *   idDropout      share of training rows whose ID embedding is dropped, so the
+   *                  feature path alone has to explain the positive (cold-start)
    */
   constructor(numUsers, numItems, embDim, opts={}){
     this.numUsers = numUsers;
@@ -21,10 +45,26 @@ class TwoTowerModel {
     this.opts = Object.assign({
       deep: true,
       hiddenDim: 64,
-      lossType: 'softmax', // or 'bpr'
+      lossType: 'softmax', // see header for the options
       learningRate: 3e-3,
+      itemFreq: null,
+      numUniformNeg: 128,
+      hardNegK: 50,
+      hardNegRatio: 0.5,
+      userPositives: null,
+      userFeatures: null,
+      userFeatureDim: 0,
+      featHiddenDim: 32,
+      idDropout: 0.25,
     }, opts);
 
+    // log q_j: probability that item j shows up in a batch (add-one smoothed)
+    this.logQ = null;
+    if (this.opts.itemFreq){
+      const total = Array.from(this.opts.itemFreq).reduce((a,b)=>a+b, 0) + numItems;
+      this.logQ = tf.tensor1d(Array.from(this.opts.itemFreq, c => Math.log((c + 1) / total)));
+    }
+
     // --- embedding tables (do NOT reuse global variable names) ---
     const uInit = tf.randomNormal([numUsers, embDim], 0, 0.05);
     const iInit = tf.randomNormal([numItems, embDim], 0, 0.05);
@@ -50,13 +90,37 @@ class TwoTowerModel {
       this.iW1=this.ib1=this.iW2=this.ib2=null;
     }
 
+    // optional user feature MLP: userFeatureDim -> featHiddenDim -> embDim
+    this.userFeat = null;
+    this.fW1=this.fb1=this.fW2=this.fb2=null;
+    if (this.opts.userFeatures && this.opts.userFeatureDim > 0){
+      const F = this.opts.userFeatureDim, H = this.opts.featHiddenDim;
+      this.userFeat = tf.tensor2d(this.opts.userFeatures, [numUsers, F]);
+      this.fW1 = tf.variable(tf.randomNormal([F, H], 0, 0.05));
+      this.fb1 = tf.variable(tf.zeros([H]));
+      this.fW2 = tf.variable(tf.randomNormal([H, embDim], 0, 0.05));
+      this.fb2 = tf.variable(tf.zeros([embDim]));
+    }
+
     this.optimizer = tf.train.adam(this.opts.learningRate);
   }
 
-  // gather user embeddings -> [batch, embDim], then optional MLP
-  userForward(userIdxTensor){
+  get hasUserFeatures(){ return this.userFeat !== null; }
+
+  // gather user embeddings (+ feature MLP) -> [batch, embDim], then optional MLP
+  //   coldStart  ignore the ID embedding and use side features only (users with
+  //              no training history); without features the ID row is all we have
+  //   idKeep     [batch,1] 0/1 mask applied to the ID embedding (ID dropout)
+  userForward(userIdxTensor, {coldStart=false, idKeep=null}={}){
     return tf.tidy(()=> {
-      let x = tf.gather(this.userEmbedding, userIdxTensor.flatten());
+      const idx = userIdxTensor.flatten();
+      let x = tf.gather(this.userEmbedding, idx);
+      if (this.userFeat){
+        if (coldStart) x = tf.zerosLike(x);
+        else if (idKeep) x = x.mul(idKeep);
+        const f = tf.gather(this.userFeat, idx).matMul(this.fW1).add(this.fb1).relu();
+        x = x.add(f.matMul(this.fW2).add(this.fb2));
+      }
       if (this.uW1){
         x = x.matMul(this.uW1).add(this.ub1).relu();
         x = x.matMul(this.uW2).add(this.ub2);
@@ -82,36 +146,124 @@ class TwoTowerModel {
     return tf.tidy(()=> tf.sum(tf.mul(uEmb, iEmb), -1)); // [B]
   }
 
+  uniformNegatives(n){
+    return tf.tidy(()=> tf.randomUniform([n], 0, this.numItems, 'int32').reshape([n,1]));
+  }
+
+  // For each row: with prob hardNegRatio pick a random item from the user's current
+  // top-K that is not a known positive, otherwise a uniform item.
+  mineHardNegatives(uIdx, iPosIdx){
+    const B = uIdx.length;
+    const K = Math.min(this.opts.hardNegK, this.numItems);
+    const topIdx = tf.tidy(()=>{
+      const U = this.userForward(tf.tensor2d(uIdx, [B,1], 'int32'));
+      const all = this.itemForward(tf.range(0, this.numItems, 1, 'int32').reshape([this.numItems,1]));
+      return tf.topk(tf.matMul(U, all, false, true), K).indices; // [B,K]
+    });
+    const rows = topIdx.arraySync();
+    topIdx.dispose();
+
+    const neg = new Int32Array(B);
+    for (let b=0; b<B; b++){
+      const seen = this.opts.userPositives?.get(uIdx[b]);
+      let pick = -1;
+      if (Math.random() < this.opts.hardNegRatio){
+        for (let tries=0; tries<K && pick<0; tries++){
+          const cand = rows[b][(Math.random()*K)|0];
+          if (cand !== iPosIdx[b] && !(seen && seen.has(cand))) pick = cand;
+        }
+      }
+      neg[b] = pick >= 0 ? pick : (Math.random()*this.numItems)|0;
+    }
+    return tf.tensor2d(neg, [B,1], 'int32');
+  }
+
+  // Additive logit mask for 'softmax-logq' and 'mixed': [B, B] in-batch columns, plus [B, M]
+  // uniform columns for 'mixed'. A column is pushed to −1e9 when it is not a true
+  // negative for the row: another row's positive that is the row's own positive or
+  // a known positive of its user, or a uniform draw that is any batch positive
+  // (already a column) or a known positive of the row's user.
+  falseNegativeMask(uIdx, iPosIdx, negT){
+    const B = uIdx.length;
+    const neg = negT ? negT.dataSync() : [];
+    const M = neg.length, W = B + M;
+    const batchPos = new Set(iPosIdx);
+    const mask = new Float32Array(B * W);
+    for (let b=0; b<B; b++){
+      const seen = this.opts.userPositives?.get(uIdx[b]);
+      for (let j=0; j<B; j++){
+        const it = iPosIdx[j];
+        if (j !== b && (it === iPosIdx[b] || (seen && seen.has(it)))) mask[b*W + j] = -1e9;
+      }
+      for (let m=0; m<M; m++){
+        const it = neg[m];
+        if (batchPos.has(it) || (seen && seen.has(it))) mask[b*W + B + m] = -1e9;
+      }
+    }
+    return tf.tensor2d(mask, [B, W]);
+  }
+
   // one step of training; returns scalar loss (number)
   async trainStep(uIdx, iPosIdx){
-    const uT = tf.tensor2d(uIdx, [uIdx.length,1], 'int32');
-    const pT = tf.tensor2d(iPosIdx, [iPosIdx.length,1], 'int32');
+    const B = uIdx.length;
+    const type = this.opts.lossType;
+    const uT = tf.tensor2d(uIdx, [B,1], 'int32');
+    const pT = tf.tensor2d(iPosIdx, [B,1], 'int32');
+    if ((type === 'softmax-logq' || type === 'mixed') && !this.logQ){
+      throw new Error(`lossType '${type}' needs opts.itemFreq`);
+    }
+
+    // negatives are sampled outside the gradient tape
+    let negT = null;
+    if (type === 'bpr') negT = this.uniformNegatives(B);
+    else if (type === 'bpr-hard') negT = this.mineHardNegatives(uIdx, iPosIdx);
+    else if (type === 'mixed') negT = this.uniformNegatives(this.opts.numUniformNeg);
+    // plain 'softmax' stays unmasked: it is the reference the corrected losses are compared against
+    const maskT = (type === 'softmax-logq' || type === 'mixed') ? this.falseNegativeMask(uIdx, iPosIdx, negT) : null;
+    const keepT = (this.userFeat && this.opts.idDropout > 0)
+      ? tf.tidy(()=> tf.randomUniform([B,1]).greaterEqual(this.opts.idDropout).toFloat())
+      : null;
 
     const lossFn = () => tf.tidy(()=>{
-      const U = this.userForward(uT);   // [B, D]
+      const U = this.userForward(uT, {idKeep: keepT});   // [B, D]
       const I = this.itemForward(pT);   // [B, D]
 
-      if (this.opts.lossType === 'bpr'){
-        // sample negatives uniformly (in-batch could be used too)
-        const negIdx = tf.randomUniform([iPosIdx.length], 0, this.numItems, 'int32').reshape([iPosIdx.length,1]);
-        const INeg = this.itemForward(negIdx);
+      if (type === 'bpr' || type === 'bpr-hard'){
+        const INeg = this.itemForward(negT);
         const sPos = this.score(U, I);     // [B]
         const sNeg = this.score(U, INeg);  // [B]
-        const l = tf.neg(tf.logSigmoid(tf.sub(sPos, sNeg))); // -log(σ(pos-neg))
+        // -log(σ(pos-neg)) = softplus(neg-pos); tf.logSigmoid's custom gradient breaks inside tidy
+        const l = tf.softplus(tf.sub(sNeg, sPos));
         return tf.mean(l);
-      } else {
-        // In-batch sampled softmax:
-        // logits = U @ I^T  (shape [B,B]); labels are diagonal
-        const logits = tf.matMul(U, I, false, true); // [B,B]
-        const labels = tf.eye(logits.shape[0]);      // [B,B] one-hot
-        const loss = tf.losses.softmaxCrossEntropy(labels, logits);
-        return loss.mean ? loss.mean() : tf.mean(loss);
       }
+
+      // In-batch sampled softmax:
+      // logits = U @ I^T  (shape [B,B]); labels are diagonal
+      let logits = tf.matMul(U, I, false, true); // [B,B]
+      if (type === 'softmax-logq' || type === 'mixed'){
+        // s_c(u, j) = s(u, j) − log(B·q_j): expected times j is drawn into this batch
+        logits = logits.sub(tf.gather(this.logQ, pT.flatten()).add(Math.log(B)).reshape([1, B]));
+      }
+      let labels = tf.eye(B);                    // [B,B] one-hot
+      if (type === 'mixed'){
+        // uniform columns: each item is drawn M / N times in expectation
+        const M = negT.shape[0];
+        const uniLogits = tf.matMul(U, this.itemForward(negT), false, true)
+          .sub(tf.scalar(Math.log(M / this.numItems)));       // [B,M]
+        logits = tf.concat([logits, uniLogits], 1);           // [B,B+M]
+        labels = tf.concat([labels, tf.zeros([B, M])], 1);
+      }
+      if (maskT) logits = logits.add(maskT);
+      const loss = tf.losses.softmaxCrossEntropy(labels, logits);
+      return loss.mean ? loss.mean() : tf.mean(loss);
     });
 
     const lossVal = this.optimizer.minimize(lossFn, true, this.trainableVariables());
     const val = (await lossVal.data())[0];
     lossVal.dispose(); uT.dispose(); pT.dispose();
+    if (negT) negT.dispose();
+    if (maskT) maskT.dispose();
+    if (keepT) keepT.dispose();
     return val;
   }
 
@@ -119,9 +271,41 @@ class TwoTowerModel {
     const vars = [this.userEmbedding, this.itemEmbedding];
     if (this.uW1) vars.push(this.uW1, this.ub1, this.uW2, this.ub2);
     if (this.iW1) vars.push(this.iW1, this.ib1, this.iW2, this.ib2);
+    if (this.fW1) vars.push(this.fW1, this.fb1, this.fW2, this.fb2);
     return vars;
   }
 
+  // weights by name for TF.js artifacts (embedding-bundle.js); user_features is data, not trained
+  getNamedWeights(){
+    const named = { user_embedding:this.userEmbedding, item_embedding:this.itemEmbedding };
+    if (this.uW1) Object.assign(named, { user_w1:this.uW1, user_b1:this.ub1, user_w2:this.uW2, user_b2:this.ub2 });
+    if (this.iW1) Object.assign(named, { item_w1:this.iW1, item_b1:this.ib1, item_w2:this.iW2, item_b2:this.ib2 });
+    if (this.fW1) Object.assign(named, { feat_w1:this.fW1, feat_b1:this.fb1, feat_w2:this.fW2, feat_b2:this.fb2,
+                                         user_features:this.userFeat });
+    return named;
+  }
+
+  // assign exported weights into a model built with the same config
+  setNamedWeights(tensors){
+    const named = this.getNamedWeights();
+    delete named.user_features; // passed to the constructor instead
+    for (const [name, v] of Object.entries(named)){
+      const t = tensors[name];
+      if (!t) throw new Error(`missing weight "${name}"`);
+      if (t.shape.join('x') !== v.shape.join('x')) throw new Error(`weight "${name}" is [${t.shape}], expected [${v.shape}]`);
+      v.assign(t);
+    }
+  }
+
+  getAllUserEmbeddings(){
+    // Float32Array numUsers*embDim of the user tower output
+    const allIdx = tf.range(0, this.numUsers, 1, 'int32').reshape([this.numUsers,1]);
+    const U = this.userForward(allIdx);
+    const flat = U.dataSync().slice();
+    U.dispose(); allIdx.dispose();
+    return flat;
+  }
+
   getAllItemEmbeddings(){
     // returns Float32Array length numItems*embDim of the *tower output* (after MLP if deep)
     const allIdx = tf.range(0, this.numItems, 1, 'int32').reshape([this.numItems,1]);
@@ -134,6 +318,8 @@ class TwoTowerModel {
   dispose(){
     const vars = this.trainableVariables();
     vars.forEach(v => v.dispose());
+    if (this.logQ) this.logQ.dispose();
+    if (this.userFeat) this.userFeat.dispose();
   }
 }
 
@@ -0,0 +1,372 @@
+// ann.js
+// Approximate nearest-neighbour retrieval over two-tower item vectors.
+//
+// HNSWIndex is a pure-JS Hierarchical Navigable Small World graph
+// (Malkov & Yashunin, 2018) answering maximum-inner-product queries, which is
+// what a dot-product two-tower needs. Item vectors are lifted to dim+1 with
+// sqrt(maxNorm² − ‖x‖²): every lifted item then has the same norm, so the item
+// with the largest q·x is also the nearest neighbour of [q, 0] on that sphere,
+// and the graph can be navigated with an ordinary distance.
+//
+// - new HNSWIndex({ M, efConstruction, efSearch, random })
+// - await index.build(vectors, n, dim, { onProgress })   (Float32Array n×dim)
+// - index.search(query, k, { ef, exclude })  -> [{ index, score }] by q·x desc
+// - exactTopK(vectors, n, dim, query, k, exclude)  -> brute-force reference
+// - benchmarkAnn(index, vectors, queries, k, efValues) -> latency + recall@K
+//
+// The same code is used by week4updated, midterm3 and Mid_Term.
+
+// Binary min-heap of (priority, value) pairs.
+class AnnMinHeap {
+    constructor() {
+        this.priorities = [];
+        this.values = [];
+    }
+
+    get size() {
+        return this.priorities.length;
+    }
+
+    peekPriority() {
+        return this.priorities[0];
+    }
+
+    push(priority, value) {
+        const p = this.priorities;
+        const v = this.values;
+        let i = p.length;
+        p.push(priority);
+        v.push(value);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (p[parent] <= priority) break;
+            p[i] = p[parent];
+            v[i] = v[parent];
+            i = parent;
+        }
+        p[i] = priority;
+        v[i] = value;
+    }
+
+    pop() {
+        const p = this.priorities;
+        const v = this.values;
+        const top = v[0];
+        const lastP = p.pop();
+        const lastV = v.pop();
+        const n = p.length;
+        if (n > 0) {
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                if (l >= n) break;
+                const r = l + 1;
+                const c = r < n && p[r] < p[l] ? r : l;
+                if (p[c] >= lastP) break;
+                p[i] = p[c];
+                v[i] = v[c];
+                i = c;
+            }
+            p[i] = lastP;
+            v[i] = lastV;
+        }
+        return top;
+    }
+}
+
+class HNSWIndex {
+    /**
+     * @param {Object} options
+     *   M               – links per node on upper layers (2·M on layer 0)
+     *   efConstruction  – beam width while inserting
+     *   efSearch        – default beam width for queries
+     *   random          – () => [0, 1) for level assignment; pass the page's seeded
+     *                     generator so rebuilds are reproducible (Math.random otherwise)
+     */
+    constructor(options = {}) {
+        const { M = 16, efConstruction = 100, efSearch = 64, random = Math.random } = options;
+        this.M = M;
+        this.maxM0 = 2 * M;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.levelMult = 1 / Math.log(M);
+
+        this.rand = random;
+
+        this.size = 0;
+        this.dim = 0;
+        this.data = null; // lifted vectors, Float32Array size × (dim + 1)
+        this.links = []; // links[node][level] -> array of node ids
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.visited = null;
+        this.visitTag = 0;
+        this.buildMs = 0;
+    }
+
+    /**
+     * @param {Float32Array} vectors  row-major [n, dim]
+     * @param {Object} options { onProgress(done, total), yieldEvery }
+     */
+    async build(vectors, n, dim, options = {}) {
+        const { onProgress = null, yieldEvery = 500 } = options;
+        const t0 = performance.now();
+        const D = dim + 1;
+
+        let maxNorm2 = 0;
+        for (let i = 0; i < n; i++) {
+            let s = 0;
+            for (let d = 0; d < dim; d++) s += vectors[i * dim + d] * vectors[i * dim + d];
+            if (s > maxNorm2) maxNorm2 = s;
+        }
+
+        this.size = n;
+        this.dim = dim;
+        this.data = new Float32Array(n * D);
+        for (let i = 0; i < n; i++) {
+            let s = 0;
+            for (let d = 0; d < dim; d++) {
+                const x = vectors[i * dim + d];
+                this.data[i * D + d] = x;
+                s += x * x;
+            }
+            this.data[i * D + dim] = Math.sqrt(Math.max(0, maxNorm2 - s));
+        }
+
+        this.links = new Array(n);
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.visited = new Uint32Array(n);
+        this.visitTag = 0;
+
+        for (let i = 0; i < n; i++) {
+            this._insert(i);
+            if ((i + 1) % yieldEvery === 0 && i + 1 < n) {
+                if (onProgress) onProgress(i + 1, n);
+                // let browser update UI
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+        }
+        if (onProgress) onProgress(n, n);
+
+        this.buildMs = performance.now() - t0;
+        return this;
+    }
+
+    /**
+     * Top-K items by inner product with `query`.
+     * @param {Float32Array|number[]} query  length dim
+     * @param {number} k
+     * @param {Object} options { ef, exclude: Set of item indices to skip }
+     * @returns {Array<{index:number, score:number}>}
+     */
+    search(query, k, options = {}) {
+        if (this.entryPoint < 0) return [];
+        const { exclude = null } = options;
+        const D = this.dim + 1;
+        const q = new Float32Array(D);
+        for (let d = 0; d < this.dim; d++) q[d] = query[d];
+
+        let entry = [this.entryPoint];
+        for (let level = this.maxLevel; level > 0; level--) {
+            entry = [this._searchLayer(q, entry, 1, level)[0].id];
+        }
+
+        // Widen the beam so that excluded (already seen) items cannot starve the result.
+        const ef = Math.max(options.ef || this.efSearch, k) + (exclude ? exclude.size : 0);
+        const found = this._searchLayer(q, entry, ef, 0);
+
+        const out = [];
+        for (let i = 0; i < found.length && out.length < k; i++) {
+            if (exclude && exclude.has(found[i].id)) continue;
+            out.push({ index: found[i].id, score: -found[i].dist });
+        }
+        return out;
+    }
+
+    // ---------------------------------------------------------------------
+    // Internals
+    // ---------------------------------------------------------------------
+
+    // Distance = negative dot product of lifted vectors (q is a full lifted row).
+    _dist(q, node) {
+        const D = this.dim + 1;
+        const off = node * D;
+        let s = 0;
+        for (let d = 0; d < D; d++) s += q[d] * this.data[off + d];
+        return -s;
+    }
+
+    _nodeVector(node) {
+        const D = this.dim + 1;
+        return this.data.subarray(node * D, (node + 1) * D);
+    }
+
+    // Greedy beam search on one layer; returns [{ id, dist }] ascending by dist.
+    _searchLayer(q, entryIds, ef, level) {
+        this.visitTag += 1;
+        const tag = this.visitTag;
+        const candidates = new AnnMinHeap(); // closest first
+        const results = new AnnMinHeap(); // priority = -dist, so furthest first
+
+        entryIds.forEach((id) => {
+            const d = this._dist(q, id);
+            this.visited[id] = tag;
+            candidates.push(d, id);
+            results.push(-d, id);
+        });
+
+        while (candidates.size) {
+            const d = candidates.peekPriority();
+            if (d > -results.peekPriority()) break;
+            const c = candidates.pop();
+            const neighbors = this.links[c][level];
+            for (let j = 0; j < neighbors.length; j++) {
+                const e = neighbors[j];
+                if (this.visited[e] === tag) continue;
+                this.visited[e] = tag;
+                const de = this._dist(q, e);
+                if (results.size < ef || de < -results.peekPriority()) {
+                    candidates.push(de, e);
+                    results.push(-de, e);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        const out = [];
+        while (results.size) {
+            const dist = -results.peekPriority();
+            out.push({ id: results.pop(), dist });
+        }
+        return out.reverse();
+    }
+
+    // Neighbour-selection heuristic: prefer candidates that are closer to the
+    // base than to anything already selected, then top up with the rest.
+    _selectNeighbors(candidates, m) {
+        const selected = [];
+        const pruned = [];
+        for (let i = 0; i < candidates.length && selected.length < m; i++) {
+            const c = candidates[i];
+            const cv = this._nodeVector(c.id);
+            let keep = true;
+            for (let j = 0; j < selected.length; j++) {
+                if (this._dist(cv, selected[j].id) < c.dist) {
+                    keep = false;
+                    break;
+                }
+            }
+            (keep ? selected : pruned).push(c);
+        }
+        for (let i = 0; i < pruned.length && selected.length < m; i++) selected.push(pruned[i]);
+        return selected;
+    }
+
+    _insert(id) {
+        const level = Math.floor(-Math.log(1 - this.rand()) * this.levelMult);
+        this.links[id] = Array.from({ length: level + 1 }, () => []);
+
+        if (this.entryPoint < 0) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        const q = this._nodeVector(id);
+        let entry = [this.entryPoint];
+        for (let l = this.maxLevel; l > level; l--) {
+            entry = [this._searchLayer(q, entry, 1, l)[0].id];
+        }
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const found = this._searchLayer(q, entry, this.efConstruction, l);
+            const maxConn = l === 0 ? this.maxM0 : this.M;
+            const neighbors = this._selectNeighbors(found, this.M);
+            this.links[id][l] = neighbors.map((c) => c.id);
+
+            neighbors.forEach((nb) => {
+                const list = this.links[nb.id][l];
+                list.push(id);
+                if (list.length > maxConn) {
+                    const nv = this._nodeVector(nb.id);
+                    const ranked = list
+                        .map((x) => ({ id: x, dist: this._dist(nv, x) }))
+                        .sort((a, b) => a.dist - b.dist);
+                    this.links[nb.id][l] = this._selectNeighbors(ranked, maxConn).map((c) => c.id);
+                }
+            });
+            entry = found.map((c) => c.id);
+        }
+
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = id;
+        }
+    }
+}
+
+// ---------------------------------------------------------------------
+// Exact reference + benchmark
+// ---------------------------------------------------------------------
+
+/**
+ * Brute-force top-K by inner product; same output shape as HNSWIndex.search.
+ */
+function exactTopK(vectors, n, dim, query, k, exclude = null) {
+    const idx = [];
+    const val = [];
+    for (let i = 0; i < n; i++) {
+        if (exclude && exclude.has(i)) continue;
+        let s = 0;
+        const off = i * dim;
+        for (let d = 0; d < dim; d++) s += vectors[off + d] * query[d];
+        if (idx.length === k && s <= val[k - 1]) continue;
+        let pos = idx.length === k ? k - 1 : idx.length;
+        while (pos > 0 && val[pos - 1] < s) {
+            idx[pos] = idx[pos - 1];
+            val[pos] = val[pos - 1];
+            pos -= 1;
+        }
+        idx[pos] = i;
+        val[pos] = s;
+    }
+    return idx.map((index, r) => ({ index, score: val[r] }));
+}
+
+/**
+ * Latency and recall@K of the index against exact search.
+ * @param {HNSWIndex} index
+ * @param {Float32Array} vectors  the [n, dim] matrix the index was built from
+ * @param {Array<{vector:Float32Array, exclude:Set|null}>} queries
+ * @param {number} k
+ * @param {number[]} efValues  beam widths to sweep
+ * @returns {{ exactMs:number, rows:Array<{ef, ms, recall, speedup}> }}
+ */
+function benchmarkAnn(index, vectors, queries, k, efValues) {
+    const { size: n, dim } = index;
+    const truth = [];
+    let t0 = performance.now();
+    queries.forEach((q) => {
+        truth.push(new Set(exactTopK(vectors, n, dim, q.vector, k, q.exclude).map((r) => r.index)));
+    });
+    const exactMs = (performance.now() - t0) / Math.max(1, queries.length);
+
+    const rows = efValues.map((ef) => {
+        let hits = 0;
+        let total = 0;
+        t0 = performance.now();
+        const results = queries.map((q) => index.search(q.vector, k, { ef, exclude: q.exclude }));
+        const ms = (performance.now() - t0) / Math.max(1, queries.length);
+        results.forEach((res, qi) => {
+            res.forEach((r) => {
+                if (truth[qi].has(r.index)) hits += 1;
+            });
+            total += truth[qi].size;
+        });
+        return { ef, ms, recall: total ? hits / total : 0, speedup: ms > 0 ? exactMs / ms : 0 };
+    });
+
+    return { exactMs, rows };
+}
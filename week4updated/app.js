@@ -10,6 +10,8 @@ class MovieLensApp {
         // Train / eval split
         this.trainInteractions = [];
         this.testItemsByUser = new Map();
+        this.trainItemsByUser = new Map(); // userId -> Set(itemId), masked at eval time
+        this.trainUsersByItem = new Map(); // itemId -> Set(userId), for co-raters in the graph
 
         // ID <-> index mappings
         this.userMap = new Map();
@@ -21,16 +23,22 @@ class MovieLensApp {
         this.userTopRated = new Map();
         this.qualifiedUsers = [];
 
-        // For simple title-based retrieval (text query)
-        this.titleTokensByItem = new Map();
+        // Stage-1 lexical retrieval for the text query (see query.js)
+        this.queryIndex = null;
 
         // Model & training state
         this.model = null;
         this.lossHistory = [];
         this.isTraining = false;
+        this.isPaused = false;
+        this.trainingControl = null; // { pause, resume, cancel } of the running job
+        this.checkpoint = null; // last finished epoch: { epoch, weights, optimizerState, lossCount }
 
-        // Embedding viz state
-        this.embeddingPoints = [];
+        // Interactive item-embedding view (embedding-explorer.js)
+        this.explorer = null;
+
+        // Last "Evaluate All Users" result, shipped with exported bundles
+        this.lastEvaluation = null;
 
         this.config = {
             maxInteractions: 80000,
@@ -42,7 +50,21 @@ class MovieLensApp {
             minRatingsForQualifiedUser: 20,
             numTestPerUser: 3,
             minRatingForPositive: 4.0,
-            metricsK: 5
+            metricsK: 5,
+            evalK: 10,
+            randomSeed: 42,
+            queryAlpha: 0.4, // text (BM25) weight
+            queryBeta: 0.6, // two-tower weight
+            queryCandidates: 200,
+            graphRatedItems: 10,
+            graphCoRaters: 6,
+            graphRecommended: 8,
+            graphNeighbors: 10,
+            annM: 16,
+            annEfConstruction: 100,
+            annEfSearch: 64,
+            annBenchmarkQueries: 200,
+            annEfSweep: [16, 32, 64, 128]
         };
 
         this.initializeUI();
@@ -57,17 +79,56 @@ class MovieLensApp {
         const trainBtn = document.getElementById('train');
         const testBtn = document.getElementById('test');
         const queryBtn = document.getElementById('querySearch');
+        const evalBtn = document.getElementById('evaluate');
+        const annBtn = document.getElementById('annBenchmark');
+        const pauseBtn = document.getElementById('pauseTraining');
+        const cancelBtn = document.getElementById('cancelTraining');
+        const resumeBtn = document.getElementById('resumeTraining');
+        const exportModelBtn = document.getElementById('exportModel');
+        const exportJsonBtn = document.getElementById('exportEmbeddingsJson');
+        const exportBinBtn = document.getElementById('exportEmbeddingsBin');
+        const importModelInput = document.getElementById('importModel');
         const embeddingCanvas = document.getElementById('embeddingChart');
+        const projectionSelect = document.getElementById('projectionMethod');
+        const colorSelect = document.getElementById('embeddingColor');
+        const searchInput = document.getElementById('embeddingSearch');
+        const resetBtn = document.getElementById('embeddingReset');
 
         if (loadBtn) loadBtn.addEventListener('click', () => this.loadData());
         if (trainBtn) trainBtn.addEventListener('click', () => this.train());
+        if (pauseBtn) pauseBtn.addEventListener('click', () => this.togglePause());
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.cancelTraining());
+        if (resumeBtn) resumeBtn.addEventListener('click', () => this.train(true));
         if (testBtn) testBtn.addEventListener('click', () => this.test());
         if (queryBtn) queryBtn.addEventListener('click', () => this.handleQueryRecommend());
+        if (evalBtn) evalBtn.addEventListener('click', () => this.evaluateAll());
+        if (annBtn) annBtn.addEventListener('click', () => this.runAnnBenchmark());
+        if (exportModelBtn) exportModelBtn.addEventListener('click', () => this.exportModel());
+        if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => this.exportEmbeddings('json'));
+        if (exportBinBtn) exportBinBtn.addEventListener('click', () => this.exportEmbeddings('binary'));
+        if (importModelInput) {
+            importModelInput.addEventListener('change', async () => {
+                await this.importModel(importModelInput.files);
+                importModelInput.value = '';
+            });
+        }
         if (embeddingCanvas) {
-            embeddingCanvas.addEventListener('mousemove', (e) =>
-                this.handleEmbeddingHover(e)
-            );
+            this.explorer = new EmbeddingExplorer(embeddingCanvas, {
+                onSelectionChange: (points) => this.displayEmbeddingSelection(points),
+                onStatus: (message) => {
+                    const el = document.getElementById('embeddingStatus');
+                    if (el) el.textContent = message;
+                }
+            });
         }
+        if (projectionSelect) projectionSelect.addEventListener('change', () => this.projectEmbeddings());
+        if (colorSelect) {
+            colorSelect.addEventListener('change', () => {
+                if (this.explorer) this.explorer.setColorMode(colorSelect.value);
+            });
+        }
+        if (searchInput) searchInput.addEventListener('input', () => this.searchEmbeddings(searchInput.value));
+        if (resetBtn) resetBtn.addEventListener('click', () => this.explorer && this.explorer.resetView());
 
         this.updateStatus('Click "Load Data" to start.');
     }
@@ -86,8 +147,12 @@ class MovieLensApp {
 
         const trainBtn = document.getElementById('train');
         const testBtn = document.getElementById('test');
+        const evalBtn = document.getElementById('evaluate');
         if (trainBtn) trainBtn.disabled = true;
         if (testBtn) testBtn.disabled = true;
+        if (evalBtn) evalBtn.disabled = true;
+        const annBtn = document.getElementById('annBenchmark');
+        if (annBtn) annBtn.disabled = true;
 
         this.updateStatus('Loading MovieLens 100K from ./data ...');
 
@@ -96,6 +161,8 @@ class MovieLensApp {
         this.items.clear();
         this.trainInteractions = [];
         this.testItemsByUser.clear();
+        this.trainItemsByUser.clear();
+        this.trainUsersByItem.clear();
         this.userMap.clear();
         this.itemMap.clear();
         this.reverseUserMap.clear();
@@ -103,20 +170,26 @@ class MovieLensApp {
         this.userTopRated.clear();
         this.qualifiedUsers = [];
         this.lossHistory = [];
-        this.embeddingPoints = [];
-        this.titleTokensByItem.clear();
+        this.queryIndex = null;
+        this.lastEvaluation = null;
+        if (this.model) this.model.dispose();
         this.model = null;
+        this.checkpoint = null;
+        this.setTrainingButtons(false);
         this.updateLossChart();
 
-        const embeddingCanvas = document.getElementById('embeddingChart');
-        if (embeddingCanvas) {
-            const ctx = embeddingCanvas.getContext('2d');
-            if (ctx) ctx.clearRect(0, 0, embeddingCanvas.width, embeddingCanvas.height);
-        }
+        if (this.explorer) this.explorer.setData(null, 0, 0, []);
         const resultsDiv = document.getElementById('results');
         if (resultsDiv) resultsDiv.innerHTML = '';
         const queryResultsDiv = document.getElementById('queryResults');
         if (queryResultsDiv) queryResultsDiv.innerHTML = '';
+        const evalResultsDiv = document.getElementById('evalResults');
+        if (evalResultsDiv) evalResultsDiv.innerHTML = '';
+        const graphDetailsDiv = document.getElementById('graphDetails');
+        if (graphDetailsDiv) graphDetailsDiv.innerHTML = '';
+        const annResultsDiv = document.getElementById('annResults');
+        if (annResultsDiv) annResultsDiv.innerHTML = '';
+        if (window.graphRenderer) window.graphRenderer.renderGraph({ nodes: [], edges: [] });
 
         try {
             const [interResp, itemResp] = await Promise.all([
@@ -168,11 +241,14 @@ class MovieLensApp {
                 const yearMatch = rawTitle.match(/\((\d{4})\)\s*$/);
                 const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
                 const cleanTitle = rawTitle.replace(/\(\d{4}\)\s*$/, '').trim();
+                const genres = GENRE_NAMES.filter((_, g) => parts[5 + g] === '1');
 
-                this.items.set(itemId, { title: cleanTitle, year: year || null });
-                this.titleTokensByItem.set(itemId, this.tokenizeTitle(cleanTitle));
+                this.items.set(itemId, { title: cleanTitle, year: year || null, genres });
             });
 
+            this.queryIndex = new BM25Index();
+            this.items.forEach((meta, itemId) => this.queryIndex.add(itemId, movieDocFields(meta)));
+
             this.createMappingsAndSplit();
             this.findQualifiedUsers();
 
@@ -182,7 +258,7 @@ class MovieLensApp {
                 `${this.qualifiedUsers.length} users have at least ${this.config.minRatingsForQualifiedUser} ratings.`;
             this.updateStatus(summary);
 
-            if (trainBtn) trainBtn.disabled = false;
+            this.setTrainingButtons(false);
         } catch (err) {
             console.error(err);
             this.updateStatus(
@@ -192,15 +268,6 @@ class MovieLensApp {
         }
     }
 
-    tokenizeTitle(title) {
-        const text = title.toLowerCase();
-        const cleaned = text.replace(/[^a-z0-9\s]/g, ' ');
-        return cleaned
-            .split(/\s+/)
-            .map((t) => t.trim())
-            .filter((t) => t.length > 1);
-    }
-
     createMappingsAndSplit() {
         const userSet = new Set();
         const itemSet = new Set();
@@ -231,6 +298,8 @@ class MovieLensApp {
 
         this.trainInteractions = [];
         this.testItemsByUser.clear();
+        this.trainItemsByUser.clear();
+        this.trainUsersByItem.clear();
         this.userTopRated.clear();
 
         const minRating = this.config.minRatingForPositive;
@@ -247,9 +316,15 @@ class MovieLensApp {
             const testIds = new Set(testSlice.map((i) => i.itemId));
             this.testItemsByUser.set(userId, Array.from(testIds));
 
+            const trainIds = new Set();
             byTime.forEach((i) => {
-                if (!testIds.has(i.itemId)) this.trainInteractions.push(i);
+                if (testIds.has(i.itemId)) return;
+                this.trainInteractions.push(i);
+                trainIds.add(i.itemId);
+                if (!this.trainUsersByItem.has(i.itemId)) this.trainUsersByItem.set(i.itemId, new Set());
+                this.trainUsersByItem.get(i.itemId).add(userId);
             });
+            this.trainItemsByUser.set(userId, trainIds);
 
             const topSorted = list
                 .slice()
@@ -270,85 +345,291 @@ class MovieLensApp {
     // Training
     // ---------------------------------------------------------------------
 
-    async train() {
+    async train(resume = false) {
         if (this.isTraining) return;
         if (!this.trainInteractions.length) {
             this.updateStatus('No training interactions. Load data first.');
             return;
         }
+        const checkpoint = resume ? this.checkpoint : null;
+        if (resume && !checkpoint) {
+            this.updateStatus('No checkpoint to resume from – click "Train" to start a new run.');
+            return;
+        }
 
         const trainBtn = document.getElementById('train');
-        const testBtn = document.getElementById('test');
         if (trainBtn) trainBtn.disabled = true;
-        if (testBtn) testBtn.disabled = true;
+
+        // Drop the current model: it is rebuilt from the worker's checkpoints.
+        if (this.model) this.model.dispose();
+        this.model = null;
+        this.lastEvaluation = null;
 
         this.isTraining = true;
-        this.lossHistory = [];
+        this.isPaused = false;
+        this.setTrainingButtons(true);
+        if (checkpoint) {
+            this.lossHistory = this.lossHistory.slice(0, checkpoint.lossCount);
+        } else {
+            this.lossHistory = [];
+            this.checkpoint = null;
+        }
         this.updateLossChart();
-        this.updateStatus('Initializing Two-Tower model & preparing training tensors...');
 
-        this.model = new TwoTowerModel(
-            this.userMap.size,
-            this.itemMap.size,
-            this.config.embeddingDim,
-            {
-                learningRate: this.config.learningRate,
-                lossType: this.config.lossType
-            }
-        );
-
-        const userIndices = this.trainInteractions.map((i) => this.userMap.get(i.userId));
-        const itemIndices = this.trainInteractions.map((i) => this.itemMap.get(i.itemId));
+        const userIndices = Int32Array.from(this.trainInteractions, (i) => this.userMap.get(i.userId));
+        const itemIndices = Int32Array.from(this.trainInteractions, (i) => this.itemMap.get(i.itemId));
         const numBatches = Math.ceil(userIndices.length / this.config.batchSize);
+        const startEpoch = checkpoint ? checkpoint.epoch + 1 : 0;
 
         this.updateStatus(
-            `Training with ${userIndices.length.toLocaleString()} interactions, ` +
+            `${checkpoint ? `Resuming from epoch ${startEpoch + 1}` : 'Training'} with ` +
+                `${userIndices.length.toLocaleString()} interactions, ` +
                 `${numBatches} batches/epoch, ${this.config.epochs} epochs...`
         );
 
-        for (let epoch = 0; epoch < this.config.epochs; epoch++) {
-            let epochLoss = 0;
+        const outcome = await this.runTrainingJob(userIndices, itemIndices, checkpoint);
 
-            for (let batch = 0; batch < numBatches; batch++) {
-                const start = batch * this.config.batchSize;
-                const end = Math.min(start + this.config.batchSize, userIndices.length);
-                const batchUsers = userIndices.slice(start, end);
-                const batchItems = itemIndices.slice(start, end);
+        this.isTraining = false;
+        this.isPaused = false;
+        this.trainingControl = null;
 
-                const loss = this.model.trainStep(batchUsers, batchItems);
-                epochLoss += loss;
-                this.lossHistory.push(loss);
-                this.updateLossChart();
+        if (this.checkpoint) this.restoreModelFromCheckpoint();
+        this.setTrainingButtons(false);
 
-                if (batch % 10 === 0 || batch === numBatches - 1) {
-                    this.updateStatus(
-                        `Epoch ${epoch + 1}/${this.config.epochs} – ` +
-                            `Batch ${batch + 1}/${numBatches}, Loss: ${loss.toFixed(4)}`
-                    );
+        if (outcome.type === 'error') {
+            this.updateStatus(`Error during training: ${outcome.message}`);
+            return;
+        }
+        if (!this.model) {
+            this.updateStatus('Training cancelled before the first epoch finished – nothing to keep.');
+            return;
+        }
+
+        const epochsDone = this.checkpoint.epoch + 1;
+        this.updateStatus(
+            `${outcome.type === 'done' ? 'Training completed ✅' : `Cancelled – keeping epoch ${epochsDone}`}` +
+                ' – updating the embedding explorer...'
+        );
+        this.visualizeEmbeddings();
+        await this.buildAnnIndex();
+        if (outcome.type === 'done') {
+            this.updateStatus(
+                'Training completed ✅ – click "Test" for one user, "Evaluate All Users" for corpus metrics, ' +
+                    'or run a RAG text query.'
+            );
+        } else {
+            this.updateStatus(
+                `Training cancelled after ${epochsDone}/${this.config.epochs} epochs. ` +
+                    'The checkpointed model can be tested now; "Resume" continues the run.'
+            );
+        }
+    }
+
+    /**
+     * Run the epoch loop in train-worker.js, falling back to the main thread
+     * when workers are unavailable (e.g. index.html opened from disk).
+     * Resolves with { type: 'done' | 'cancelled' | 'error', message? }.
+     */
+    runTrainingJob(userIndices, itemIndices, checkpoint) {
+        const handlers = {
+            onBatch: (p) => this.handleTrainingBatch(p),
+            onCheckpoint: (c) => this.handleTrainingCheckpoint(c)
+        };
+
+        let worker = null;
+        try {
+            if (typeof Worker !== 'undefined') worker = new Worker('train-worker.js');
+        } catch (err) {
+            console.warn('Training worker unavailable, training on the main thread.', err);
+            worker = null;
+        }
+        if (!worker) return this.runTrainingOnMainThread(userIndices, itemIndices, checkpoint, handlers);
+
+        return new Promise((resolve) => {
+            let started = false;
+            const finish = (result) => {
+                worker.terminate();
+                resolve(result);
+            };
+
+            this.trainingControl = {
+                pause: () => worker.postMessage({ type: 'pause' }),
+                resume: () => worker.postMessage({ type: 'resume' }),
+                cancel: () => worker.postMessage({ type: 'cancel' })
+            };
+
+            worker.onmessage = (event) => {
+                const msg = event.data;
+                started = true;
+                if (msg.type === 'batch') handlers.onBatch(msg);
+                else if (msg.type === 'checkpoint') handlers.onCheckpoint(msg);
+                else if (msg.type === 'done' || msg.type === 'cancelled') finish({ type: msg.type });
+                else if (msg.type === 'error') finish({ type: 'error', message: msg.message });
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                if (started) {
+                    resolve({ type: 'error', message: event.message || 'worker failed' });
+                    return;
                 }
+                // Worker script could not load – same job on the main thread.
+                console.warn('Training worker failed to start, training on the main thread.', event.message);
+                resolve(this.runTrainingOnMainThread(userIndices, itemIndices, checkpoint, handlers));
+            };
 
-                // let browser update UI
-                // eslint-disable-next-line no-await-in-loop
-                await new Promise((resolve) => setTimeout(resolve, 0));
+            worker.postMessage({
+                type: 'start',
+                numUsers: this.userMap.size,
+                numItems: this.itemMap.size,
+                config: this.trainingConfig(),
+                userIndices,
+                itemIndices,
+                checkpoint
+            });
+        });
+    }
+
+    async runTrainingOnMainThread(userIndices, itemIndices, checkpoint, handlers) {
+        const config = this.trainingConfig();
+        let cancelled = false;
+        let paused = false;
+        let resumeWaiter = null;
+        this.trainingControl = {
+            pause: () => {
+                paused = true;
+            },
+            resume: () => {
+                paused = false;
+                if (resumeWaiter) resumeWaiter();
+                resumeWaiter = null;
+            },
+            cancel: () => {
+                cancelled = true;
+                this.trainingControl.resume();
             }
+        };
+
+        const model = new TwoTowerModel(this.userMap.size, this.itemMap.size, config.embeddingDim, {
+            learningRate: config.learningRate,
+            lossType: config.lossType
+        });
+        try {
+            if (checkpoint) {
+                model.setWeights(checkpoint.weights);
+                await model.setOptimizerState(checkpoint.optimizerState);
+            }
+            const result = await runTwoTowerTraining(model, userIndices, itemIndices, config, {
+                startEpoch: checkpoint ? checkpoint.epoch + 1 : 0,
+                shouldStop: () => cancelled,
+                waitIfPaused: () =>
+                    paused
+                        ? new Promise((resolve) => {
+                              resumeWaiter = resolve;
+                          })
+                        : Promise.resolve(),
+                onBatch: handlers.onBatch,
+                onEpoch: async ({ epoch, meanLoss }) => {
+                    handlers.onCheckpoint({
+                        epoch,
+                        meanLoss,
+                        weights: model.getWeights(),
+                        optimizerState: await model.getOptimizerState()
+                    });
+                }
+            });
+            return { type: result.completed ? 'done' : 'cancelled' };
+        } catch (err) {
+            console.error(err);
+            return { type: 'error', message: err.message };
+        } finally {
+            model.dispose();
+        }
+    }
+
+    trainingConfig() {
+        const { embeddingDim, learningRate, lossType, batchSize, epochs } = this.config;
+        return { embeddingDim, learningRate, lossType, batchSize, epochs };
+    }
 
-            epochLoss /= numBatches;
+    handleTrainingBatch({ epoch, batch, numBatches, loss }) {
+        this.lossHistory.push(loss);
+        this.updateLossChart();
+        if (!this.isPaused && (batch % 10 === 0 || batch === numBatches - 1)) {
             this.updateStatus(
-                `Epoch ${epoch + 1}/${this.config.epochs} finished. Mean loss: ${epochLoss.toFixed(4)}`
+                `Epoch ${epoch + 1}/${this.config.epochs} – ` +
+                    `Batch ${batch + 1}/${numBatches}, Loss: ${loss.toFixed(4)}`
             );
         }
+    }
 
-        this.isTraining = false;
-        if (trainBtn) trainBtn.disabled = false;
-        if (testBtn) testBtn.disabled = false;
-
-        this.updateStatus('Training completed ✅ – computing embedding PCA projection...');
-        await this.visualizeEmbeddings();
+    handleTrainingCheckpoint({ epoch, meanLoss, weights, optimizerState }) {
+        this.checkpoint = { epoch, weights, optimizerState, lossCount: this.lossHistory.length };
         this.updateStatus(
-            'Training completed ✅ – click "Test" to see recommendations or run a RAG text query.'
+            `Epoch ${epoch + 1}/${this.config.epochs} finished. Mean loss: ${meanLoss.toFixed(4)} ` +
+                '(checkpoint saved)'
         );
     }
 
+    restoreModelFromCheckpoint() {
+        if (this.model) this.model.dispose();
+        this.model = new TwoTowerModel(this.userMap.size, this.itemMap.size, this.config.embeddingDim, {
+            learningRate: this.config.learningRate,
+            lossType: this.config.lossType
+        });
+        this.model.setWeights(this.checkpoint.weights);
+    }
+
+    togglePause() {
+        if (!this.isTraining || !this.trainingControl) return;
+        const pauseBtn = document.getElementById('pauseTraining');
+        if (this.isPaused) {
+            this.isPaused = false;
+            this.trainingControl.resume();
+            if (pauseBtn) pauseBtn.textContent = 'Pause';
+            this.updateStatus('Training continued.');
+        } else {
+            this.isPaused = true;
+            this.trainingControl.pause();
+            if (pauseBtn) pauseBtn.textContent = 'Continue';
+            this.updateStatus('Training paused – click "Continue" to go on or "Cancel" to stop.');
+        }
+    }
+
+    cancelTraining() {
+        if (!this.isTraining || !this.trainingControl) return;
+        this.trainingControl.cancel();
+        this.updateStatus('Cancelling – the last finished epoch is kept as a checkpoint...');
+    }
+
+    setTrainingButtons(running) {
+        const canUseModel = !running && this.model != null;
+        const canResume =
+            !running && this.checkpoint != null && this.checkpoint.epoch < this.config.epochs - 1;
+        const state = {
+            train: running || !this.trainInteractions.length,
+            test: !canUseModel,
+            evaluate: !canUseModel,
+            pauseTraining: !running,
+            cancelTraining: !running,
+            resumeTraining: !canResume,
+            exportModel: !canUseModel,
+            exportEmbeddingsJson: !canUseModel,
+            exportEmbeddingsBin: !canUseModel,
+            importModel: running || !this.itemMap.size
+        };
+        Object.keys(state).forEach((id) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = state[id];
+        });
+        const pauseBtn = document.getElementById('pauseTraining');
+        if (pauseBtn) pauseBtn.textContent = 'Pause';
+        if (running) {
+            const annBtn = document.getElementById('annBenchmark');
+            if (annBtn) annBtn.disabled = true;
+        }
+    }
+
     updateLossChart() {
         const canvas = document.getElementById('lossChart');
         if (!canvas) return;
@@ -404,198 +685,232 @@ class MovieLensApp {
     }
 
     // ---------------------------------------------------------------------
-    // Embedding visualization (PCA)
+    // Embedding explorer (PCA / t-SNE of the item tower)
     // ---------------------------------------------------------------------
 
-    async visualizeEmbeddings() {
-        if (!this.model) return;
-        const canvas = document.getElementById('embeddingChart');
-        if (!canvas) return;
-        const ctx = canvas.getContext('2d');
-        if (!ctx) return;
-
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        this.embeddingPoints = [];
+    // Hand the item tower outputs to the explorer and start a projection.
+    // The layout is computed in a worker, so this does not wait for t-SNE.
+    visualizeEmbeddings() {
+        if (!this.model || !this.explorer) return;
+
+        const numItems = this.itemMap.size;
+        const popularity = new Map();
+        this.trainInteractions.forEach((i) => popularity.set(i.itemId, (popularity.get(i.itemId) || 0) + 1));
+
+        const points = [];
+        for (let idx = 0; idx < numItems; idx++) {
+            const itemId = this.reverseItemMap.get(idx);
+            const meta = this.items.get(itemId) || { title: `Item ${itemId}`, year: null, genres: [] };
+            points.push({
+                itemId,
+                title: meta.title,
+                year: meta.year,
+                genres: meta.genres,
+                popularity: popularity.get(itemId) || 0
+            });
+        }
 
-        try {
-            const embTensor = this.model.getItemEmbeddings();
-            const allEmb = embTensor.arraySync();
-            const totalItems = allEmb.length;
-            if (!totalItems) return;
-
-            const sampleSize = Math.min(500, totalItems);
-            const sampleIdx = [];
-            for (let i = 0; i < sampleSize; i++) {
-                sampleIdx.push(Math.floor((i * totalItems) / sampleSize));
-            }
-            const sampleEmb = sampleIdx.map((i) => allEmb[i]);
-            const projected = this.computePCA(sampleEmb, 2);
-
-            const xs = projected.map((p) => p[0]);
-            const ys = projected.map((p) => p[1]);
-            const xMin = Math.min(...xs);
-            const xMax = Math.max(...xs);
-            const yMin = Math.min(...ys);
-            const yMax = Math.max(...ys);
-            const xRange = xMax - xMin || 1;
-            const yRange = yMax - yMin || 1;
-
-            const margin = 40;
-            const width = canvas.width - margin * 2;
-            const height = canvas.height - margin * 2;
-
-            ctx.save();
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-            ctx.fillStyle = '#ffffff';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-            ctx.fillStyle = '#111827';
-            ctx.font = '14px Arial';
-            ctx.fillText('Item Embeddings Projection (PCA)', 12, 20);
-            ctx.fillStyle = '#6b7280';
-            ctx.font = '11px Arial';
-            ctx.fillText(
-                `Sampled ${sampleSize} / ${totalItems} movies – hover to see titles`,
-                12,
-                36
-            );
+        this.explorer.setData(this.model.getItemMatrix(), numItems, this.model.embeddingDim, points);
+        const colorSelect = document.getElementById('embeddingColor');
+        if (colorSelect) this.explorer.setColorMode(colorSelect.value);
+        this.projectEmbeddings();
+    }
 
-            ctx.translate(margin, margin);
-            ctx.strokeStyle = '#e5e7eb';
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.lineTo(0, height);
-            ctx.lineTo(width, height);
-            ctx.stroke();
-
-            const points = [];
-            ctx.fillStyle = 'rgba(37, 99, 235, 0.78)';
-
-            for (let i = 0; i < sampleSize; i++) {
-                const nx = (projected[i][0] - xMin) / xRange;
-                const ny = (projected[i][1] - yMin) / yRange;
-                const x = nx * width;
-                const y = height - ny * height;
-
-                const itemIndex = sampleIdx[i];
-                const itemId = this.reverseItemMap.get(itemIndex);
-                const meta = this.items.get(itemId) || {
-                    title: `Item ${itemId}`,
-                    year: null
-                };
-
-                ctx.beginPath();
-                ctx.arc(x, y, 3, 0, Math.PI * 2);
-                ctx.fill();
-
-                points.push({
-                    x: x + margin,
-                    y: y + margin,
-                    title: meta.title,
-                    year: meta.year
-                });
-            }
+    projectEmbeddings() {
+        if (!this.explorer || !this.explorer.vectors) return;
+        const select = document.getElementById('projectionMethod');
+        const method = select ? select.value : 'pca';
+        this.explorer
+            .project(method)
+            .then(() => {
+                const searchInput = document.getElementById('embeddingSearch');
+                if (searchInput && searchInput.value.trim()) this.searchEmbeddings(searchInput.value);
+            })
+            .catch((err) => {
+                console.error(err);
+                this.updateStatus(`Error during embedding projection: ${err.message}`);
+            });
+    }
 
-            this.embeddingPoints = points;
-            ctx.restore();
-        } catch (err) {
-            console.error(err);
-            this.updateStatus(`Error during PCA visualization: ${err.message}`);
+    searchEmbeddings(text) {
+        if (!this.explorer || !this.explorer.coords) return;
+        const matches = this.explorer.search(text);
+        const el = document.getElementById('embeddingStatus');
+        if (el && text.trim()) {
+            el.textContent = matches
+                ? `${matches} title${matches === 1 ? '' : 's'} matching “${text.trim()}”.`
+                : `No titles match “${text.trim()}”.`;
         }
     }
 
-    computePCA(embeddings, dimensions) {
-        const n = embeddings.length;
-        if (!n || !embeddings[0]) return [];
-        const dim = embeddings[0].length;
+    displayEmbeddingSelection(points) {
+        const container = document.getElementById('embeddingSelection');
+        if (!container) return;
+        if (!points.length) {
+            container.innerHTML = '';
+            return;
+        }
 
-        const mean = new Array(dim).fill(0);
-        embeddings.forEach((emb) => {
-            for (let i = 0; i < dim; i++) mean[i] += emb[i];
-        });
-        for (let i = 0; i < dim; i++) mean[i] /= n;
+        const maxRows = 100;
+        let html = `
+            <h3>Lasso selection: ${points.length} movie${points.length === 1 ? '' : 's'}</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Movie</th>
+                        <th>Genres</th>
+                        <th>Ratings (train)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
 
-        const centered = embeddings.map((emb) => emb.map((v, i) => v - mean[i]));
+        points
+            .slice()
+            .sort((a, b) => b.popularity - a.popularity)
+            .slice(0, maxRows)
+            .forEach((p, idx) => {
+                html += `
+                <tr>
+                    <td>${idx + 1}</td>
+                    <td>${this.escapeHtml(this.movieLabel(p.itemId))}</td>
+                    <td>${this.escapeHtml((p.genres || []).join(', '))}</td>
+                    <td>${p.popularity}</td>
+                </tr>
+            `;
+            });
 
-        const cov = Array.from({ length: dim }, () => new Array(dim).fill(0));
-        centered.forEach((emb) => {
-            for (let i = 0; i < dim; i++) {
-                const vi = emb[i];
-                for (let j = 0; j < dim; j++) {
-                    cov[i][j] += vi * emb[j];
-                }
-            }
-        });
-        for (let i = 0; i < dim; i++) {
-            for (let j = 0; j < dim; j++) {
-                cov[i][j] /= n;
-            }
+        html += `
+                </tbody>
+            </table>
+        `;
+        if (points.length > maxRows) {
+            html += `<p class="hint">Showing the ${maxRows} most-rated of ${points.length} selected movies.</p>`;
         }
 
-        const components = [];
+        container.innerHTML = html;
+    }
 
-        for (let d = 0; d < dimensions; d++) {
-            let v = new Array(dim).fill(1 / Math.sqrt(dim));
-            for (let iter = 0; iter < 10; iter++) {
-                const newV = new Array(dim).fill(0);
-                for (let i = 0; i < dim; i++) {
-                    let s = 0;
-                    for (let j = 0; j < dim; j++) {
-                        s += cov[i][j] * v[j];
-                    }
-                    newV[i] = s;
-                }
-                let norm = 0;
-                for (let i = 0; i < dim; i++) norm += newV[i] * newV[i];
-                norm = Math.sqrt(norm) || 1;
-                for (let i = 0; i < dim; i++) v[i] = newV[i] / norm;
-            }
-            components.push(v);
+    // ---------------------------------------------------------------------
+    // Export / import (embedding-bundle.js)
+    // ---------------------------------------------------------------------
 
-            for (let i = 0; i < dim; i++) {
-                for (let j = 0; j < dim; j++) {
-                    cov[i][j] -= v[i] * v[j];
-                }
+    // Training config + ID mappings that make exported artifacts self-describing.
+    exportConfig() {
+        const { embeddingDim, learningRate, lossType, epochs, batchSize, maxInteractions } = this.config;
+        return { embeddingDim, learningRate, lossType, epochs, batchSize, maxInteractions };
+    }
+
+    indexOrder() {
+        const userIds = Array.from({ length: this.userMap.size }, (_, i) => this.reverseUserMap.get(i));
+        const itemIds = Array.from({ length: this.itemMap.size }, (_, i) => this.reverseItemMap.get(i));
+        return { userIds, itemIds };
+    }
+
+    async exportModel() {
+        if (!this.model) return;
+        try {
+            const { userIds, itemIds } = this.indexOrder();
+            await saveTowerArtifacts(
+                this.model.getNamedWeights(),
+                {
+                    source: 'week4updated',
+                    numUsers: this.model.numUsers,
+                    numItems: this.model.numItems,
+                    embeddingDim: this.model.embeddingDim,
+                    config: this.exportConfig()
+                },
+                { userIds, itemIds, metrics: this.lastEvaluation },
+                'two-tower-week4updated'
+            );
+            this.updateStatus('Model exported as two-tower-week4updated.json + .weights.bin.');
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Error exporting model: ${err.message}`);
+        }
+    }
+
+    buildEmbeddingBundle() {
+        const { userIds, itemIds } = this.indexOrder();
+        return createEmbeddingBundle({
+            source: 'week4updated',
+            config: this.exportConfig(),
+            metrics: this.lastEvaluation,
+            dim: this.model.embeddingDim,
+            items: itemIds.map((id) => {
+                const meta = this.items.get(id) || { title: `Item ${id}`, year: null, genres: [] };
+                return { id, title: meta.title, year: meta.year, genres: meta.genres };
+            }),
+            itemVectors: this.model.getItemMatrix(),
+            users: userIds,
+            userVectors: this.model.getUserMatrix()
+        });
+    }
+
+    exportEmbeddings(kind) {
+        if (!this.model) return;
+        try {
+            const bundle = this.buildEmbeddingBundle();
+            if (kind === 'binary') {
+                downloadBlob(embeddingBundleToBinary(bundle), 'two-tower-embeddings.bin');
+            } else {
+                downloadBlob(embeddingBundleToJSON(bundle), 'two-tower-embeddings.json', 'application/json');
             }
+            this.updateStatus(
+                `Exported ${bundle.items.length} item and ${bundle.users.length} user vectors ` +
+                    `(${kind === 'binary' ? 'binary Float32' : 'JSON'}, bundle v${bundle.version}).`
+            );
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Error exporting embeddings: ${err.message}`);
         }
+    }
 
-        const projected = centered.map((emb) =>
-            components.map((comp) => {
-                let s = 0;
-                for (let i = 0; i < dim; i++) s += emb[i] * comp[i];
-                return s;
-            })
-        );
+    // Restore a model exported above; the loaded data must have the same ID mapping.
+    async importModel(files) {
+        if (this.isTraining || !files || !files.length) return;
+        try {
+            const { topology, metadata, tensors } = await loadTowerArtifacts(files);
+            try {
+                const { userIds, itemIds } = this.indexOrder();
+                const same = (a, b) => Array.isArray(a) && a.length === b.length && a.every((v, i) => v === b[i]);
+                if (!same(metadata.userIds, userIds) || !same(metadata.itemIds, itemIds)) {
+                    throw new Error(
+                        'user / item IDs in the model do not match the loaded data ' +
+                            `(model: ${topology.numUsers} users, ${topology.numItems} items)`
+                    );
+                }
 
-        return projected;
-    }
-
-    handleEmbeddingHover(event) {
-        if (!this.embeddingPoints.length) return;
-        const canvas = event.currentTarget;
-        const rect = canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-        const radius = 8;
-        let closest = null;
-        let bestDist2 = radius * radius;
-
-        this.embeddingPoints.forEach((p) => {
-            const dx = p.x - x;
-            const dy = p.y - y;
-            const dist2 = dx * dx + dy * dy;
-            if (dist2 <= bestDist2) {
-                bestDist2 = dist2;
-                closest = p;
+                // swap only once the weights loaded, so a bad file keeps the current model
+                const model = new TwoTowerModel(topology.numUsers, topology.numItems, topology.embeddingDim, {
+                    learningRate: topology.config.learningRate,
+                    lossType: topology.config.lossType
+                });
+                try {
+                    model.setNamedWeights(tensors);
+                } catch (err) {
+                    model.dispose();
+                    throw err;
+                }
+                if (this.model) this.model.dispose();
+                this.model = model;
+            } finally {
+                Object.values(tensors).forEach((t) => t.dispose());
             }
-        });
 
-        if (closest) {
-            const label = closest.year ? `${closest.title} (${closest.year})` : closest.title;
-            canvas.title = label;
-        } else {
-            canvas.title = '';
+            this.checkpoint = null;
+            this.lastEvaluation = metadata.metrics || null;
+            this.setTrainingButtons(false);
+            this.visualizeEmbeddings();
+            await this.buildAnnIndex();
+            this.updateStatus(
+                `Imported model from ${topology.source} (${topology.embeddingDim}-d) – ` +
+                    'ready for "Test", evaluation and text queries without training.'
+            );
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Error importing model: ${err.message}`);
         }
     }
 
@@ -619,33 +934,41 @@ class MovieLensApp {
             `Sampling a user with ≥ ${this.config.minRatingsForQualifiedUser} ratings...`
         );
 
+        const idx = Math.floor(Math.random() * this.qualifiedUsers.length);
+        this.showUserRecommendations(this.qualifiedUsers[idx]);
+    }
+
+    showUserRecommendations(userId) {
         try {
-            const idx = Math.floor(Math.random() * this.qualifiedUsers.length);
-            const userId = this.qualifiedUsers[idx];
             const userInteractions = this.userTopRated.get(userId) || [];
             const userIndex = this.userMap.get(userId);
 
             const userEmb = this.model.getUserEmbedding(userIndex);
             const scores = this.model.getScoresForAllItems(userEmb);
-
-            const ratedItemIds = new Set(userInteractions.map((i) => i.itemId));
-            const candidateScores = [];
-            for (let itemIndex = 0; itemIndex < scores.length; itemIndex++) {
-                const itemId = this.reverseItemMap.get(itemIndex);
-                if (itemId == null) continue;
-                if (ratedItemIds.has(itemId)) continue;
-                candidateScores.push({
-                    itemId,
-                    itemIndex,
-                    score: scores[itemIndex]
-                });
-            }
-            candidateScores.sort((a, b) => b.score - a.score);
-            const topRecommendations = candidateScores.slice(0, 10);
+            userEmb.dispose();
+
+            // Mask training items only, so held-out positives can show up here
+            // exactly as they do in the metrics below. Retrieval goes through
+            // the HNSW index once it is built; metrics stay on exact scores.
+            const masked = new Set();
+            (this.trainItemsByUser.get(userId) || new Set()).forEach((itemId) => {
+                masked.add(this.itemMap.get(itemId));
+            });
+            const topRecommendations = this.model
+                .recommendTopK(userIndex, 10, masked)
+                .map((r) => ({
+                    itemId: this.reverseItemMap.get(r.index),
+                    itemIndex: r.index,
+                    score: r.score
+                }));
 
             const metrics = this.computeRankingMetricsForUser(userId, scores);
             this.displayResults(userId, userInteractions, topRecommendations, metrics);
-            this.updateStatus('Recommendations and metrics generated – scroll down to inspect.');
+            this.renderEgoGraph(userId, scores, topRecommendations);
+            this.updateStatus(
+                'Recommendations and metrics generated – scroll down to inspect, ' +
+                    'or click graph nodes to explore.'
+            );
         } catch (err) {
             console.error(err);
             this.updateStatus(`Error during test: ${err.message}`);
@@ -656,43 +979,20 @@ class MovieLensApp {
         const K = this.config.metricsK;
         const testItems = this.testItemsByUser.get(userId) || [];
         if (!testItems.length) {
-            return { precision: 0, recall: 0, ndcg: 0, hasEval: false };
+            return { precision: 0, recall: 0, ndcg: 0, ap: 0, rr: 0, hasEval: false };
         }
-        const relevant = new Set(testItems);
-
-        const indices = [];
-        for (let i = 0; i < scoresArray.length; i++) indices.push(i);
-        indices.sort((a, b) => scoresArray[b] - scoresArray[a]);
-
-        const topKIndices = indices.slice(0, K);
-        const topKItemIds = topKIndices.map((idx) => this.reverseItemMap.get(idx));
+        const relevant = new Set(testItems.map((itemId) => this.itemMap.get(itemId)));
 
-        let hits = 0;
-        const relFlags = [];
-        topKItemIds.forEach((itemId) => {
-            const isHit = itemId != null && relevant.has(itemId);
-            if (isHit) hits += 1;
-            relFlags.push(isHit ? 1 : 0);
+        // Items seen in training are not candidates – otherwise they crowd
+        // the top-K and every held-out hit is pushed down the list.
+        const masked = new Set();
+        (this.trainItemsByUser.get(userId) || new Set()).forEach((itemId) => {
+            masked.add(this.itemMap.get(itemId));
         });
 
-        const precision = hits / K;
-        const recall = hits / relevant.size;
-
-        let dcg = 0;
-        for (let i = 0; i < relFlags.length; i++) {
-            if (relFlags[i] === 1) {
-                dcg += 1 / Math.log2(i + 2);
-            }
-        }
-
-        const idealHits = Math.min(K, relevant.size);
-        let idcg = 0;
-        for (let i = 0; i < idealHits; i++) {
-            idcg += 1 / Math.log2(i + 2);
-        }
-        const ndcg = idcg > 0 ? dcg / idcg : 0;
-
-        return { precision, recall, ndcg, hasEval: true };
+        const ranked = RankingEvaluator.topK(scoresArray, scoresArray.length, K, masked);
+        const metrics = RankingEvaluator.userMetrics(ranked, relevant, K);
+        return { ...metrics, hasEval: true };
     }
 
     displayResults(userId, userInteractions, recommendations, metrics) {
@@ -714,7 +1014,9 @@ class MovieLensApp {
                 Recall@${this.config.metricsK}: <strong>${metrics.recall.toFixed(
                 3
             )}</strong>, 
-                NDCG@${this.config.metricsK}: <strong>${metrics.ndcg.toFixed(3)}</strong>
+                NDCG@${this.config.metricsK}: <strong>${metrics.ndcg.toFixed(3)}</strong>, 
+                MAP@${this.config.metricsK}: <strong>${metrics.ap.toFixed(3)}</strong>, 
+                MRR@${this.config.metricsK}: <strong>${metrics.rr.toFixed(3)}</strong>
             `;
         } else {
             html += 'Not enough held-out data for metrics.';
@@ -795,6 +1097,460 @@ class MovieLensApp {
         resultsDiv.innerHTML = html;
     }
 
+    // ---------------------------------------------------------------------
+    // Ego graph: selected user, their items, co-raters and recommendations
+    // ---------------------------------------------------------------------
+
+    getGraphRenderer() {
+        const renderer = window.graphRenderer;
+        if (!renderer) return null;
+        renderer.options.groupColors = {
+            user: '#f97316',
+            rated: '#2563eb',
+            coRater: '#a855f7',
+            recommended: '#16a34a'
+        };
+        return renderer;
+    }
+
+    movieLabel(itemId) {
+        const meta = this.items.get(itemId);
+        if (!meta) return `Item ${itemId}`;
+        return meta.year ? `${meta.title} (${meta.year})` : meta.title;
+    }
+
+    /**
+     * Build nodes / edges around one user. Item nodes are sized by the user's
+     * two-tower score, co-rater nodes by embedding cosine to the user; both are
+     * min-max scaled to [0, 1] for GraphRenderer.
+     */
+    buildEgoGraph(userId, scores, recommendations) {
+        const trainItems = this.trainItemsByUser.get(userId) || new Set();
+        const rated = (this.userTopRated.get(userId) || [])
+            .filter((i) => trainItems.has(i.itemId))
+            .slice(0, this.config.graphRatedItems)
+            .map((i) => i.itemId);
+        const recommended = recommendations
+            .slice(0, this.config.graphRecommended)
+            .map((r) => r.itemId);
+
+        // Co-raters: users sharing the most of the displayed rated items.
+        const overlap = new Map();
+        rated.forEach((itemId) => {
+            (this.trainUsersByItem.get(itemId) || new Set()).forEach((other) => {
+                if (other !== userId) overlap.set(other, (overlap.get(other) || 0) + 1);
+            });
+        });
+        const coRaters = Array.from(overlap.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.config.graphCoRaters)
+            .map(([other]) => other);
+
+        const nodes = [];
+        const edges = [];
+        const nodeScores = {};
+        const centerId = `u_${userId}`;
+        nodes.push({ id: centerId, label: `User ${userId}`, group: 'user' });
+        nodeScores[centerId] = 1;
+
+        const itemScore = (itemId) => scores[this.itemMap.get(itemId)];
+        const itemIds = rated.concat(recommended);
+        const itemValues = itemIds.map(itemScore);
+        const minItem = Math.min(...itemValues);
+        const itemRange = Math.max(...itemValues) - minItem || 1;
+        itemIds.forEach((itemId, k) => {
+            const id = `i_${itemId}`;
+            if (nodeScores[id] != null) return;
+            nodes.push({
+                id,
+                label: this.movieLabel(itemId),
+                group: k < rated.length ? 'rated' : 'recommended'
+            });
+            nodeScores[id] = (itemValues[k] - minItem) / itemRange;
+            edges.push({ source: centerId, target: id });
+        });
+
+        const sims = this.model.getUserSimilarities(
+            this.userMap.get(userId),
+            coRaters.map((u) => this.userMap.get(u))
+        );
+        const minSim = Math.min(...sims);
+        const simRange = Math.max(...sims) - minSim || 1;
+        coRaters.forEach((other, k) => {
+            const id = `u_${other}`;
+            nodes.push({ id, label: `User ${other}`, group: 'coRater' });
+            nodeScores[id] = (sims[k] - minSim) / simRange;
+            const otherItems = this.trainItemsByUser.get(other) || new Set();
+            itemIds.forEach((itemId) => {
+                if (otherItems.has(itemId)) edges.push({ source: id, target: `i_${itemId}` });
+            });
+        });
+
+        return { graph: { nodes, edges }, scores: nodeScores };
+    }
+
+    renderEgoGraph(userId, scores, recommendations) {
+        const renderer = this.getGraphRenderer();
+        if (!renderer) return;
+        const { graph, scores: nodeScores } = this.buildEgoGraph(userId, scores, recommendations);
+        renderer.renderGraph(graph, nodeScores);
+        renderer.highlightNode(`u_${userId}`);
+    }
+
+    // Called by GraphRenderer on node click (ids look like 'u_12' / 'i_50').
+    selectNode(nodeId) {
+        if (!this.model || typeof nodeId !== 'string') return;
+        const id = parseInt(nodeId.slice(2), 10);
+        if (Number.isNaN(id)) return;
+
+        if (nodeId.startsWith('u_')) {
+            if (!this.userMap.has(id)) return;
+            const userIdInput = document.getElementById('queryUserId');
+            if (userIdInput) userIdInput.value = String(id);
+            this.showUserRecommendations(id);
+        } else if (nodeId.startsWith('i_')) {
+            if (!this.itemMap.has(id)) return;
+            this.showNearestItems(id);
+        }
+    }
+
+    showNearestItems(itemId) {
+        const itemIndex = this.itemMap.get(itemId);
+        const sims = this.model.getItemSimilarities(itemIndex);
+        const ranked = RankingEvaluator.topK(
+            sims,
+            sims.length,
+            this.config.graphNeighbors,
+            new Set([itemIndex])
+        );
+        this.displayNearestItems(
+            itemId,
+            ranked.map((idx) => ({ itemId: this.reverseItemMap.get(idx), similarity: sims[idx] }))
+        );
+        this.updateStatus(`Nearest items to "${this.movieLabel(itemId)}" by item-tower cosine.`);
+    }
+
+    displayNearestItems(itemId, neighbors) {
+        const container = document.getElementById('graphDetails');
+        if (!container) return;
+
+        let html = `
+            <h3>Nearest items to ${this.escapeHtml(this.movieLabel(itemId))}</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Movie</th>
+                        <th>Cosine</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        neighbors.forEach((n, idx) => {
+            html += `
+                <tr>
+                    <td>${idx + 1}</td>
+                    <td>${this.escapeHtml(this.movieLabel(n.itemId))}</td>
+                    <td>${n.similarity.toFixed(4)}</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    // ---------------------------------------------------------------------
+    // ANN retrieval: HNSW over item tower outputs + benchmark vs. exact
+    // ---------------------------------------------------------------------
+
+    async buildAnnIndex() {
+        if (!this.model) return;
+        const annBtn = document.getElementById('annBenchmark');
+        if (annBtn) annBtn.disabled = true;
+
+        try {
+            const index = await this.model.buildAnnIndex(
+                {
+                    M: this.config.annM,
+                    efConstruction: this.config.annEfConstruction,
+                    efSearch: this.config.annEfSearch,
+                    random: RankingEvaluator.seededRandom(this.config.randomSeed)
+                },
+                (done, total) => this.updateStatus(`Building HNSW index: ${done}/${total} items...`)
+            );
+            this.updateStatus(
+                `HNSW index built over ${index.size} items in ${index.buildMs.toFixed(0)} ms.`
+            );
+            if (annBtn) annBtn.disabled = false;
+        } catch (err) {
+            console.error(err);
+            this.model.annIndex = null;
+            this.updateStatus(`Could not build ANN index (exact retrieval is used): ${err.message}`);
+        }
+    }
+
+    async runAnnBenchmark() {
+        if (!this.model || !this.model.annIndex) {
+            this.updateStatus('Train the model first – the HNSW index is built after training.');
+            return;
+        }
+
+        const kInput = document.getElementById('annK');
+        const parsedK = kInput ? parseInt(kInput.value, 10) : NaN;
+        const K = Number.isNaN(parsedK) || parsedK < 1 ? 10 : parsedK;
+
+        // Deterministic sample of qualified users, each with their train items masked.
+        const rand = RankingEvaluator.seededRandom(this.config.randomSeed);
+        const pool = this.qualifiedUsers.slice();
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(rand() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const queries = pool.slice(0, this.config.annBenchmarkQueries).map((userId) => {
+            const userIndex = this.userMap.get(userId);
+            const exclude = new Set();
+            (this.trainItemsByUser.get(userId) || new Set()).forEach((itemId) => {
+                exclude.add(this.itemMap.get(itemId));
+            });
+            return { userIndex, vector: this.model.getUserVector(userIndex), exclude };
+        });
+        if (!queries.length) {
+            this.updateStatus('No qualified users to benchmark with.');
+            return;
+        }
+
+        this.updateStatus(`Benchmarking HNSW vs. exact search on ${queries.length} users (K=${K})...`);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        try {
+            // Exact path the app used before: TF.js matmul over the catalog + top-K.
+            const t0 = performance.now();
+            queries.forEach((q) => {
+                const userEmb = this.model.getUserEmbedding(q.userIndex);
+                const scores = this.model.getScoresForAllItems(userEmb);
+                userEmb.dispose();
+                RankingEvaluator.topK(scores, scores.length, K, q.exclude);
+            });
+            const tfMs = (performance.now() - t0) / queries.length;
+
+            const index = this.model.annIndex;
+            const result = benchmarkAnn(
+                index,
+                this.model.getItemMatrix(),
+                queries,
+                K,
+                this.config.annEfSweep
+            );
+            this.displayAnnBenchmark(index, result, tfMs, queries.length, K);
+            this.updateStatus('ANN benchmark done – see the table below the query section.');
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Error during ANN benchmark: ${err.message}`);
+        }
+    }
+
+    displayAnnBenchmark(index, result, tfMs, numQueries, K) {
+        const container = document.getElementById('annResults');
+        if (!container) return;
+
+        let html = `
+            <p style="font-size:13px; color:#4b5563;">
+                HNSW over ${index.size} items (M=${index.M}, efConstruction=${index.efConstruction}),
+                built in ${index.buildMs.toFixed(0)} ms. ${numQueries} users, train items excluded.
+                Recall@${K} is measured against exact top-${K}.
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Method</th>
+                        <th>ms / query</th>
+                        <th>Recall@${K}</th>
+                        <th>Speed-up vs. exact scan</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>Exact (TF.js matmul + top-K)</td>
+                        <td>${tfMs.toFixed(3)}</td>
+                        <td>1.000</td>
+                        <td>${(result.exactMs / tfMs).toFixed(2)}×</td>
+                    </tr>
+                    <tr>
+                        <td>Exact (JS scan)</td>
+                        <td>${result.exactMs.toFixed(3)}</td>
+                        <td>1.000</td>
+                        <td>1.00×</td>
+                    </tr>
+        `;
+
+        result.rows.forEach((r) => {
+            html += `
+                    <tr>
+                        <td>HNSW ef=${r.ef}</td>
+                        <td>${r.ms.toFixed(3)}</td>
+                        <td>${r.recall.toFixed(3)}</td>
+                        <td>${r.speedup.toFixed(2)}×</td>
+                    </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    // ---------------------------------------------------------------------
+    // Full-corpus evaluation: every qualified user, model vs. baselines
+    // ---------------------------------------------------------------------
+
+    buildEvaluator() {
+        const numItems = this.itemMap.size;
+        const itemPopularity = new Float32Array(numItems);
+        this.trainInteractions.forEach((i) => {
+            itemPopularity[this.itemMap.get(i.itemId)] += 1;
+        });
+
+        const trainItemsByUser = new Map();
+        const users = [];
+        this.qualifiedUsers.forEach((userId) => {
+            const testItems = this.testItemsByUser.get(userId) || [];
+            if (!testItems.length) return;
+            const userIndex = this.userMap.get(userId);
+            const masked = new Set();
+            (this.trainItemsByUser.get(userId) || new Set()).forEach((itemId) => {
+                masked.add(this.itemMap.get(itemId));
+            });
+            trainItemsByUser.set(userIndex, masked);
+            users.push({
+                userIndex,
+                relevant: new Set(testItems.map((itemId) => this.itemMap.get(itemId)))
+            });
+        });
+
+        const evaluator = new RankingEvaluator({ numItems, itemPopularity, trainItemsByUser });
+        return { evaluator, users, itemPopularity };
+    }
+
+    async evaluateAll() {
+        if (!this.model) {
+            this.updateStatus('Model not trained yet – click "Train" first.');
+            return;
+        }
+        if (this.isTraining) return;
+
+        const kInput = document.getElementById('evalK');
+        const parsedK = kInput ? parseInt(kInput.value, 10) : NaN;
+        const K = Number.isNaN(parsedK) || parsedK < 1 ? this.config.evalK : parsedK;
+
+        const { evaluator, users, itemPopularity } = this.buildEvaluator();
+        if (!users.length) {
+            this.updateStatus('No qualified users with held-out positives to evaluate.');
+            return;
+        }
+
+        const scorers = [
+            { name: 'Two-Tower', scorer: RankingEvaluator.modelScorer(this.model) },
+            { name: 'Popularity', scorer: RankingEvaluator.popularityScorer(itemPopularity) },
+            {
+                name: 'Random',
+                scorer: RankingEvaluator.randomScorer(itemPopularity.length, this.config.randomSeed)
+            }
+        ];
+
+        const evalBtn = document.getElementById('evaluate');
+        if (evalBtn) evalBtn.disabled = true;
+
+        try {
+            const rows = [];
+            for (const { name, scorer } of scorers) {
+                this.updateStatus(`Evaluating ${name} over ${users.length} users (K=${K})...`);
+                // let browser update UI
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise((resolve) => setTimeout(resolve, 0));
+                rows.push({ name, ...evaluator.evaluate(scorer, users, K) });
+            }
+            this.displayEvaluation(rows, K);
+            this.lastEvaluation = { k: K, users: users.length, rows };
+            this.updateStatus(
+                `Full-corpus evaluation done – ${users.length} users, train items masked.`
+            );
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Error during evaluation: ${err.message}`);
+        } finally {
+            if (evalBtn) evalBtn.disabled = false;
+        }
+    }
+
+    displayEvaluation(rows, K) {
+        const container = document.getElementById('evalResults');
+        if (!container) return;
+
+        const fmt = (m) =>
+            `${m.mean.toFixed(4)} <span style="color:#6b7280;">± ${m.ci.toFixed(4)}</span>`;
+
+        let html = `
+            <h2>Full-Corpus Evaluation (K=${K})</h2>
+            <p style="font-size:13px; color:#4b5563;">
+                ${rows[0].users} users with ≥ ${this.config.minRatingsForQualifiedUser} ratings and held-out
+                positives. Each user's training items are masked; the rest of the catalog is ranked.
+                ± is the 95% confidence interval (1.96·SE over users).
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Model</th>
+                        <th>Precision@${K}</th>
+                        <th>Recall@${K}</th>
+                        <th>NDCG@${K}</th>
+                        <th>MAP@${K}</th>
+                        <th>MRR@${K}</th>
+                        <th>Coverage</th>
+                        <th>Avg. Popularity</th>
+                        <th>Long-tail Share</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        rows.forEach((r) => {
+            html += `
+                <tr>
+                    <td><strong>${this.escapeHtml(r.name)}</strong></td>
+                    <td>${fmt(r.precision)}</td>
+                    <td>${fmt(r.recall)}</td>
+                    <td>${fmt(r.ndcg)}</td>
+                    <td>${fmt(r.ap)}</td>
+                    <td>${fmt(r.rr)}</td>
+                    <td>${(r.coverage * 100).toFixed(1)}%</td>
+                    <td>${r.avgPopularity.toFixed(1)}</td>
+                    <td>${(r.longTailShare * 100).toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+            <p class="hint">
+                Coverage: share of the catalog recommended to at least one user.
+                Avg. Popularity: mean training interactions of recommended items.
+                Long-tail Share: recommendation slots filled by items outside the 20% most popular.
+            </p>
+        `;
+
+        container.innerHTML = html;
+    }
+
     // ---------------------------------------------------------------------
     // RAG-style text query (title vector search + two-tower re-rank)
     // ---------------------------------------------------------------------
@@ -843,6 +1599,12 @@ class MovieLensApp {
         this.queryRecommend(rawQuery, userId);
     }
 
+    readQueryWeight(id, fallback) {
+        const input = document.getElementById(id);
+        const v = input ? parseFloat(input.value) : NaN;
+        return Number.isNaN(v) || v < 0 ? fallback : v;
+    }
+
     queryRecommend(queryText, userId) {
         const userIndex = this.userMap.get(userId);
         if (userIndex == null) {
@@ -850,69 +1612,98 @@ class MovieLensApp {
             return;
         }
 
-        const queryTokens = this.tokenizeTitle(queryText);
-        if (!queryTokens.length) {
+        const parsed = parseMovieQuery(queryText);
+        const { yearRange } = parsed;
+        const positiveTerms = parsed.terms.concat(parsed.genres.map(genreToken));
+        const hasConstraints =
+            yearRange || parsed.excludeGenres.length || parsed.excludeTerms.length;
+        if (!positiveTerms.length && !hasConstraints) {
             this.updateStatus('Query is too short – please describe the movie you want.');
             return;
         }
 
-        // Stage 1: simple bag-of-words similarity over titles
-        const querySet = new Set(queryTokens);
-        const textScores = []; // { itemId, textScore }
+        // Hard filters from the parser: year range and negations.
+        const passes = (itemId) => {
+            const meta = this.items.get(itemId);
+            if (!meta || !this.itemMap.has(itemId)) return false;
+            if (yearRange) {
+                if (meta.year == null || meta.year < yearRange.min || meta.year > yearRange.max) {
+                    return false;
+                }
+            }
+            if (meta.genres.some((g) => parsed.excludeGenres.includes(g))) return false;
+            if (parsed.excludeTerms.length) {
+                const titleTokens = movieTokens(meta.title);
+                if (parsed.excludeTerms.some((t) => titleTokens.includes(t))) return false;
+            }
+            return true;
+        };
 
-        this.items.forEach((meta, itemId) => {
-            const tokens = this.titleTokensByItem.get(itemId) || [];
-            if (!tokens.length) return;
-            const titleSet = new Set(tokens);
-            let overlap = 0;
-            querySet.forEach((t) => {
-                if (titleSet.has(t)) overlap += 1;
+        // Stage 1: BM25 over title / genre / year. A query made only of
+        // filters ("90s, not horror") keeps every passing item with text score 0.
+        let textScores = [];
+        if (positiveTerms.length) {
+            this.queryIndex.search(positiveTerms).forEach((score, itemId) => {
+                if (passes(itemId)) textScores.push({ itemId, textScore: score });
             });
-            if (overlap === 0) return;
-            const norm = Math.sqrt(querySet.size * titleSet.size) || 1;
-            const score = overlap / norm; // cosine-like
-            textScores.push({ itemId, textScore: score });
-        });
+        } else {
+            this.items.forEach((_, itemId) => {
+                if (passes(itemId)) textScores.push({ itemId, textScore: 0 });
+            });
+        }
 
         if (!textScores.length) {
             this.updateStatus(
-                'No items matched the query tokens. Try different or simpler keywords.'
+                `No items matched the query (${describeMovieQuery(parsed)}). ` +
+                    'Try different or simpler keywords.'
             );
             return;
         }
 
         textScores.sort((a, b) => b.textScore - a.textScore);
-        const candidateCount = Math.min(100, textScores.length);
-        const candidates = textScores.slice(0, candidateCount);
+        if (positiveTerms.length) {
+            textScores = textScores.slice(0, this.config.queryCandidates);
+        }
+        const candidates = textScores;
 
         // Stage 2: Two-tower user-aware re-ranking
         const userEmb = this.model.getUserEmbedding(userIndex);
         const allScoresArr = this.model.getScoresForAllItems(userEmb);
-
-        const alpha = 0.4; // text weight
-        const beta = 0.6; // collaborative weight
-        const combined = candidates.map((c) => {
-            const itemIndex = this.itemMap.get(c.itemId);
-            const modelScore =
-                itemIndex != null ? allScoresArr[itemIndex] : 0;
+        userEmb.dispose();
+
+        const alpha = this.readQueryWeight('queryAlpha', this.config.queryAlpha); // text weight
+        const beta = this.readQueryWeight('queryBeta', this.config.queryBeta); // collaborative weight
+
+        // BM25 and dot-product scores live on different scales; min-max both
+        // over the candidate pool so alpha / beta mean what the sliders say.
+        const modelScores = candidates.map((c) => allScoresArr[this.itemMap.get(c.itemId)]);
+        const maxText = Math.max(...candidates.map((c) => c.textScore)) || 1;
+        const minModel = Math.min(...modelScores);
+        const modelRange = Math.max(...modelScores) - minModel || 1;
+
+        const combined = candidates.map((c, i) => {
+            const modelScore = modelScores[i];
+            const textNorm = c.textScore / maxText;
+            const modelNorm = (modelScore - minModel) / modelRange;
             return {
                 itemId: c.itemId,
                 textScore: c.textScore,
                 modelScore,
-                combinedScore: alpha * c.textScore + beta * modelScore
+                combinedScore: alpha * textNorm + beta * modelNorm
             };
         });
 
         combined.sort((a, b) => b.combinedScore - a.combinedScore);
         const topK = combined.slice(0, 10);
 
-        this.displayQueryResults(queryText, userId, topK);
+        this.displayQueryResults(queryText, userId, topK, parsed, { alpha, beta });
         this.updateStatus(
-            'Text query recommendations ready – ranked by title similarity + Two-Tower scores.'
+            `Text query recommendations ready – ${candidates.length} BM25 candidates ` +
+                're-ranked with Two-Tower scores.'
         );
     }
 
-    displayQueryResults(queryText, userId, results) {
+    displayQueryResults(queryText, userId, results, parsed, weights) {
         const container = document.getElementById('queryResults');
         if (!container) return;
 
@@ -920,7 +1711,9 @@ class MovieLensApp {
             <h2>Query-based Recommendations</h2>
             <p style="font-size:13px; color:#4b5563;">
                 Query: <strong>${this.escapeHtml(queryText)}</strong><br/>
-                Re-ranked for user <strong>${userId}</strong> using the two-tower model.
+                Understood as: ${this.escapeHtml(describeMovieQuery(parsed))}<br/>
+                Re-ranked for user <strong>${userId}</strong> using the two-tower model
+                (combined = ${weights.alpha} × text + ${weights.beta} × two-tower, both min-max scaled).
             </p>
             <table>
                 <thead>
@@ -928,7 +1721,8 @@ class MovieLensApp {
                         <th>#</th>
                         <th>Movie</th>
                         <th>Year</th>
-                        <th>Text Score</th>
+                        <th>Genres</th>
+                        <th>BM25</th>
                         <th>Two-Tower Score</th>
                         <th>Combined</th>
                     </tr>
@@ -946,6 +1740,7 @@ class MovieLensApp {
                     <td>${idx + 1}</td>
                     <td>${this.escapeHtml(meta.title)}</td>
                     <td>${meta.year != null ? meta.year : 'N/A'}</td>
+                    <td>${this.escapeHtml((meta.genres || []).join(', '))}</td>
                     <td>${r.textScore.toFixed(3)}</td>
                     <td>${r.modelScore.toFixed(4)}</td>
                     <td>${r.combinedScore.toFixed(4)}</td>
@@ -0,0 +1,196 @@
+// evaluation.js
+// Full-corpus offline evaluation for the two-tower demo.
+//
+// For every evaluated user the whole catalog is scored, items the user
+// already interacted with in training are masked out, and the top-K list is
+// compared with the user's held-out positives.
+//
+// - Accuracy: Precision / Recall / NDCG / MAP / MRR @K, averaged over users
+//   with a 95% normal-approximation interval (mean ± 1.96·SE)
+// - Coverage: share of the catalog that appears in at least one top-K list
+// - Popularity bias: mean training popularity of recommended items (ARP) and
+//   the share of recommendation slots filled by long-tail items
+//
+// Scorers are functions (userIndices) => Float32Array of length
+// userIndices.length * numItems (row-major), so the model and the baselines
+// are evaluated by exactly the same code path.
+
+class RankingEvaluator {
+    /**
+     * @param {Object} options
+     *   numItems          – catalog size (item indices 0..numItems-1)
+     *   itemPopularity    – Float32Array, training interactions per item index
+     *   trainItemsByUser  – Map userIndex -> Set of item indices to mask
+     *   headShare         – fraction of most popular items treated as "head"
+     */
+    constructor(options) {
+        const { numItems, itemPopularity, trainItemsByUser, headShare = 0.2 } = options;
+        this.numItems = numItems;
+        this.itemPopularity = itemPopularity;
+        this.trainItemsByUser = trainItemsByUser;
+
+        // Items outside the most popular `headShare` of the catalog are long tail.
+        const byPop = Array.from({ length: numItems }, (_, i) => i).sort(
+            (a, b) => itemPopularity[b] - itemPopularity[a]
+        );
+        this.headItems = new Set(byPop.slice(0, Math.ceil(numItems * headShare)));
+    }
+
+    // ---------------------------------------------------------------------
+    // Scorers
+    // ---------------------------------------------------------------------
+
+    static modelScorer(model) {
+        return (userIndices) => model.getScoresForUsers(userIndices);
+    }
+
+    static popularityScorer(itemPopularity) {
+        return (userIndices) => {
+            const n = itemPopularity.length;
+            const out = new Float32Array(userIndices.length * n);
+            for (let r = 0; r < userIndices.length; r++) out.set(itemPopularity, r * n);
+            return out;
+        };
+    }
+
+    static randomScorer(numItems, seed = 42) {
+        const rand = RankingEvaluator.seededRandom(seed);
+        return (userIndices) => {
+            const out = new Float32Array(userIndices.length * numItems);
+            for (let i = 0; i < out.length; i++) out[i] = rand();
+            return out;
+        };
+    }
+
+    // mulberry32 – small deterministic PRNG so the random baseline is reproducible
+    static seededRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Ranking + metrics
+    // ---------------------------------------------------------------------
+
+    /**
+     * Top-K item indices of `scores[offset .. offset+numItems)`, skipping masked
+     * items. Keeps a small sorted buffer instead of sorting the whole catalog.
+     */
+    static topK(scores, numItems, k, masked, offset = 0) {
+        const idx = [];
+        const val = [];
+        for (let i = 0; i < numItems; i++) {
+            if (masked && masked.has(i)) continue;
+            const s = scores[offset + i];
+            if (idx.length === k && s <= val[k - 1]) continue;
+            let pos = idx.length === k ? k - 1 : idx.length;
+            while (pos > 0 && val[pos - 1] < s) {
+                idx[pos] = idx[pos - 1];
+                val[pos] = val[pos - 1];
+                pos -= 1;
+            }
+            idx[pos] = i;
+            val[pos] = s;
+        }
+        return idx;
+    }
+
+    /**
+     * Per-user metrics for one ranked list.
+     * @param {number[]} ranked  top-K item indices
+     * @param {Set<number>} relevant  held-out positive item indices
+     */
+    static userMetrics(ranked, relevant, k) {
+        let hits = 0;
+        let dcg = 0;
+        let apSum = 0;
+        let rr = 0;
+        for (let i = 0; i < Math.min(k, ranked.length); i++) {
+            if (!relevant.has(ranked[i])) continue;
+            hits += 1;
+            dcg += 1 / Math.log2(i + 2);
+            apSum += hits / (i + 1);
+            if (rr === 0) rr = 1 / (i + 1);
+        }
+
+        const idealHits = Math.min(k, relevant.size);
+        let idcg = 0;
+        for (let i = 0; i < idealHits; i++) idcg += 1 / Math.log2(i + 2);
+
+        return {
+            precision: hits / k,
+            recall: relevant.size ? hits / relevant.size : 0,
+            ndcg: idcg > 0 ? dcg / idcg : 0,
+            ap: idealHits > 0 ? apSum / idealHits : 0,
+            rr
+        };
+    }
+
+    static meanWithCI(values) {
+        const n = values.length;
+        if (!n) return { mean: 0, ci: 0 };
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        if (n < 2) return { mean, ci: 0 };
+        let ss = 0;
+        values.forEach((v) => {
+            ss += (v - mean) * (v - mean);
+        });
+        const se = Math.sqrt(ss / (n - 1) / n);
+        return { mean, ci: 1.96 * se };
+    }
+
+    /**
+     * Evaluate one scorer over all users.
+     * @param {Function} scorer  (userIndices) => Float32Array [n * numItems]
+     * @param {Array<{userIndex:number, relevant:Set<number>}>} users
+     * @param {number} k
+     * @param {number} blockSize  users scored per call (bounds memory)
+     */
+    evaluate(scorer, users, k, blockSize = 128) {
+        const perMetric = { precision: [], recall: [], ndcg: [], ap: [], rr: [] };
+        const recommended = new Set();
+        let popSum = 0;
+        let tailSlots = 0;
+        let slots = 0;
+
+        for (let start = 0; start < users.length; start += blockSize) {
+            const block = users.slice(start, start + blockSize);
+            const scores = scorer(block.map((u) => u.userIndex));
+
+            block.forEach((u, r) => {
+                const masked = this.trainItemsByUser.get(u.userIndex);
+                const ranked = RankingEvaluator.topK(
+                    scores,
+                    this.numItems,
+                    k,
+                    masked,
+                    r * this.numItems
+                );
+                const m = RankingEvaluator.userMetrics(ranked, u.relevant, k);
+                Object.keys(perMetric).forEach((key) => perMetric[key].push(m[key]));
+
+                ranked.forEach((itemIndex) => {
+                    recommended.add(itemIndex);
+                    popSum += this.itemPopularity[itemIndex];
+                    if (!this.headItems.has(itemIndex)) tailSlots += 1;
+                    slots += 1;
+                });
+            });
+        }
+
+        const summary = { users: users.length, k };
+        Object.keys(perMetric).forEach((key) => {
+            summary[key] = RankingEvaluator.meanWithCI(perMetric[key]);
+        });
+        summary.coverage = recommended.size / this.numItems;
+        summary.avgPopularity = slots ? popSum / slots : 0;
+        summary.longTailShare = slots ? tailSlots / slots : 0;
+        return summary;
+    }
+}
@@ -20,13 +20,17 @@
 //   - On node click, this class will call window.app.selectNode(nodeId)
 //     if such a function exists. You can hook this to drive RAG / RecSys
 //     introspection from the graph UI.
+//   - Nodes may carry a `label` (the text drawn beside the node, falling
+//     back to the id, and the first line of its hover tooltip) and a
+//     `group`; with options.groupColors = { group: color } the group
+//     decides the fill color and the score only drives the radius.
 
 class GraphRenderer {
     /**
      * @param {string} containerId  DOM id of a block-level element where
      *                              the SVG should be created.
      * @param {Object} options      Extra settings (optional).
-     *        { minRadius, maxRadius, defaultRadius }
+     *        { minRadius, maxRadius, defaultRadius, groupColors }
      */
     constructor(containerId, options = {}) {
         this.containerId = containerId;
@@ -43,7 +47,8 @@ class GraphRenderer {
         this.options = {
             minRadius: options.minRadius || 6,
             maxRadius: options.maxRadius || 22,
-            defaultRadius: options.defaultRadius || 10
+            defaultRadius: options.defaultRadius || 10,
+            groupColors: options.groupColors || {}
         };
 
         this._initializeSVG();
@@ -166,7 +171,7 @@ class GraphRenderer {
             .append('circle')
             .attr('class', 'graph-node')
             .attr('r', (d) => this._computeRadius(d.score))
-            .attr('fill', (d) => this._computeColor(d.score))
+            .attr('fill', (d) => this._computeColor(d.score, d.group))
             .attr('stroke', '#ffffff')
             .attr('stroke-width', 1.6)
             .call(
@@ -197,7 +202,8 @@ class GraphRenderer {
         node.append('title').text((d) => {
             const scoreText =
                 typeof d.score === 'number' ? `\nScore: ${d.score.toFixed(4)}` : '';
-            return `Node: ${d.id}${scoreText}`;
+            const groupText = d.group ? ` [${d.group}]` : '';
+            return `${d.label || `Node: ${d.id}`}${groupText}${scoreText}`;
         });
 
         // Tick handler for simulation
@@ -229,7 +235,10 @@ class GraphRenderer {
         return r;
     }
 
-    _computeColor(score) {
+    _computeColor(score, group) {
+        if (group && this.options.groupColors[group]) {
+            return this.options.groupColors[group];
+        }
         if (typeof score !== 'number') {
             return '#d1d5db'; // gray
         }
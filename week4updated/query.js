@@ -0,0 +1,296 @@
+// query.js
+// Stage-1 retrieval for the RAG-style text query.
+//
+// - BM25Index: BM25F-style lexical index over title, genre names and year
+// - parseMovieQuery: pulls decades / year ranges, genres and negations out of
+//   free text ("90s sci-fi comedy, not horror") before the BM25 lookup
+//
+// Both sides (documents and queries) go through movieTokens() so that
+// "Sci-Fi", "science fiction" and "scifi" all meet on the same token.
+
+// u.item genre flag order (columns 5..23)
+const GENRE_NAMES = [
+    'unknown', 'Action', 'Adventure', 'Animation', "Children's", 'Comedy', 'Crime',
+    'Documentary', 'Drama', 'Fantasy', 'Film-Noir', 'Horror', 'Musical', 'Mystery',
+    'Romance', 'Sci-Fi', 'Thriller', 'War', 'Western'
+];
+
+// Query words (after movieTokens) that name a genre. Canonical genre tokens
+// are the lower-cased names with punctuation removed, e.g. 'scifi', 'filmnoir'.
+const GENRE_ALIASES = {
+    action: 'Action',
+    adventure: 'Adventure',
+    animation: 'Animation',
+    animated: 'Animation',
+    cartoon: 'Animation',
+    anime: 'Animation',
+    children: "Children's",
+    childrens: "Children's",
+    kid: "Children's",
+    family: "Children's",
+    comedy: 'Comedy',
+    comedie: 'Comedy',
+    funny: 'Comedy',
+    crime: 'Crime',
+    gangster: 'Crime',
+    documentary: 'Documentary',
+    documentarie: 'Documentary',
+    doc: 'Documentary',
+    drama: 'Drama',
+    fantasy: 'Fantasy',
+    filmnoir: 'Film-Noir',
+    noir: 'Film-Noir',
+    horror: 'Horror',
+    scary: 'Horror',
+    musical: 'Musical',
+    mystery: 'Mystery',
+    mysterie: 'Mystery',
+    romance: 'Romance',
+    romantic: 'Romance',
+    scifi: 'Sci-Fi',
+    sf: 'Sci-Fi',
+    thriller: 'Thriller',
+    suspense: 'Thriller',
+    war: 'War',
+    western: 'Western'
+};
+
+const NEGATION_WORDS = new Set(['not', 'no', 'without', 'non', 'except', 'nothing', 'avoid', 'exclude']);
+
+// Words allowed between a negation and the thing it negates ("not too much action").
+const NEGATION_FILLERS = new Set(['too', 'much', 'many', 'any', 'so', 'very', 'really', 'a', 'the', 'more']);
+
+const QUERY_STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'with', 'for', 'in', 'on', 'to', 'from', 'by', 'about',
+    'me', 'i', 'my', 'some', 'something', 'want', 'like', 'show', 'give', 'find', 'that', 'is',
+    'are', 'it', 'please', 'movie', 'film', 'flick', 'just', 'but', 'kind', 'sort', 'good',
+    'great', 'best', 'year', 'era', 'decade', 'released', 'made', 'between'
+]);
+
+const DECADE_WORDS = {
+    twenties: 1920,
+    thirties: 1930,
+    forties: 1940,
+    fifties: 1950,
+    sixties: 1960,
+    seventies: 1970,
+    eighties: 1980,
+    nineties: 1990
+};
+
+// Light plural stemming applied identically to documents and queries.
+function stemToken(token) {
+    if (/^\d/.test(token) || token.length <= 3) return token;
+    if (token.endsWith('ies')) return `${token.slice(0, -3)}ie`;
+    if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+function genreToken(genre) {
+    return stemToken(genre.toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
+
+function movieTokens(text) {
+    const normalized = String(text)
+        .toLowerCase()
+        .replace(/science[\s-]+fiction/g, 'scifi')
+        .replace(/sci[\s-]?fi/g, 'scifi')
+        .replace(/film[\s-]+noir/g, 'filmnoir')
+        .replace(/'/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ');
+    return normalized
+        .split(/\s+/)
+        .filter((t) => t.length > 0)
+        .map(stemToken);
+}
+
+// ---------------------------------------------------------------------
+// BM25 index
+// ---------------------------------------------------------------------
+
+class BM25Index {
+    /**
+     * @param {Object} options { k1, b, fieldWeights: { field: weight } }
+     */
+    constructor(options = {}) {
+        const { k1 = 1.2, b = 0.75, fieldWeights = { title: 1.0, genre: 1.5, year: 1.0 } } = options;
+        this.k1 = k1;
+        this.b = b;
+        this.fieldWeights = fieldWeights;
+
+        this.docs = new Map(); // docId -> { tf: Map term -> weighted tf, length }
+        this.docFreq = new Map(); // term -> number of docs containing it
+        this.totalLength = 0;
+    }
+
+    /**
+     * @param {*} docId
+     * @param {Object} fields { title: [tokens], genre: [tokens], year: [tokens] }
+     */
+    add(docId, fields) {
+        const tf = new Map();
+        let length = 0;
+        Object.keys(fields).forEach((field) => {
+            const w = this.fieldWeights[field] != null ? this.fieldWeights[field] : 1.0;
+            fields[field].forEach((term) => {
+                tf.set(term, (tf.get(term) || 0) + w);
+                length += w;
+            });
+        });
+        tf.forEach((_, term) => this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1));
+        this.docs.set(docId, { tf, length });
+        this.totalLength += length;
+    }
+
+    idf(term) {
+        const n = this.docs.size;
+        const df = this.docFreq.get(term) || 0;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * @param {string[]} terms  already passed through movieTokens()
+     * @returns {Map} docId -> BM25 score (only docs matching at least one term)
+     */
+    search(terms) {
+        const scores = new Map();
+        const unique = Array.from(new Set(terms));
+        const avg = this.docs.size ? this.totalLength / this.docs.size : 1;
+
+        unique.forEach((term) => {
+            if (!this.docFreq.has(term)) return;
+            const idf = this.idf(term);
+            this.docs.forEach((doc, docId) => {
+                const f = doc.tf.get(term);
+                if (!f) return;
+                const denom = f + this.k1 * (1 - this.b + (this.b * doc.length) / avg);
+                const s = (idf * f * (this.k1 + 1)) / denom;
+                scores.set(docId, (scores.get(docId) || 0) + s);
+            });
+        });
+
+        return scores;
+    }
+}
+
+// Tokens for one movie, split by BM25 field.
+function movieDocFields(meta) {
+    const fields = {
+        title: movieTokens(meta.title),
+        genre: (meta.genres || []).filter((g) => g !== 'unknown').map(genreToken),
+        year: []
+    };
+    if (meta.year != null) {
+        fields.year.push(String(meta.year), `${Math.floor(meta.year / 10) * 10}s`);
+    }
+    return fields;
+}
+
+// ---------------------------------------------------------------------
+// Query parser
+// ---------------------------------------------------------------------
+
+function decadeStart(digits) {
+    // '90s' -> 1990, '1990s' -> 1990, '00s' -> 2000
+    if (digits.length === 4) return parseInt(digits, 10);
+    const d = parseInt(digits, 10);
+    return d <= 20 ? 2000 + d : 1900 + d;
+}
+
+/**
+ * Parse a free-text movie query.
+ * @returns {{ terms: string[], genres: string[], excludeGenres: string[],
+ *             excludeTerms: string[], yearRange: {min:number, max:number}|null }}
+ */
+function parseMovieQuery(text) {
+    let rest = ` ${String(text).toLowerCase()} `;
+    let yearRange = null;
+
+    const narrow = (min, max) => {
+        yearRange = yearRange
+            ? { min: Math.max(yearRange.min, min), max: Math.min(yearRange.max, max) }
+            : { min, max };
+    };
+    const take = (re, fn) => {
+        rest = rest.replace(re, (...m) => {
+            fn(m);
+            return ' ';
+        });
+    };
+
+    // Order matters: consume explicit ranges before bare years and decades.
+    take(/\b((?:19|20)\d{2})\s*(?:-|–|to|until|through|and)\s*((?:19|20)\d{2})\b/g, (m) => {
+        const a = parseInt(m[1], 10);
+        const b = parseInt(m[2], 10);
+        narrow(Math.min(a, b), Math.max(a, b));
+    });
+    take(/\b(?:before|pre|earlier than|older than)\s+((?:19|20)\d{2})\b/g, (m) => {
+        narrow(-Infinity, parseInt(m[1], 10) - 1);
+    });
+    take(/\b(?:after|post|later than|newer than)\s+((?:19|20)\d{2})\b/g, (m) => {
+        narrow(parseInt(m[1], 10) + 1, Infinity);
+    });
+    take(/\b(?:since|from)\s+((?:19|20)\d{2})\b/g, (m) => {
+        narrow(parseInt(m[1], 10), Infinity);
+    });
+    take(/(?:^|\s)'?((?:19|20)?\d0)'?s\b/g, (m) => {
+        const start = decadeStart(m[1]);
+        narrow(start, start + 9);
+    });
+    take(/\b(twenties|thirties|forties|fifties|sixties|seventies|eighties|nineties)\b/g, (m) => {
+        const start = DECADE_WORDS[m[1]];
+        narrow(start, start + 9);
+    });
+    take(/\b((?:19|20)\d{2})\b/g, (m) => {
+        const y = parseInt(m[1], 10);
+        narrow(y, y);
+    });
+
+    const terms = [];
+    const genres = [];
+    const excludeGenres = [];
+    const excludeTerms = [];
+    let negate = false;
+
+    movieTokens(rest).forEach((token) => {
+        if (NEGATION_WORDS.has(token)) {
+            negate = true;
+            return;
+        }
+        if (negate && NEGATION_FILLERS.has(token)) return;
+
+        const genre = GENRE_ALIASES[token];
+        if (genre) {
+            const list = negate ? excludeGenres : genres;
+            if (!list.includes(genre)) list.push(genre);
+        } else if (!QUERY_STOPWORDS.has(token)) {
+            (negate ? excludeTerms : terms).push(token);
+        }
+        negate = false;
+    });
+
+    return {
+        terms,
+        genres: genres.filter((g) => !excludeGenres.includes(g)),
+        excludeGenres,
+        excludeTerms,
+        yearRange
+    };
+}
+
+// Human-readable summary of what the parser understood.
+function describeMovieQuery(parsed) {
+    const parts = [];
+    if (parsed.terms.length) parts.push(`keywords: ${parsed.terms.join(', ')}`);
+    if (parsed.genres.length) parts.push(`genres: ${parsed.genres.join(', ')}`);
+    if (parsed.yearRange) {
+        const { min, max } = parsed.yearRange;
+        if (min === max) parts.push(`year: ${min}`);
+        else if (min === -Infinity) parts.push(`years: up to ${max}`);
+        else if (max === Infinity) parts.push(`years: ${min} onwards`);
+        else parts.push(`years: ${min}–${max}`);
+    }
+    if (parsed.excludeGenres.length) parts.push(`excluding genres: ${parsed.excludeGenres.join(', ')}`);
+    if (parsed.excludeTerms.length) parts.push(`excluding words: ${parsed.excludeTerms.join(', ')}`);
+    return parts.length ? parts.join('; ') : 'no constraints recognised';
+}
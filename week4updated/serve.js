@@ -0,0 +1,165 @@
+// serve.js
+// Recommendations from an exported embedding bundle (see embedding-bundle.js).
+// No TensorFlow.js, no training: user and item vectors come from the bundle.
+
+class BundleServeApp {
+    constructor() {
+        this.recommender = null;
+
+        const fileInput = document.getElementById('bundleFile');
+        const recBtn = document.getElementById('recommend');
+        const simBtn = document.getElementById('similar');
+        if (fileInput) fileInput.addEventListener('change', () => this.loadFile(fileInput.files[0]));
+        if (recBtn) recBtn.addEventListener('click', () => this.recommend());
+        if (simBtn) simBtn.addEventListener('click', () => this.similar());
+
+        const url = new URLSearchParams(window.location.search).get('bundle');
+        if (url) this.loadUrl(url);
+    }
+
+    updateStatus(message) {
+        const statusDiv = document.getElementById('status');
+        if (statusDiv) statusDiv.textContent = message;
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+        this.updateStatus(`Reading ${file.name}...`);
+        try {
+            this.useBundle(parseEmbeddingBundle(await file.arrayBuffer()), file.name);
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Could not read ${file.name}: ${err.message}`);
+        }
+    }
+
+    async loadUrl(url) {
+        this.updateStatus(`Fetching ${url}...`);
+        try {
+            const resp = await fetch(url);
+            if (!resp.ok) throw new Error(`status ${resp.status}`);
+            this.useBundle(parseEmbeddingBundle(await resp.arrayBuffer()), url);
+        } catch (err) {
+            console.error(err);
+            this.updateStatus(`Could not load ${url}: ${err.message}`);
+        }
+    }
+
+    useBundle(bundle, name) {
+        this.recommender = new EmbeddingRecommender(bundle);
+        ['recommend', 'similar'].forEach((id) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = false;
+        });
+        this.updateStatus(
+            `Loaded ${name}: ${bundle.items.length} items, ${bundle.users.length} users, ${bundle.dim}-d vectors ` +
+                `(bundle v${bundle.version} from ${bundle.source}, ${bundle.createdAt}).`
+        );
+        this.displayBundleInfo(bundle);
+    }
+
+    displayBundleInfo(bundle) {
+        const container = document.getElementById('bundleInfo');
+        if (!container) return;
+        const config = Object.keys(bundle.config || {})
+            .map((key) => `${key}: ${this.escapeHtml(String(bundle.config[key]))}`)
+            .join(', ');
+        let metrics = 'none recorded';
+        if (bundle.metrics && Array.isArray(bundle.metrics.rows)) {
+            metrics = bundle.metrics.rows
+                .map(
+                    (r) =>
+                        `${r.name} Recall@${bundle.metrics.k} ${r.recall.mean.toFixed(4)}, ` +
+                        `NDCG ${r.ndcg.mean.toFixed(4)}`
+                )
+                .join('; ');
+        } else if (Array.isArray(bundle.metrics)) {
+            metrics = bundle.metrics
+                .map((r) => `${r.name} R@10 ${r.warm ? r.warm[10].toFixed(3) : '–'}`)
+                .join('; ');
+        }
+        container.innerHTML = `
+            <p class="hint"><b>Config</b> – ${config || 'none'}</p>
+            <p class="hint"><b>Metrics</b> – ${this.escapeHtml(metrics)}</p>
+        `;
+    }
+
+    readK() {
+        const kInput = document.getElementById('topK');
+        const k = kInput ? parseInt(kInput.value, 10) : NaN;
+        return Number.isNaN(k) || k < 1 ? 10 : Math.min(k, 100);
+    }
+
+    recommend() {
+        if (!this.recommender) return;
+        const input = document.getElementById('userId');
+        const userId = input ? parseInt(input.value, 10) : NaN;
+        if (!this.recommender.hasUser(userId)) {
+            this.updateStatus(`User ${Number.isNaN(userId) ? '(empty)' : userId} is not in this bundle.`);
+            return;
+        }
+        const recs = this.recommender.recommendForUser(userId, this.readK());
+        this.displayResults(`Top-${recs.length} for user ${userId}`, recs, 'Score');
+        this.updateStatus(`Scored ${this.recommender.numItems} items for user ${userId}.`);
+    }
+
+    similar() {
+        if (!this.recommender) return;
+        const input = document.getElementById('titleSearch');
+        const matches = this.recommender.findItems(input ? input.value : '', 1);
+        if (!matches.length) {
+            this.updateStatus('No movie title matches that text.');
+            return;
+        }
+        const item = matches[0];
+        const recs = this.recommender.similarItems(item.id, this.readK());
+        this.displayResults(`Most similar to ${this.itemLabel(item)}`, recs, 'Cosine');
+        this.updateStatus(`Nearest items to "${this.itemLabel(item)}" by item-tower cosine.`);
+    }
+
+    itemLabel(item) {
+        return item.year ? `${item.title} (${item.year})` : String(item.title);
+    }
+
+    displayResults(title, recs, scoreLabel) {
+        const container = document.getElementById('results');
+        if (!container) return;
+        const rows = recs
+            .map(
+                (r, idx) => `
+                <tr>
+                    <td>${idx + 1}</td>
+                    <td>${this.escapeHtml(this.itemLabel(r.item))}</td>
+                    <td>${this.escapeHtml((r.item.genres || []).join(', '))}</td>
+                    <td>${r.score.toFixed(4)}</td>
+                </tr>`
+            )
+            .join('');
+        container.innerHTML = `
+            <h3>${this.escapeHtml(title)}</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Movie</th>
+                        <th>Genres</th>
+                        <th>${scoreLabel}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Initialize app
+document.addEventListener('DOMContentLoaded', () => {
+    window.serveApp = new BundleServeApp();
+});
@@ -0,0 +1,84 @@
+// train-worker.js
+// Web Worker that trains the two-tower model off the main thread.
+//
+// Messages in (from app.js):
+//   { type: 'start', numUsers, numItems, config, userIndices, itemIndices, checkpoint }
+//   { type: 'pause' } | { type: 'resume' } | { type: 'cancel' }
+//
+// Messages out:
+//   { type: 'batch', epoch, batch, numBatches, loss }
+//   { type: 'checkpoint', epoch, meanLoss, weights, optimizerState }   (every epoch)
+//   { type: 'done' | 'cancelled', epoch }
+//   { type: 'error', message }
+//
+// A checkpoint carries everything needed to resume: embeddings + Adam state.
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js',
+    'two-tower.js',
+    'trainer.js'
+);
+
+let model = null;
+let cancelled = false;
+let paused = false;
+let resumeWaiter = null;
+
+function waitIfPaused() {
+    if (!paused) return Promise.resolve();
+    return new Promise((resolve) => {
+        resumeWaiter = resolve;
+    });
+}
+
+async function start(msg) {
+    const { numUsers, numItems, config, userIndices, itemIndices, checkpoint } = msg;
+    cancelled = false;
+    paused = false;
+
+    if (model) model.dispose();
+    model = new TwoTowerModel(numUsers, numItems, config.embeddingDim, {
+        learningRate: config.learningRate,
+        lossType: config.lossType
+    });
+
+    let startEpoch = 0;
+    if (checkpoint) {
+        model.setWeights(checkpoint.weights);
+        await model.setOptimizerState(checkpoint.optimizerState);
+        startEpoch = checkpoint.epoch + 1;
+    }
+
+    const result = await runTwoTowerTraining(model, userIndices, itemIndices, config, {
+        startEpoch,
+        shouldStop: () => cancelled,
+        waitIfPaused,
+        onBatch: (p) => self.postMessage({ type: 'batch', ...p }),
+        onEpoch: async ({ epoch, meanLoss }) => {
+            const weights = model.getWeights();
+            const optimizerState = await model.getOptimizerState();
+            const transfer = [weights.userEmbeddings.buffer, weights.itemEmbeddings.buffer].concat(
+                optimizerState.map((w) => w.data.buffer)
+            );
+            self.postMessage({ type: 'checkpoint', epoch, meanLoss, weights, optimizerState }, transfer);
+        }
+    });
+
+    self.postMessage({ type: result.completed ? 'done' : 'cancelled', epoch: result.epoch });
+}
+
+self.onmessage = (event) => {
+    const msg = event.data;
+    if (msg.type === 'start') {
+        start(msg).catch((err) => self.postMessage({ type: 'error', message: err.message }));
+    } else if (msg.type === 'pause') {
+        paused = true;
+    } else if (msg.type === 'resume' || msg.type === 'cancel') {
+        if (msg.type === 'cancel') cancelled = true;
+        paused = false;
+        if (resumeWaiter) {
+            resumeWaiter();
+            resumeWaiter = null;
+        }
+    }
+};
@@ -0,0 +1,49 @@
+// trainer.js
+// Epoch / batch loop for TwoTowerModel, shared by the training worker
+// (train-worker.js) and the main-thread fallback in app.js.
+//
+// Hooks:
+//   onBatch({ epoch, batch, numBatches, loss })
+//   onEpoch({ epoch, meanLoss })        – awaited, so it can snapshot weights
+//   shouldStop() -> boolean             – checked between batches (cancel)
+//   waitIfPaused() -> Promise           – resolves once the run may continue
+
+async function runTwoTowerTraining(model, userIndices, itemIndices, config, hooks = {}) {
+    const {
+        startEpoch = 0,
+        onBatch = null,
+        onEpoch = null,
+        shouldStop = () => false,
+        waitIfPaused = null
+    } = hooks;
+    const { batchSize, epochs } = config;
+    const numBatches = Math.ceil(userIndices.length / batchSize);
+
+    for (let epoch = startEpoch; epoch < epochs; epoch++) {
+        let epochLoss = 0;
+
+        for (let batch = 0; batch < numBatches; batch++) {
+            // eslint-disable-next-line no-await-in-loop
+            if (waitIfPaused) await waitIfPaused();
+            if (shouldStop()) return { completed: false, epoch };
+
+            const start = batch * batchSize;
+            const end = Math.min(start + batchSize, userIndices.length);
+            const batchUsers = Array.from(userIndices.subarray(start, end));
+            const batchItems = Array.from(itemIndices.subarray(start, end));
+
+            const loss = model.trainStep(batchUsers, batchItems);
+            epochLoss += loss;
+            if (onBatch) onBatch({ epoch, batch, numBatches, loss });
+
+            // yield so pause / cancel messages (or UI events) get handled
+            // eslint-disable-next-line no-await-in-loop
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        if (onEpoch) await onEpoch({ epoch, meanLoss: epochLoss / numBatches });
+    }
+
+    return { completed: true, epoch: epochs - 1 };
+}
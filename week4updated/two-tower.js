@@ -21,19 +21,20 @@ class TwoTowerModel {
         const { learningRate = 0.001, lossType = 'softmax' } = options;
         this.lossType = lossType;
 
-        this.userEmbeddings = tf.variable(
-            tf.randomNormal([numUsers, embeddingDim], 0, 0.05),
-            true,
-            'user_embeddings'
+        // Unnamed variables: a fixed name could only be registered once, so a second
+        // model (e.g. one being imported next to the current one) would fail.
+        this.userEmbeddings = tf.tidy(() =>
+            tf.variable(tf.randomNormal([numUsers, embeddingDim], 0, 0.05))
         );
 
-        this.itemEmbeddings = tf.variable(
-            tf.randomNormal([numItems, embeddingDim], 0, 0.05),
-            true,
-            'item_embeddings'
+        this.itemEmbeddings = tf.tidy(() =>
+            tf.variable(tf.randomNormal([numItems, embeddingDim], 0, 0.05))
         );
 
         this.optimizer = tf.train.adam(learningRate);
+
+        // Optional HNSW index over the item tower, see buildAnnIndex()
+        this.annIndex = null;
     }
 
     // ---------------------------------------------------------------------
@@ -124,6 +125,69 @@ class TwoTowerModel {
         return tf.mean(loss);
     }
 
+    // ---------------------------------------------------------------------
+    // Weights / checkpoints (used to move training into a Web Worker)
+    // ---------------------------------------------------------------------
+
+    getWeights() {
+        return {
+            userEmbeddings: this.userEmbeddings.dataSync().slice(),
+            itemEmbeddings: this.itemEmbeddings.dataSync().slice()
+        };
+    }
+
+    setWeights(weights) {
+        tf.tidy(() => {
+            this.userEmbeddings.assign(
+                tf.tensor2d(weights.userEmbeddings, [this.numUsers, this.embeddingDim])
+            );
+            this.itemEmbeddings.assign(
+                tf.tensor2d(weights.itemEmbeddings, [this.numItems, this.embeddingDim])
+            );
+        });
+    }
+
+    // Variables by name, for TF.js artifact export (see embedding-bundle.js).
+    getNamedWeights() {
+        return { user_embeddings: this.userEmbeddings, item_embeddings: this.itemEmbeddings };
+    }
+
+    setNamedWeights(tensors) {
+        const named = this.getNamedWeights();
+        Object.keys(named).forEach((name) => {
+            const t = tensors[name];
+            if (!t) throw new Error(`Missing weight "${name}"`);
+            if (t.shape.join('x') !== named[name].shape.join('x')) {
+                throw new Error(`Weight "${name}" has shape [${t.shape}], model expects [${named[name].shape}]`);
+            }
+            named[name].assign(t);
+        });
+    }
+
+    // Adam moments + iteration count, so a resumed run continues the same schedule.
+    async getOptimizerState() {
+        const weights = await this.optimizer.getWeights();
+        return weights.map(({ name, tensor }) => {
+            const entry = { name, shape: tensor.shape, data: tensor.dataSync().slice() };
+            if (name === 'iter') tensor.dispose(); // fresh scalar; the moments are live variables
+            return entry;
+        });
+    }
+
+    async setOptimizerState(state) {
+        if (!state || !state.length) return;
+        const tensors = state.map((w) => ({ name: w.name, tensor: tf.tensor(w.data, w.shape) }));
+        await this.optimizer.setWeights(tensors); // copies into its own variables
+        tensors.forEach((w) => w.tensor.dispose());
+    }
+
+    dispose() {
+        this.userEmbeddings.dispose();
+        this.itemEmbeddings.dispose();
+        this.optimizer.dispose();
+        this.annIndex = null;
+    }
+
     // ---------------------------------------------------------------------
     // Inference
     // ---------------------------------------------------------------------
@@ -146,6 +210,72 @@ class TwoTowerModel {
         return scores;
     }
 
+    // Scores for a block of users against the whole catalog, flattened
+    // row-major: row r (user userIndices[r]) starts at r * numItems.
+    getScoresForUsers(userIndices) {
+        return tf.tidy(() => {
+            const idx = tf.tensor1d(userIndices, 'int32');
+            const userEmbs = this.userForward(idx); // [n, D]
+            return tf.matMul(userEmbs, this.itemEmbeddings, false, true).dataSync(); // [n, numItems]
+        });
+    }
+
+    // Cosine similarity of one item to every item in the catalog.
+    getItemSimilarities(itemIndex) {
+        return tf.tidy(() => {
+            const normed = tf.div(
+                this.itemEmbeddings,
+                tf.norm(this.itemEmbeddings, 'euclidean', 1, true).add(1e-8)
+            ); // [numItems, D]
+            const query = tf.gather(normed, tf.tensor1d([itemIndex], 'int32')); // [1, D]
+            return tf.matMul(normed, query, false, true).squeeze().dataSync(); // [numItems]
+        });
+    }
+
+    // Cosine similarity between one user and a list of other users.
+    getUserSimilarities(userIndex, otherIndices) {
+        if (!otherIndices.length) return new Float32Array(0);
+        return tf.tidy(() => {
+            const u = this.userForward(tf.tensor1d([userIndex], 'int32')); // [1, D]
+            const others = this.userForward(tf.tensor1d(otherIndices, 'int32')); // [n, D]
+            const dots = tf.matMul(others, u, false, true).squeeze([1]); // [n]
+            const norms = tf.mul(tf.norm(others, 'euclidean', 1), tf.norm(u)).add(1e-8);
+            return tf.div(dots, norms).dataSync();
+        });
+    }
+
+    // Item tower outputs as a row-major Float32Array [numItems * D] (ANN input).
+    getItemMatrix() {
+        return this.itemEmbeddings.dataSync().slice();
+    }
+
+    getUserMatrix() {
+        return this.userEmbeddings.dataSync().slice();
+    }
+
+    getUserVector(userIndex) {
+        return tf.tidy(() => this.userForward(tf.tensor1d([userIndex], 'int32')).dataSync());
+    }
+
+    // Build an HNSW index (ann.js) over the item tower and use it in recommendTopK.
+    async buildAnnIndex(options = {}, onProgress = null) {
+        const index = new HNSWIndex(options);
+        await index.build(this.getItemMatrix(), this.numItems, this.embeddingDim, { onProgress });
+        this.annIndex = index;
+        return index;
+    }
+
+    /**
+     * Top-K items for one user: approximate via the HNSW index when one is
+     * built, exact over the full catalog otherwise.
+     * @returns {Array<{index:number, score:number}>}
+     */
+    recommendTopK(userIndex, k, exclude = null) {
+        const query = this.getUserVector(userIndex);
+        if (this.annIndex) return this.annIndex.search(query, k, { exclude });
+        return exactTopK(this.getItemMatrix(), this.numItems, this.embeddingDim, query, k, exclude);
+    }
+
     getItemEmbeddings() {
         return this.itemEmbeddings;
     }